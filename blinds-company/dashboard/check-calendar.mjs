@@ -0,0 +1,116 @@
+// Blinds Company — crew calendar check.
+//
+// Builds the iCalendar feed (src/lib/ics.js) from the vault plus a test
+// customer whose address and access notes need escaping, and checks what a
+// subscribed phone calendar relies on: UIDs stay the same across exports and
+// reschedules (SEQUENCE goes up instead), every line is folded to 75 octets
+// without splitting a character, and TEXT values are escaped.
+//
+//   npm test                       # runs this with the other checks
+//   node check-calendar.mjs
+//
+import fs from 'node:fs'
+import path from 'node:path'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { buildVault } from './src/lib/parse.js'
+import { scheduleCalendar } from './src/lib/ics.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const PROJECT = path.join(__dirname, '..')
+const VAULT = path.join(PROJECT, 'vault')
+
+const walk = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((e) => (e.isDirectory() ? walk(path.join(dir, e.name)) : e.name.endsWith('.md') ? [path.join(dir, e.name)] : []))
+const items = walk(VAULT).map((p) => ({ path: path.relative(PROJECT, p).replace(/\\/g, '/'), raw: fs.readFileSync(p, 'utf8') }))
+
+const TEST = 'vault/20-wiki/customers/Zoë Ångström.md'
+const customer = (installDate, extraTimeline = []) => ({
+  path: TEST,
+  raw: [
+    '---',
+    'type: customer',
+    'status: won',
+    'created: 2026-06-01',
+    `install_date: ${installDate}`,
+    '---',
+    '# Zoë Ångström',
+    '',
+    '- **Contact:** (555) 010-2233 / zoe@example.com / 4 Fjord Ln, Unit 2; rear entrance',
+    '- **Access:** gate code 12\\34, then the side door',
+    '- **Products of interest:** [[Roller Shades - Blackout]]',
+    '',
+    '## Timeline',
+    '- 2026-06-01 — first contact: phone',
+    '- 2026-06-03 — measured: 4 openings',
+    `- 2026-06-05 — install booked for 2026-07-20`,
+    ...extraTimeline,
+    '',
+    '## Notes',
+    '- Large dog in the yard — ask them to keep him in during the install; he is friendly but very excitable around ladders',
+    '',
+  ].join('\n'),
+})
+
+const calendar = (extra, now) => scheduleCalendar(buildVault([...items, extra]), { now })
+const unfold = (ics) => ics.replace(/\r\n /g, '')
+const events = (ics) =>
+  [...unfold(ics).matchAll(/BEGIN:VEVENT\r\n([\s\S]*?)END:VEVENT/g)].map((m) =>
+    Object.fromEntries(m[1].trim().split('\r\n').map((l) => [l.slice(0, l.search(/[:;]/)), l.slice(l.indexOf(':') + 1)])),
+  )
+const install = (ics) => events(ics).find((e) => e.UID.startsWith('install-zoe-angstrom'))
+
+let checked = 0
+const failures = []
+const check = (name, fn) => {
+  try {
+    fn()
+    checked++
+  } catch (e) {
+    failures.push(`${name}: ${e.message}`)
+  }
+}
+
+const first = calendar(customer('2026-07-20'), '2026-06-05T10:00:00.000Z')
+const again = calendar(customer('2026-07-20'), '2026-06-06T09:30:00.000Z')
+const moved = calendar(customer('2026-07-27', ['- 2026-06-10 — install rescheduled 2026-07-20 → 2026-07-27']), '2026-06-10T08:00:00.000Z')
+
+check('CRLF line endings', () => assert.ok(!/(^|[^\r])\n/.test(first), 'a bare LF'))
+check('one event per customer and kind', () => {
+  const uids = events(first).map((e) => e.UID)
+  assert.equal(new Set(uids).size, uids.length, `duplicate UIDs: ${uids}`)
+  assert.ok(install(first), 'no install event for the test customer')
+  assert.ok(events(first).some((e) => e.UID === 'measure-zoe-angstrom@blinds-company'), 'no measure event for the test customer')
+})
+check('UIDs stay the same across exports', () => {
+  assert.deepEqual(events(again).map((e) => e.UID), events(first).map((e) => e.UID))
+})
+check('a reschedule keeps the UID and bumps SEQUENCE', () => {
+  assert.equal(install(moved).UID, install(first).UID)
+  assert.equal(install(moved)['DTSTART'], '20260727')
+  assert.equal(Number(install(moved).SEQUENCE), Number(install(first).SEQUENCE) + 1)
+})
+check('lines folded to 75 octets', () => {
+  const lines = first.split('\r\n').filter(Boolean)
+  for (const l of lines) assert.ok(Buffer.byteLength(l) <= 75, `${Buffer.byteLength(l)} octets: ${l}`)
+  assert.ok(lines.some((l) => l.startsWith(' ')), 'nothing was folded')
+  // a fold never splits a multi-byte character
+  for (const l of lines) assert.ok(!l.includes('�') && Buffer.from(l).toString() === l, `split character in: ${l}`)
+})
+check('unfolding gives back the text', () => {
+  assert.match(install(first).DESCRIPTION, /he is friendly but very excitable around ladders/)
+  assert.match(install(first).SUMMARY, /^Install · Zoë Ångström$/)
+})
+check('commas, semicolons and backslashes escaped', () => {
+  assert.equal(install(first).LOCATION, '4 Fjord Ln\\, Unit 2\\; rear entrance')
+  assert.ok(install(first).DESCRIPTION.includes('gate code 12\\\\34\\, then the side door'), install(first).DESCRIPTION)
+})
+check('newlines escaped', () => {
+  const d = install(first).DESCRIPTION
+  assert.ok(!/[\r\n]/.test(d))
+  assert.ok(d.startsWith('Install — Zoë Ångström\\nAddress: '), d.slice(0, 60))
+})
+
+for (const f of failures) console.log(`✖ ${f}`)
+console.log(`${failures.length ? '✖' : '✓'} ${checked} calendar checks, ${failures.length} failed`)
+process.exit(failures.length ? 1 : 0)
@@ -0,0 +1,94 @@
+// Blinds Company — frontmatter check.
+//
+// Runs src/lib/yaml.js (and parseFrontmatter on top of it) over the YAML the
+// vault uses and the YAML it must refuse: the vault conventions (wikilinks,
+// zip codes, dates as text) hold, anchors and tags work, and invalid YAML is
+// an error on the right file line, so Vault health never passes a broken note.
+// Every note in the vault must parse cleanly too.
+//
+//   npm test                       # runs this with the other checks
+//   node check-frontmatter.mjs
+//
+import fs from 'node:fs'
+import path from 'node:path'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { parseYaml } from './src/lib/yaml.js'
+import { parseFrontmatter, parseNote } from './src/lib/parse.js'
+import { checkNote } from './src/lib/schema.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const VAULT = path.join(__dirname, '..', 'vault')
+
+// [name, yaml, expected value]
+const VALID = [
+  ['plain keys', 'type: customer\nstatus: lead', { type: 'customer', status: 'lead' }],
+  ['wikilink', 'supplier: [[Lutron Supply Co]]', { supplier: '[[Lutron Supply Co]]' }],
+  ['wikilinks in a list', 'products: [[[Roller Shades - Blackout]], [[Offers|the offers]]]\nseen:\n  - [[Maria Garcia]]', {
+    products: ['[[Roller Shades - Blackout]]', '[[Offers|the offers]]'],
+    seen: ['[[Maria Garcia]]'],
+  }],
+  ['list of lists', 'grid: [[1, 2], [3]]', { grid: [[1, 2], [3]] }],
+  ['dates stay text', 'created: 2026-07-01', { created: '2026-07-01' }],
+  ['zip code stays text', 'zip: 02134\nqty: 4\nrate: 0.5', { zip: '02134', qty: 4, rate: 0.5 }],
+  ['scalars', "a: true\nb: ~\nc: 'a: b'\nd: 'it''s'", { a: true, b: null, c: 'a: b', d: "it's" }],
+  ['block scalar', 'note: |\n  line one\n  line two', { note: 'line one\nline two\n' }],
+  ['nested map', 'contact:\n  phone: (555) 010-4400\n  email: a@b.example', { contact: { phone: '(555) 010-4400', email: 'a@b.example' } }],
+  ['anchors and aliases', 'base: &base [shades, blinds]\ntags: *base', { base: ['shades', 'blinds'], tags: ['shades', 'blinds'] }],
+  ['tags', 'sku: !!str 1200', { sku: '1200' }],
+  ['CRLF', 'type: supplier\r\ncreated: 2026-06-20\r\n', { type: 'supplier', created: '2026-06-20' }],
+  ['empty', '', null],
+]
+
+// [name, yaml, line of the error]
+const INVALID = [
+  ['mapping in a compact value', 'a: b: c', 1],
+  ['duplicate key', 'status: lead\nstatus: won', 2],
+  ['unclosed flow list', 'tags: [customer, vip', 1],
+  ['unclosed quote', 'name: "Robert Chen', 1],
+  ['key indented under a value', 'type: customer\n  status: lead', 1],
+  ['unknown alias', 'tags: *nothing', 1],
+]
+
+let checked = 0
+const failures = []
+const check = (name, fn) => {
+  try {
+    fn()
+    checked++
+  } catch (e) {
+    failures.push(`${name}: ${e.message}`)
+  }
+}
+
+for (const [name, src, want] of VALID) check(name, () => assert.deepEqual(parseYaml(src), want))
+
+for (const [name, src, line] of INVALID) {
+  check(name, () => {
+    assert.throws(() => parseYaml(src), (e) => e.line === line, `expected an error on line ${line}`)
+    // in a note, the error is reported on the file line (after the opening ---)
+    const note = parseNote({ path: 'vault/20-wiki/customers/Test.md', raw: `---\n${src}\n---\n# Test\n` })
+    assert.equal(note.fmError?.line, line + 1, 'parseFrontmatter missed it')
+    assert.ok(
+      checkNote(note).some((i) => i.level === 'error' && /valid YAML/.test(i.message)),
+      'Vault health passes it',
+    )
+  })
+}
+
+// A `---` inside the frontmatter ends it in a note, so a second document only
+// reaches parseYaml directly.
+check('second document', () => assert.throws(() => parseYaml('type: customer\n---\nstatus: lead'), (e) => e.line === 2))
+
+const walk = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((e) => (e.isDirectory() ? walk(path.join(dir, e.name)) : e.name.endsWith('.md') ? [path.join(dir, e.name)] : []))
+for (const file of walk(VAULT)) {
+  check(path.relative(VAULT, file), () => {
+    const { fmError } = parseFrontmatter(fs.readFileSync(file, 'utf8'))
+    assert.equal(fmError, undefined, fmError && `${fmError.message} (line ${fmError.line})`)
+  })
+}
+
+for (const f of failures) console.log(`✖ ${f}`)
+console.log(`${failures.length ? '✖' : '✓'} ${checked} frontmatter checks, ${failures.length} failed`)
+process.exit(failures.length ? 1 : 0)
@@ -0,0 +1,125 @@
+// Blinds Company — inbox LLM flow check.
+//
+// Runs Process inbox with the mock provider end to end — prompt, parse,
+// checkProposal, apply, raw-file move, processing log — against a scratch copy
+// of the vault (scratch-server.mjs) with the fixtures/llm/*.md drops in its
+// inbox, and compares the result with what the fixtures say should happen.
+// Nothing in the real vault is touched.
+//
+//   npm test                       # runs this with the other checks
+//   node check-inbox-llm.mjs
+//
+import fs from 'node:fs'
+import path from 'node:path'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { scratchServer } from './scratch-server.mjs'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const PROJECT = path.join(__dirname, '..')
+const FIXTURES = path.join(__dirname, 'fixtures', 'llm')
+
+const drops = fs.readdirSync(FIXTURES).filter((f) => f.endsWith('.md'))
+const fixture = (f) => JSON.parse(fs.readFileSync(path.join(FIXTURES, f), 'utf8'))
+const original = (p) => fs.readFileSync(path.join(PROJECT, p), 'utf8')
+
+const lead = fixture('2026-07-01-new-lead-web-form.json')
+const [created, referral, followUp] = lead.edits
+const voicemail = fixture('2026-07-02-voicemail.json')
+const RAW = 'vault/10-raw/2026-07-01--new-lead-web-form.md'
+const PRICE = 'vault/00-inbox/2026-06-29-lutron-price-increase-email.md'
+const logBefore = original('agents/logs/processing-log.md')
+const referrerBefore = original(referral.path)
+
+let server
+let read
+let checked = 0
+const failures = []
+const check = (name, fn) => {
+  try {
+    fn()
+    checked++
+  } catch (e) {
+    failures.push(`${name}: ${e.message}`)
+  }
+}
+
+// Process inbox on the scratch copy; an error answer throws.
+async function processInbox(body) {
+  const { status, body: data } = await server.post('/api/actions/process-inbox', body)
+  if (status !== 200) throw new Error(`process-inbox answered ${status}: ${data.error}`)
+  return data
+}
+
+try {
+  server = await scratchServer({ INBOX_LLM: 'mock', LLM_FIXTURES: FIXTURES }, (dir) => {
+    for (const f of drops) fs.copyFileSync(path.join(FIXTURES, f), path.join(dir, 'vault', '00-inbox', f))
+  })
+  read = server.read
+
+  const preview = await processInbox({ provider: 'mock', dryRun: true })
+  check('dry run writes nothing', () => {
+    assert.equal(preview.runId, null)
+    assert.equal(read(created.path), null, `${created.path} was written`)
+    assert.equal(read(RAW), null, `${RAW} was written`)
+    assert.ok(read('vault/00-inbox/2026-07-01-new-lead-web-form.md'), 'the web form left the inbox')
+  })
+  check('dry run previews the edits', () => {
+    const paths = preview.changes.map((c) => c.path)
+    for (const p of [created.path, referral.path, 'agents/logs/processing-log.md']) assert.ok(paths.includes(p), `no diff for ${p}`)
+  })
+
+  const run = await processInbox({ provider: 'mock' })
+  check('provider', () => assert.equal(run.provider, 'mock'))
+  check('run saved', () => {
+    assert.ok(run.runId, 'no runId')
+    assert.ok(read(`agents/runs/${run.runId}.json`), `agents/runs/${run.runId}.json is missing`)
+  })
+  check('web form filed', () => {
+    assert.deepEqual(
+      run.filed.map((f) => [path.basename(f.file), f.raw]),
+      [['2026-07-01-new-lead-web-form.md', RAW]],
+    )
+  })
+  // the third edit goes into a note the first one creates
+  check('new customer note', () => assert.equal(read(created.path), `${created.text.trimEnd()}\n${followUp.text}\n`))
+  check('referrer timeline', () => {
+    const timeline = read(referral.path).split('## Timeline')[1]?.split(/^## /m)[0] || ''
+    assert.ok(timeline.split('\n').includes(referral.text), `no "${referral.text}" under ## Timeline`)
+    assert.equal(read(referral.path).replace(`${referral.text}\n`, ''), referrerBefore, 'other lines changed')
+  })
+  check('raw file', () => {
+    const raw = read(RAW)
+    assert.ok(raw, `${RAW} is missing`)
+    assert.match(raw, /^Raw web form submission from a new lead, captured 2026-07-01\. Processed by mock into \[\[Priya Shah\]\], \[\[Maria Garcia\]\]\./)
+    assert.ok(raw.includes('Name: Priya Shah'), 'the original text is gone')
+    assert.equal(read('vault/00-inbox/2026-07-01-new-lead-web-form.md'), null, 'still in the inbox')
+  })
+  check('voicemail left for review', () => {
+    assert.deepEqual(run.review, [{ file: 'vault/00-inbox/2026-07-02-voicemail.md', reason: voicemail.review }])
+    assert.ok(read('vault/00-inbox/2026-07-02-voicemail.md').includes(`> NEEDS REVIEW: ${voicemail.review}`), 'no NEEDS REVIEW callout')
+  })
+  check('price change deferred', () => {
+    assert.deepEqual(
+      run.deferred.map((d) => d.file),
+      [PRICE],
+    )
+    assert.equal(read(PRICE), original(PRICE), 'the price email was edited')
+  })
+  check('processing log', () => {
+    const log = read('agents/logs/processing-log.md')
+    assert.ok(log.startsWith(logBefore), 'earlier entries changed')
+    const entry = log.slice(logBefore.length)
+    assert.ok(entry.includes('mock'), 'the entry doesn\'t name the provider')
+    assert.ok(entry.includes('`10-raw/2026-07-01--new-lead-web-form.md`'), 'no provenance line')
+    assert.ok(entry.includes(`2026-07-02-voicemail.md — ${voicemail.review}`), 'the review reason is missing')
+  })
+} catch (e) {
+  failures.push(e.message)
+} finally {
+  server?.stop()
+}
+
+for (const f of failures) console.log(`✖ ${f}`)
+console.log(`${failures.length ? '✖' : '✓'} ${checked} inbox flow checks (${drops.length} fixture drops, mock provider), ${failures.length} failed`)
+process.exit(failures.length ? 1 : 0)
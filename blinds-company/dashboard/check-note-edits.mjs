@@ -0,0 +1,82 @@
+// Blinds Company — note edit check.
+//
+// Round-trips every customer note through the server's write-back helpers
+// (src/lib/noteEdits.js, plus the job and warranty editors) twice: as saved,
+// and converted to Windows CRLF line endings. The CRLF edit must come back
+// all-CRLF, keep its frontmatter (type, created) parseable, and match the LF
+// edit line for line. It also checks that taking back a status move removes
+// only the moved line under ## Timeline, never the same text elsewhere.
+//
+//   npm test                       # runs this with the other checks
+//   node check-note-edits.mjs
+//
+import fs from 'node:fs'
+import path from 'node:path'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { parseNote } from './src/lib/parse.js'
+import { insertIntoSection, replaceSection, setFrontmatter, removeFromSection, replaceBullet } from './src/lib/noteEdits.js'
+import { setJobStep } from './src/lib/jobs.js'
+import { claimMarkdown, resolveClaim } from './src/lib/warranty.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const CUSTOMERS = path.join(__dirname, '..', 'vault', '20-wiki', 'customers')
+
+const line = '- 2026-07-01 — moved won → installed'
+const claim = claimMarkdown({ issue: 'Motor unresponsive', product: 'Roller Shades - Blackout', opened: '2026-07-01', covered: true })
+
+// The edits the endpoints make, one after the other.
+const EDITS = [
+  ['setFrontmatter (existing key)', (s) => setFrontmatter(s, 'status', 'installed')],
+  ['setFrontmatter (new key)', (s) => setFrontmatter(s, 'install_date', '2026-07-20')],
+  ['insertIntoSection (Timeline)', (s) => insertIntoSection(s, 'Timeline', line)],
+  ['insertIntoSection (new section)', (s) => insertIntoSection(s, 'Warranty', claim)],
+  ['replaceSection', (s) => replaceSection(s, 'Quote', '| Opening | Product |\n|---|---|\n| Kitchen | [[Roller Shades - Blackout]] |', 'Timeline')],
+  ['replaceBullet', (s) => replaceBullet(s, line.slice(2), '2026-07-02 — moved won → installed')],
+  ['removeFromSection', (s) => removeFromSection(s, 'Timeline', '- 2026-07-02 — moved won → installed')],
+  ['resolveClaim', (s) => resolveClaim(s, 0, 'motor swapped', '2026-07-05') ?? s],
+  ['setJobStep', (s) => setJobStep(`${s}\n## Checklist\n- [ ] Re-measure\n- [ ] Photos\n`, 1, true, '2026-07-06').raw],
+]
+
+let checked = 0
+const failures = []
+for (const file of fs.readdirSync(CUSTOMERS).filter((f) => f.endsWith('.md'))) {
+  const lf = fs.readFileSync(path.join(CUSTOMERS, file), 'utf8').replace(/\r\n/g, '\n')
+  const crlf = lf.replace(/\n/g, '\r\n')
+  let a = lf
+  let b = crlf
+  for (const [name, edit] of EDITS) {
+    try {
+      a = edit(a)
+      b = edit(b)
+      assert.ok(!/(^|[^\r])\n/.test(b), 'a bare LF in the CRLF note')
+      assert.equal(b.replace(/\r\n/g, '\n'), a, 'the CRLF edit differs from the LF one')
+      const { fm } = parseNote({ path: `vault/20-wiki/customers/${file}`, raw: b })
+      assert.equal(fm.type, 'customer', 'type: dropped out of the frontmatter')
+      assert.ok(fm.created, 'created: dropped out of the frontmatter')
+      checked++
+    } catch (e) {
+      failures.push(`${file}: ${name}: ${e.message}`)
+      break
+    }
+  }
+}
+
+// Taking back a move only removes the line from ## Timeline: the same text in
+// the frontmatter or another section stays put.
+const decoy = ['---', 'type: customer', '- 2026-07-01 — moved quoted → won', '---', '## Notes', '- 2026-07-01 — moved quoted → won', '', '## Timeline', '- 2026-06-01 — first contact', '']
+for (const [name, raw] of [['LF', decoy.join('\n')], ['CRLF', decoy.join('\r\n')]]) {
+  try {
+    const out = removeFromSection(raw, 'Timeline', '- 2026-07-01 — moved quoted → won')
+    assert.equal(out, null, 'removed a line outside ## Timeline')
+    const back = removeFromSection(insertIntoSection(raw, 'Timeline', '- 2026-07-01 — moved quoted → won'), 'Timeline', '- 2026-07-01 — moved quoted → won')
+    assert.equal(back, raw, "didn't remove the line it had just logged")
+    checked++
+  } catch (e) {
+    failures.push(`undo (${name}): ${e.message}`)
+  }
+}
+
+for (const f of failures) console.log(`✖ ${f}`)
+console.log(`${failures.length ? '✖' : '✓'} ${checked} CRLF round-trips, ${failures.length} failed`)
+process.exit(failures.length ? 1 : 0)
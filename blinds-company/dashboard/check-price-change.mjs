@@ -0,0 +1,113 @@
+// Blinds Company — price change parser check.
+//
+// Runs src/lib/priceChange.js over the Lutron email in the inbox, against the
+// vault's Lutron products plus a motor line, and over hand-written emails for
+// the cases that email doesn't cover: an explicit `$X` price beating a
+// percentage, exclusions, decreases, and dates with no year rolling into the
+// next one.
+//
+//   npm test                       # runs this with the other checks
+//   node check-price-change.mjs
+//
+import fs from 'node:fs'
+import path from 'node:path'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { parseNote } from './src/lib/parse.js'
+import { parsePriceChange, parseLooseDate } from './src/lib/priceChange.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const PROJECT = path.join(__dirname, '..')
+const EMAIL = 'vault/00-inbox/2026-06-29-lutron-price-increase-email.md'
+
+const note = (p) => parseNote({ path: p, raw: fs.readFileSync(path.join(PROJECT, p), 'utf8') })
+const cost = (p) => Number(note(p).body.match(/\*\*Price \(our cost \/ sell\):\*\*\s*\$([\d.]+)/)[1])
+const product = (name, aliases = []) => ({ name, aliases, cost: cost(`vault/20-wiki/products/${name}.md`) })
+
+const blackout = product('Roller Shades - Blackout', ['Blackout Roller', 'Blackout Shades'])
+const filtering = product('Roller Shades - Light Filtering')
+const motor = { name: 'Motorization Kit', aliases: ['Motor'], cost: 110 }
+const lutron = [blackout, filtering, motor]
+
+let checked = 0
+const failures = []
+const check = (name, fn) => {
+  try {
+    fn()
+    checked++
+  } catch (e) {
+    failures.push(`${name}: ${e.message}`)
+  }
+}
+const changeOf = (result, name) => result.changes.find((c) => c.name === name)
+
+const email = parsePriceChange(note(EMAIL).body, lutron, '2026-07-20')
+check('Lutron: received', () => assert.equal(email.received, '2026-06-29'))
+check('Lutron: effective date', () => assert.equal(email.effective, '2026-07-15'))
+check('Lutron: quotes honored through', () => assert.equal(email.honoredThrough, '2026-07-14'))
+check('Lutron: blackout +8%', () => {
+  assert.deepEqual(
+    { ...changeOf(email, blackout.name), clause: undefined },
+    { name: blackout.name, oldCost: blackout.cost, newCost: Math.round(blackout.cost * 108) / 100, pct: 8, kind: 'percent', clause: undefined },
+  )
+})
+check('Lutron: light filtering +8%', () => {
+  const c = changeOf(email, filtering.name)
+  assert.equal(c?.pct, 8)
+  assert.equal(c.newCost, Math.round(filtering.cost * 108) / 100)
+})
+check('Lutron: motors unchanged', () => {
+  assert.equal(changeOf(email, motor.name), undefined)
+  assert.ok(email.exclusions.some((x) => /motor pricing unchanged/.test(x)), `exclusions: ${JSON.stringify(email.exclusions)}`)
+})
+check('Lutron: lead times are not an exclusion', () => assert.ok(!email.exclusions.some((x) => /lead time/i.test(x))))
+
+// A "$X" price for one product beats the percentage the same email gives the line.
+const mixed = parsePriceChange(
+  'Effective 8/1, pricing goes up 5% across the roller lines. Blackout is now $90 per opening, light-filtering stays the same.',
+  lutron,
+  '2026-07-20',
+)
+check('$ price beats %', () => {
+  const c = changeOf(mixed, blackout.name)
+  assert.equal(c?.kind, 'price')
+  assert.equal(c.newCost, 90)
+  assert.equal(c.pct, +(((90 - blackout.cost) / blackout.cost) * 100).toFixed(1))
+})
+check('% for the rest, minus exclusions', () => {
+  assert.equal(changeOf(mixed, filtering.name), undefined)
+  assert.equal(changeOf(mixed, motor.name)?.pct, 5)
+})
+check('numeric effective date', () => assert.equal(mixed.effective, '2026-08-01'))
+
+check('decrease', () => {
+  const down = parsePriceChange('Good news: motor pricing drops 10% from September 1.', lutron, '2026-07-20')
+  assert.deepEqual(
+    down.changes.map((c) => [c.name, c.pct, c.newCost]),
+    [[motor.name, -10, 99]],
+  )
+})
+check('a % that names no product applies to all', () => {
+  const all = parsePriceChange('All pricing up 3% effective Oct 1.', lutron, '2026-07-20')
+  assert.deepEqual(all.changes.map((c) => c.name).sort(), lutron.map((p) => p.name).sort())
+})
+
+// [text, reference date, expected]
+const DATES = [
+  ['July 15', '2026-06-29', '2026-07-15'],
+  ['Jul. 15th, 2027', '2026-06-29', '2027-07-15'],
+  ['15 August', '2026-06-29', '2026-08-15'],
+  ['7/15', '2026-06-29', '2026-07-15'],
+  ['7/15/27', '2026-06-29', '2027-07-15'],
+  ['2026-07-15', '2026-06-29', '2026-07-15'],
+  ['January 5', '2026-12-20', '2027-01-05'],
+  ['1/5', '2026-12-20', '2027-01-05'],
+  ['June 1', '2026-07-20', '2026-06-01'],
+  ['Smarch 3', '2026-07-20', null],
+  ['7/40', '2026-07-20', null],
+]
+for (const [text, ref, want] of DATES) check(`parseLooseDate("${text}", ${ref})`, () => assert.equal(parseLooseDate(text, ref), want))
+
+for (const f of failures) console.log(`✖ ${f}`)
+console.log(`${failures.length ? '✖' : '✓'} ${checked} price change checks, ${failures.length} failed`)
+process.exit(failures.length ? 1 : 0)
@@ -0,0 +1,92 @@
+// Blinds Company — purchase order terms check.
+//
+// Runs the supplier `**Terms:**` parsing and the terms checks in
+// src/lib/orders.js over the lines suppliers write, then drafts Robert Chen's
+// POs on a scratch copy of the vault (scratch-server.mjs) and checks that a PO
+// under its supplier's minimum order is refused as "sent" (409) until it's
+// forced, while one within terms goes out.
+//
+//   npm test                       # runs this with the other checks
+//   node check-purchase-orders.mjs
+//
+import assert from 'node:assert/strict'
+import { parseTerms, termsChecks } from './src/lib/orders.js'
+import { scratchServer } from './scratch-server.mjs'
+
+// [terms line, expected parse]
+const TERMS = [
+  ['Net 30, $500 minimum order, freight free over $1,000', { minimum: 500, freeFreightOver: 1000, deposit: null, netDays: 30 }],
+  ['50% deposit on order, balance on ship; non-returnable custom builds', { minimum: null, freeFreightOver: null, deposit: 0.5, netDays: null }],
+  ['minimum order of $250.00, free shipping over $2,500 — net 15', { minimum: 250, freeFreightOver: 2500, deposit: null, netDays: 15 }],
+  ['$1,200 min, ships free above $3,000', { minimum: 1200, freeFreightOver: 3000, deposit: null, netDays: null }],
+  ['', { minimum: null, freeFreightOver: null, deposit: null, netDays: null }],
+]
+
+let checked = 0
+const failures = []
+const check = (name, fn) => {
+  try {
+    fn()
+    checked++
+  } catch (e) {
+    failures.push(`${name}: ${e.message}`)
+  }
+}
+const levels = (checks) => checks.map((k) => k.level)
+
+for (const [line, want] of TERMS) check(`parseTerms("${line}")`, () => assert.deepEqual(parseTerms(line), { text: line, ...want }))
+
+const lutron = parseTerms('Net 30, $500 minimum order, freight free over $1,000')
+check('under the minimum is an error', () => {
+  const checks = termsChecks(156, lutron)
+  assert.deepEqual(levels(checks), ['error', 'warning', 'info'])
+  assert.match(checks[0].message, /\$156\.00 is under the \$500\.00 minimum order/)
+  assert.match(checks[1].message, /\$844\.00 short of free freight/)
+})
+check('at the minimum is fine', () => assert.deepEqual(levels(termsChecks(500, lutron)), ['warning', 'info']))
+check('over free freight', () => assert.deepEqual(levels(termsChecks(1200, lutron)), ['ok', 'info']))
+check('deposit', () => assert.match(termsChecks(800, parseTerms('50% deposit on order')).find((k) => k.level === 'info').message, /50% deposit on order: \$400\.00/))
+check('no terms, no checks', () => assert.deepEqual(termsChecks(100, parseTerms('')), []))
+
+let server
+try {
+  server = await scratchServer()
+  const drafted = await server.post(`/api/customers/${encodeURIComponent('Robert Chen')}/orders`, {})
+  const po = (supplier) => drafted.body.drafted?.find((o) => o.supplier === supplier)
+  const send = (o, extra = {}) => server.post(`/api/orders/${encodeURIComponent(o.name)}/status`, { status: 'sent', ...extra })
+
+  check('POs drafted', () => {
+    assert.equal(drafted.status, 200, drafted.body.error)
+    assert.ok(po('Lutron Supply Co') && po('Hunter Mill Shutters'), `drafted: ${drafted.body.drafted?.map((o) => o.supplier)}`)
+    assert.ok(po('Lutron Supply Co').subtotal < 500, `Lutron subtotal ${po('Lutron Supply Co').subtotal} isn't under the minimum`)
+    assert.ok(server.read(po('Lutron Supply Co').path).includes('⛔'), 'the PO note has no terms error')
+  })
+
+  const lutronPo = po('Lutron Supply Co')
+  const refused = await send(lutronPo)
+  check('under the minimum: sent is refused', () => {
+    assert.equal(refused.status, 409)
+    assert.match(refused.body.error, /minimum order/)
+    assert.deepEqual(levels(refused.body.checks), ['error'])
+    assert.match(server.read(lutronPo.path), /^status: drafted$/m)
+  })
+  const forced = await send(lutronPo, { force: true })
+  check('forced: sent', () => {
+    assert.equal(forced.status, 200, forced.body.error)
+    assert.match(server.read(lutronPo.path), /^status: sent$/m)
+    assert.ok(server.read('vault/20-wiki/customers/Robert Chen.md').includes(`order placed with [[Lutron Supply Co]] ([[${lutronPo.name}]])`))
+  })
+  const hunter = await send(po('Hunter Mill Shutters'))
+  check('within terms: sent', () => {
+    assert.equal(hunter.status, 200, hunter.body.error)
+    assert.match(server.read(po('Hunter Mill Shutters').path), /^status: sent$/m)
+  })
+} catch (e) {
+  failures.push(e.message)
+} finally {
+  server?.stop()
+}
+
+for (const f of failures) console.log(`✖ ${f}`)
+console.log(`${failures.length ? '✖' : '✓'} ${checked} purchase order checks, ${failures.length} failed`)
+process.exit(failures.length ? 1 : 0)
@@ -0,0 +1,53 @@
+// Blinds Company — vault lint.
+//
+// Checks the vault against the filing contract (see src/lib/lint.js for the
+// rules) and prints one line per problem, file:line first so editors and CI
+// logs link straight to it.
+//
+//   npm run lint-vault             # exits 1 if there are errors
+//   npm run lint-vault -- --strict # warnings fail too
+//   npm run lint-vault -- --json   # the raw result, for scripts
+//
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { buildVault } from './src/lib/parse.js'
+import { lintVault } from './src/lib/lint.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const PROJECT = path.join(__dirname, '..') // blinds-company/
+const VAULT = path.join(PROJECT, 'vault')
+
+const args = new Set(process.argv.slice(2))
+
+function walk(dir) {
+  const out = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory()) out.push(...walk(full))
+    else if (entry.name.endsWith('.md')) out.push(full)
+  }
+  return out
+}
+
+const items = walk(VAULT).map((p) => ({
+  path: path.relative(PROJECT, p).replace(/\\/g, '/'),
+  raw: fs.readFileSync(p, 'utf8'),
+}))
+const result = lintVault(buildVault(items))
+const failed = result.errors > 0 || (args.has('--strict') && result.warnings > 0)
+
+if (args.has('--json')) {
+  console.log(JSON.stringify(result, null, 2))
+} else {
+  const color = process.stdout.isTTY ? (code, s) => `\x1b[${code}m${s}\x1b[0m` : (_, s) => s
+  for (const p of result.problems) {
+    const level = p.level === 'error' ? color(31, 'error  ') : color(33, 'warning')
+    const file = path.relative(process.cwd(), path.join(PROJECT, p.path)).replace(/\\/g, '/')
+    console.log(`${file}:${p.line}  ${level}  ${p.message}  ${color(90, p.rule)}`)
+  }
+  if (result.problems.length) console.log('')
+  const summary = `${result.errors} error${result.errors === 1 ? '' : 's'}, ${result.warnings} warning${result.warnings === 1 ? '' : 's'} in ${items.length} notes`
+  console.log(failed ? color(31, `✖ ${summary}`) : color(32, `✓ ${summary}`))
+}
+process.exit(failed ? 1 : 0)
@@ -0,0 +1,95 @@
+// Blinds Company — scratch server for the check-*.mjs scripts that go through
+// the HTTP API. Copies vault/ and agents/ to a temp folder and runs server.mjs
+// on it (BLINDS_PROJECT) on a free port, so a check can post real actions
+// without touching the real vault.
+//
+//   const server = await scratchServer({ INBOX_LLM: 'mock' })
+//   const { status, body } = await server.post('/api/...', { ... })
+//   server.read('vault/...')     // a file in the scratch copy, or null
+//   server.stop()                // kills the server, removes the copy
+//
+import fs from 'node:fs'
+import os from 'node:os'
+import net from 'node:net'
+import path from 'node:path'
+import { spawn } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const PROJECT = path.join(__dirname, '..')
+
+// A port nothing is listening on.
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject)
+    probe.listen(0, () => {
+      const { port } = probe.address()
+      probe.close(() => resolve(port))
+    })
+  })
+
+// server.mjs on `project`, resolved once it's listening.
+function startServer(project, port, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['server.mjs'], {
+      cwd: __dirname,
+      env: { ...process.env, ...env, BLINDS_PROJECT: project, PORT: String(port) },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    })
+    let out = ''
+    const timer = setTimeout(() => {
+      child.kill()
+      reject(new Error(`server didn't start within 15s:\n${out}`))
+    }, 15000)
+    const listen = (d) => {
+      out += d
+      if (out.includes('model server →')) {
+        clearTimeout(timer)
+        resolve(child)
+      }
+    }
+    child.stdout.on('data', listen)
+    child.stderr.on('data', listen)
+    child.on('exit', (code) => {
+      clearTimeout(timer)
+      reject(new Error(`server exited (${code}):\n${out}`))
+    })
+  })
+}
+
+/**
+ * A server on a fresh copy of the project. env: extra environment for it;
+ * prepare(dir): called on the copy before the server starts (drop files in).
+ */
+export async function scratchServer(env = {}, prepare) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blinds-check-'))
+  let child = null
+  const stop = () => {
+    child?.kill()
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+  try {
+    for (const sub of ['vault', 'agents']) fs.cpSync(path.join(PROJECT, sub), path.join(dir, sub), { recursive: true })
+    fs.rmSync(path.join(dir, 'agents', 'runs'), { recursive: true, force: true })
+    await prepare?.(dir)
+    const port = await freePort()
+    child = await startServer(dir, port, env)
+    return {
+      dir,
+      stop,
+      read: (p) => (fs.existsSync(path.join(dir, p)) ? fs.readFileSync(path.join(dir, p), 'utf8') : null),
+      async post(url, body) {
+        const r = await fetch(`http://localhost:${port}${url}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(30000),
+        })
+        return { status: r.status, body: await r.json() }
+      },
+    }
+  } catch (e) {
+    stop()
+    throw e
+  }
+}
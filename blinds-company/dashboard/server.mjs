@@ -11,11 +11,29 @@ import express from 'express'
 import fs from 'node:fs'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
-import { spawnSync } from 'node:child_process'
-import { buildVault } from './src/lib/parse.js'
+import { spawn, spawnSync } from 'node:child_process'
+import { parseNote, assembleVault, summarizeVault, STATUS_ORDER, parseFollowUp } from './src/lib/parse.js'
+import { buildSearchIndex, searchNotes } from './src/lib/search.js'
+import { lintVault } from './src/lib/lint.js'
+import { isValidDate } from './src/lib/schema.js'
+import { APPOINTMENT_FIELDS, appointmentsOf, installCheck } from './src/lib/schedule.js'
+import { scheduleCalendar } from './src/lib/ics.js'
+import { PO_STATUSES, buildPurchaseOrders, purchaseOrderNote, poName, parseTerms, termsChecks } from './src/lib/orders.js'
+import { jobChecklist, jobName, jobNote, setJobStep } from './src/lib/jobs.js'
+import { claimMarkdown, resolveClaim } from './src/lib/warranty.js'
+import { mergeCustomerNotes, relink } from './src/lib/duplicates.js'
+import { classifyDrop, splitDrop } from './src/lib/inbox.js'
+import { buildInboxPrompt, parseProposal, checkProposal } from './src/lib/edits.js'
+import { unifiedDiff } from './src/lib/diff.js'
+import { insertIntoSection, replaceSection, setFrontmatter, removeFromSection, replaceBullet } from './src/lib/noteEdits.js'
+import { parsePriceChange } from './src/lib/priceChange.js'
+import { priceQuote, quoteTable, quoteTimelineText, dollars } from './src/lib/quote.js'
+import { buildProposal, proposalHtml, proposalPdf } from './src/lib/proposal.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
-const PROJECT = path.join(__dirname, '..') // blinds-company/
+// blinds-company/; BLINDS_PROJECT points the server at another copy (the
+// inbox check runs it against a scratch one).
+const PROJECT = process.env.BLINDS_PROJECT ? path.resolve(process.env.BLINDS_PROJECT) : path.join(__dirname, '..')
 const VAULT = path.join(PROJECT, 'vault')
 const AGENTS = path.join(PROJECT, 'agents')
 const PORT = process.env.PORT || 8787
@@ -24,35 +42,170 @@ const today = () => new Date().toISOString().slice(0, 10)
 const now = () => new Date().toISOString().slice(0, 16).replace('T', ' ')
 
 /* ------------------------------- vault I/O -------------------------------- */
-function walk(dir) {
+function walk(dir, keep = (name) => name.endsWith('.md')) {
   const out = []
   for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
     const full = path.join(dir, entry.name)
-    if (entry.isDirectory()) out.push(...walk(full))
-    else if (entry.name.endsWith('.md')) out.push(full)
+    if (entry.isDirectory()) out.push(...walk(full, keep))
+    else if (keep(entry.name)) out.push(full)
   }
   return out
 }
 
+const rel = (p) => p.slice(PROJECT.length + 1).replace(/\\/g, '/')
+
+// In-memory index of parsed notes, keyed by path (e.g. vault/20-wiki/...) and
+// checked against each file's mtime + size: a read stats the tree, re-parses
+// only the files that changed, and reassembles the model only if any did.
+// `version` bumps with every change and tags the summary's ETag.
+const index = { files: new Map(), model: null, summary: null, version: 0, boot: Date.now().toString(36) }
+
 function readVault() {
-  const items = walk(VAULT).map((p) => ({
-    path: p.slice(PROJECT.length + 1).replace(/\\/g, '/'), // e.g. vault/20-wiki/...
-    raw: fs.readFileSync(p, 'utf8'),
-  }))
-  return buildVault(items)
+  let changed = index.model == null
+  const seen = new Set()
+  for (const p of walk(VAULT)) {
+    const key = rel(p)
+    seen.add(key)
+    const st = fs.statSync(p)
+    const hit = index.files.get(key)
+    if (hit && hit.mtimeMs === st.mtimeMs && hit.size === st.size) continue
+    index.files.set(key, { mtimeMs: st.mtimeMs, size: st.size, note: parseNote({ path: key, raw: fs.readFileSync(p, 'utf8') }) })
+    changed = true
+  }
+  for (const key of index.files.keys()) {
+    if (seen.has(key)) continue
+    index.files.delete(key)
+    changed = true
+  }
+  if (changed) {
+    index.model = assembleVault([...index.files.values()].map((f) => f.note))
+    index.summary = null
+    index.version++
+  }
+  return index.model
+}
+
+// The model without note bodies (see summarizeVault), cached per version.
+function readSummary() {
+  const v = readVault()
+  return (index.summary ??= summarizeVault(v))
 }
 
 const abs = (relPath) => path.join(PROJECT, relPath)
 const append = (relPath, text) => fs.appendFileSync(abs(relPath), text)
 
-/* ----------------------------- markdown edits ----------------------------- */
-// Append a line at the end of a "## Section" block.
-function insertIntoSection(body, name, line) {
-  const re = new RegExp(`(^##\\s+${name}\\s*$)([\\s\\S]*?)(?=^##\\s|$(?![\\s\\S]))`, 'mi')
-  if (!re.test(body)) return body.trimEnd() + `\n\n## ${name}\n${line}\n`
-  return body.replace(re, (_, head, block) => `${head}${block.trimEnd()}\n${line}\n\n`)
+// Write a file (creating folders as needed), or remove it when text is null.
+function writeOrRemove(relPath, text) {
+  if (text == null) {
+    if (fs.existsSync(abs(relPath))) fs.unlinkSync(abs(relPath))
+    return
+  }
+  fs.mkdirSync(path.dirname(abs(relPath)), { recursive: true })
+  fs.writeFileSync(abs(relPath), text)
+}
+
+/* ------------------------------- changesets ------------------------------- */
+// Workflow actions write through a changeset instead of calling fs directly.
+// Each file is read once and edits stack in memory; commit() writes them,
+// performs the moves and records the run (see run history below). A dry run
+// never commits and returns diff() instead, so the preview is exactly what
+// Apply will write.
+function changeset() {
+  const files = new Map() // relPath -> { before, after }; null = file absent
+  const moves = [] // { from, to }
+  const entry = (p) => {
+    if (!files.has(p)) {
+      const before = fs.existsSync(abs(p)) ? fs.readFileSync(abs(p), 'utf8') : null
+      files.set(p, { before, after: before })
+    }
+    return files.get(p)
+  }
+  return {
+    read: (p) => entry(p).after,
+    write: (p, text) => {
+      entry(p).after = text
+    },
+    append: (p, text) => {
+      const e = entry(p)
+      e.after = (e.after ?? '') + text
+    },
+    move: (from, to) => moves.push({ from, to }),
+    // [{ path, change: 'create' | 'edit' | 'move', to?, diff }]
+    diff: () => [
+      ...[...files]
+        .filter(([, f]) => f.before !== f.after)
+        .map(([p, f]) => ({ path: p, change: f.before == null ? 'create' : 'edit', diff: unifiedDiff(f.before, f.after, p) })),
+      ...moves.map((m) => ({ path: m.from, change: 'move', to: m.to, diff: '' })),
+    ],
+    // returns the run ID the pre-run content was saved under
+    commit(action) {
+      const changed = [...files].filter(([, f]) => f.before !== f.after)
+      const runId = saveRun(action, changed.map(([p, f]) => ({ path: p, ...f })), moves)
+      for (const [p, f] of changed) writeOrRemove(p, f.after)
+      for (const m of moves) fs.renameSync(abs(m.from), abs(m.to))
+      return runId
+    },
+  }
 }
 
+/* ------------------------------- run history ------------------------------ */
+// Each committed action run is saved to agents/runs/<id>.json with the before
+// and after content of every file it wrote, and the files it moved. Rollback
+// puts the before content back (and moves files back) — saved before anything
+// is written, so a run that fails halfway can still be undone.
+const RUNS = path.join(AGENTS, 'runs')
+const runFile = (id) => path.join(RUNS, `${id}.json`)
+
+function saveRun(action, files, moves) {
+  fs.mkdirSync(RUNS, { recursive: true })
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-')
+  let id = `${stamp}--${action}`
+  for (let n = 2; fs.existsSync(runFile(id)); n++) id = `${stamp}--${action}-${n}`
+  fs.writeFileSync(runFile(id), JSON.stringify({ id, action, ranAt: now(), files, moves }, null, 2) + '\n')
+  return id
+}
+
+function readRun(id) {
+  if (!/^[\w-]+$/.test(id) || !fs.existsSync(runFile(id))) return null
+  return JSON.parse(fs.readFileSync(runFile(id), 'utf8'))
+}
+
+// Undo a run. A file edited since the run is a conflict, except a log that
+// only had more lines appended: those later lines are kept. With force, the
+// pre-run content wins anyway.
+function rollbackRun(run, force) {
+  const conflicts = []
+  const plan = []
+  for (const m of run.moves) if (!fs.existsSync(abs(m.to)) || fs.existsSync(abs(m.from))) conflicts.push(m.to)
+  for (const f of run.files) {
+    // a file edited and then moved is checked where it ended up
+    const at = run.moves.find((m) => m.from === f.path)?.to ?? f.path
+    const cur = fs.existsSync(abs(at)) ? fs.readFileSync(abs(at), 'utf8') : null
+    if (cur === f.after) plan.push([f.path, f.before])
+    else if (cur != null && f.before != null && f.after?.startsWith(f.before) && cur.startsWith(f.after)) {
+      plan.push([f.path, f.before + cur.slice(f.after.length)])
+    } else {
+      conflicts.push(f.path)
+      plan.push([f.path, f.before])
+    }
+  }
+  if (conflicts.length && !force) return { ok: false, conflicts }
+
+  for (const m of [...run.moves].reverse()) {
+    if (fs.existsSync(abs(m.to)) && !fs.existsSync(abs(m.from))) fs.renameSync(abs(m.to), abs(m.from))
+  }
+  for (const [p, text] of plan) writeOrRemove(p, text)
+  run.rolledBackAt = now()
+  fs.writeFileSync(runFile(run.id), JSON.stringify(run, null, 2) + '\n')
+  return { ok: true, conflicts, restored: plan.map(([p]) => p), movedBack: run.moves.map((m) => m.from) }
+}
+
+/* ----------------------------- markdown edits ----------------------------- */
+// insertIntoSection, replaceSection, setFrontmatter, removeFromSection and
+// replaceBullet live in src/lib/noteEdits.js; they keep a note's line endings.
+const timelineLine = (date, text) => `- ${date} — ${text}`
+const escapeRe = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
 function daysBetween(a, b) {
   return Math.round((Date.parse(b) - Date.parse(a)) / 86400000)
 }
@@ -62,24 +215,659 @@ const app = express()
 app.use(express.json())
 
 app.get('/api/status', (_req, res) => {
-  res.json({ server: true, claude: hasClaude(), ranAt: now() })
+  res.json({ server: true, claude: hasClaude(), llm: inboxProvider().provider?.name ?? null, ranAt: now() })
 })
 
 app.get('/api/vault', (_req, res) => {
   res.json(readVault())
 })
 
+// What the dashboard loads: every derived field, no note bodies. Unchanged
+// since the client's copy → 304 without serializing anything.
+app.get('/api/vault/summary', (req, res) => {
+  const summary = readSummary()
+  const etag = `"${index.boot}-${index.version}"`
+  res.set('ETag', etag)
+  if (req.get('If-None-Match') === etag) return res.status(304).end()
+  res.json(summary)
+})
+
+// One note with its body, e.g. GET /api/notes/vault/20-wiki/customers/Maria%20Garcia.md
+app.get('/api/notes/*', (req, res) => {
+  readVault()
+  const hit = index.files.get(req.params[0])
+  if (!hit) return res.status(404).json({ error: `No note at ${req.params[0]}.` })
+  const { path: p, name, fm, body, links } = hit.note
+  res.json({ path: p, name, fm, body, links })
+})
+
+/* ---- attachments ---------------------------------------------------------- */
+// Images embedded in notes. GET /api/files/vault/20-wiki/attachments/photo.jpg
+// serves that file; a bare name (/api/files/photo.jpg) or a path that doesn't
+// exist is looked up by filename anywhere in the vault, the way Obsidian
+// resolves ![[photo.jpg]]. Never serves anything outside vault/.
+app.get('/api/files/*', (req, res) => {
+  const want = req.params[0]
+  const direct = path.resolve(PROJECT, want)
+  let file = direct.startsWith(VAULT + path.sep) && fs.existsSync(direct) && fs.statSync(direct).isFile() ? direct : null
+  if (!file) {
+    const name = path.basename(want)
+    file = walk(VAULT, (n) => n === name)[0] || null
+  }
+  if (!file) return res.status(404).json({ error: `No attachment ${want} in the vault.` })
+  res.sendFile(file)
+})
+
+/* ---- full-text search ---------------------------------------------------- */
+// Built from the index once per vault version; the palette queries it as you
+// type. Static builds run the same search (src/lib/search.js) in the browser.
+const search = { version: -1, index: null }
+
+app.get('/api/search', (req, res) => {
+  const v = readVault()
+  if (search.version !== index.version) {
+    search.index = buildSearchIndex(v.notes)
+    search.version = index.version
+  }
+  const perGroup = Math.min(Number(req.query.limit) || 6, 50)
+  res.json(searchNotes(search.index, String(req.query.q || ''), { perGroup }))
+})
+
+/* ---- vault lint ------------------------------------------------------------ */
+// The filing-contract checks `npm run lint-vault` runs (src/lib/lint.js), on the
+// live index: { ok, errors, warnings, problems: [{ rule, level, path, line, message }] }.
+app.get('/api/lint', (_req, res) => {
+  res.json(lintVault(readVault()))
+})
+
+/* ---- live updates: watch the vault + logs, push patches over SSE --------- */
+// When files change (Obsidian edits, actions, a git pull) the watcher refreshes
+// the index — re-parsing just those notes — and sends each open dashboard a
+// patch between the summary it last sent and the new one. Changes are batched
+// for 150 ms so a save that touches several files goes out as one event.
+const LOGS = path.join(AGENTS, 'logs')
+const live = { model: null, clients: new Set(), pending: new Set(), timer: null }
+
+// Per model key: { upsert, remove, order } for collections of notes (entries
+// that changed, paths gone, new path order), or { value } for anything else.
+function patchModel(prev, next) {
+  const patch = {}
+  for (const [key, value] of Object.entries(next)) {
+    const before = prev[key]
+    if (Array.isArray(value) && value.every((x) => x?.path)) {
+      const old = new Map((before || []).map((x) => [x.path, JSON.stringify(x)]))
+      const upsert = value.filter((x) => old.get(x.path) !== JSON.stringify(x))
+      const order = value.map((x) => x.path)
+      const remove = [...old.keys()].filter((p) => !order.includes(p))
+      if (upsert.length || remove.length || order.join('\n') !== [...old.keys()].join('\n'))
+        patch[key] = { upsert, remove, order }
+    } else if (JSON.stringify(value) !== JSON.stringify(before)) patch[key] = { value }
+  }
+  return patch
+}
+
+function broadcast(event, data) {
+  const msg = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+  for (const res of live.clients) res.write(msg)
+}
+
+function flushChanges() {
+  const changed = [...live.pending]
+  live.pending.clear()
+  live.timer = null
+  const at = new Date().toISOString()
+  const notes = changed.filter((p) => p.startsWith('vault/'))
+  const logs = changed.filter((p) => p.startsWith('agents/logs/'))
+  if (notes.length) {
+    const next = readSummary()
+    const patch = patchModel(live.model, next)
+    live.model = next
+    if (Object.keys(patch).length) broadcast('vault', { at, changed: notes, patch })
+  }
+  if (logs.length) broadcast('logs', { at, changed: logs })
+}
+
+function watchTree(dir) {
+  fs.watch(dir, { recursive: true }, (_event, filename) => {
+    if (!filename || !filename.endsWith('.md')) return
+    live.pending.add(rel(path.join(dir, filename)))
+    clearTimeout(live.timer)
+    live.timer = setTimeout(flushChanges, 150)
+  })
+}
+
+function startWatching() {
+  live.model = readSummary()
+  for (const dir of [VAULT, LOGS]) {
+    try {
+      watchTree(dir)
+    } catch (e) {
+      console.warn(`Not watching ${rel(dir)} for live updates: ${e.message}`)
+    }
+  }
+}
+
+// Server-Sent Events: `hello` on connect, then `vault` ({ at, changed, patch })
+// and `logs` ({ at, changed }) as files change. A comment line every 25 s keeps
+// proxies from closing an idle stream.
+app.get('/api/events', (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+  res.flushHeaders()
+  res.write(`retry: 3000\nevent: hello\ndata: ${JSON.stringify({ at: new Date().toISOString() })}\n\n`)
+  live.clients.add(res)
+  const ping = setInterval(() => res.write(': ping\n\n'), 25000)
+  req.on('close', () => {
+    clearInterval(ping)
+    live.clients.delete(res)
+  })
+})
+
+/* ---- run history + rollback ---------------------------------------------- */
+app.get('/api/runs', (_req, res) => {
+  if (!fs.existsSync(RUNS)) return res.json([])
+  const runs = fs
+    .readdirSync(RUNS)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(RUNS, f), 'utf8')))
+    .sort((a, b) => b.id.localeCompare(a.id))
+    .map(({ files, ...run }) => ({
+      ...run,
+      files: files.map((f) => ({ path: f.path, change: f.before == null ? 'create' : f.after == null ? 'delete' : 'edit' })),
+    }))
+  res.json(runs)
+})
+
+app.post('/api/runs/:id/rollback', (req, res) => {
+  const run = readRun(req.params.id)
+  if (!run) return res.status(404).json({ error: `No run ${req.params.id}.` })
+  if (run.rolledBackAt) return res.status(409).json({ error: `Already rolled back at ${run.rolledBackAt}.` })
+  const out = rollbackRun(run, Boolean(req.body?.force))
+  if (!out.ok) {
+    return res.status(409).json({
+      error: `Changed since the run: ${out.conflicts.join(', ')}. Roll back anyway to overwrite them.`,
+      conflicts: out.conflicts,
+    })
+  }
+  append(
+    'agents/logs/processing-log.md',
+    `\n## ${now()} — rollback of ${run.action} run ${run.id}\n- Restored: ${out.restored.join(', ') || 'none'}\n` +
+      (out.movedBack.length ? `- Moved back: ${out.movedBack.join(', ')}\n` : '') +
+      (out.conflicts.length ? `- Overwrote later edits in: ${out.conflicts.join(', ')}\n` : ''),
+  )
+  res.json({ id: run.id, ...out })
+})
+
+/* ---- customer notes: create, set status, log to the timeline ------------- */
+const CUSTOMERS = 'vault/20-wiki/customers'
+
+// Note names become filenames, so keep them to something Obsidian can link to.
+const validName = (name) =>
+  typeof name === 'string' && name.trim() !== '' && !/[\\/:*?"<>|#^[\]]|\.\./.test(name)
+
+function findCustomer(v, name) {
+  return v.customers.find((c) => c.filename === name)
+}
+
+// The standard customer note, same shape as the ones Claude Code files.
+function customerTemplate(d, t) {
+  const name = d.name.trim()
+  const parts = name.split(/\s+/)
+  const alias = parts.length > 1 ? `${parts.slice(-1)[0]}, ${parts.slice(0, -1).join(' ')}` : null
+  const contact = [d.phone, d.email, d.address].map((x) => (x || '').trim()).filter(Boolean).join(' / ')
+  const field = (x) => (x || '').trim() || 'unknown'
+  return (
+    `---\ntype: customer\naliases: [${alias ? `"${alias}"` : ''}]\nstatus: lead\ncreated: ${t}\ntags: [customer]\n---\n` +
+    `# ${name}\n\n` +
+    `- **Contact:** ${contact || 'unknown'}\n` +
+    `- **Source:** ${field(d.source)}\n` +
+    `- **Rooms / openings:** ${field(d.openings)}\n` +
+    `- **Products of interest:** ${field(d.products)}\n` +
+    `- **Budget signal:** ${field(d.budget)}\n\n` +
+    `## Timeline\n${timelineLine(t, `first contact: ${(d.firstContact || '').trim() || 'added from the dashboard'}`)}\n\n` +
+    `## Notes\n`
+  )
+}
+
+app.post('/api/customers', (req, res) => {
+  const d = req.body || {}
+  if (!validName(d.name)) return res.status(400).json({ error: 'A customer name is required (no / \\ : # [ ] characters).' })
+  const file = `${CUSTOMERS}/${d.name.trim()}.md`
+  if (fs.existsSync(abs(file))) return res.status(409).json({ error: `${d.name.trim()} already has a note.` })
+  fs.writeFileSync(abs(file), customerTemplate(d, today()))
+  res.json({ ok: true, path: file })
+})
+
+// Moving a customer also logs "moved quoted → won" on the timeline. Passing
+// `undo` (the line a previous move returned) reverts that move instead: the
+// status goes back and the auto-logged line is removed, leaving no trace. Only
+// a "- <date> — moved <status> → <current status>" line under ## Timeline is
+// ever removed; if it has been edited away, just the status goes back.
+app.post('/api/customers/:name/status', (req, res) => {
+  const c = findCustomer(readVault(), req.params.name)
+  if (!c) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  const status = String(req.body?.status || '').toLowerCase()
+  if (!STATUS_ORDER.includes(status)) return res.status(400).json({ error: `Unknown status "${status}".` })
+  if (status === c.status) return res.json({ ok: true, path: c.path, from: c.status, status, line: null })
+  let raw = setFrontmatter(fs.readFileSync(abs(c.path), 'utf8'), 'status', status)
+  let line = null
+  if (req.body?.undo) {
+    const undo = String(req.body.undo)
+    const moved = new RegExp(`^- \\d{4}-\\d{2}-\\d{2} — moved ${escapeRe(status)} → ${escapeRe(c.status)}$`)
+    if (!moved.test(undo)) return res.status(400).json({ error: `"${undo}" isn't the timeline line for a move from ${status} to ${c.status}.` })
+    raw = removeFromSection(raw, 'Timeline', undo) ?? raw
+  } else {
+    line = timelineLine(today(), `moved ${c.status} → ${status}`)
+    raw = insertIntoSection(raw, 'Timeline', line)
+  }
+  fs.writeFileSync(abs(c.path), raw)
+  res.json({ ok: true, path: c.path, from: c.status, status, line })
+})
+
+app.post('/api/customers/:name/timeline', (req, res) => {
+  const c = findCustomer(readVault(), req.params.name)
+  if (!c) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  const text = String(req.body?.text || '').replace(/\s+/g, ' ').trim()
+  if (!text) return res.status(400).json({ error: 'Timeline text is required.' })
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(req.body?.date || '') ? req.body.date : today()
+  const line = timelineLine(date, text)
+  const raw = fs.readFileSync(abs(c.path), 'utf8')
+  fs.writeFileSync(abs(c.path), insertIntoSection(raw, 'Timeline', line))
+  res.json({ ok: true, path: c.path, line })
+})
+
+// Book or reschedule a measure / install: sets `measure_date:` or
+// `install_date:` and logs "install booked for …" / "install rescheduled … →
+// …" on the timeline. An install is checked against the order date plus the
+// supplier lead time (src/lib/schedule.js); the reply's `check` carries any
+// warning — it's the owner's call, so the booking is written either way.
+app.post('/api/customers/:name/schedule', (req, res) => {
+  const v = readVault()
+  const c = findCustomer(v, req.params.name)
+  if (!c) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  const kind = String(req.body?.kind || '')
+  const field = APPOINTMENT_FIELDS[kind]
+  if (!field) return res.status(400).json({ error: `Unknown appointment "${kind}" (expected ${Object.keys(APPOINTMENT_FIELDS).join(' or ')}).` })
+  const date = String(req.body?.date || '')
+  if (!isValidDate(date)) return res.status(400).json({ error: 'A YYYY-MM-DD date is required.' })
+  const from = appointmentsOf(c).filter((a) => a.kind === kind && !a.done).pop()?.date || null
+  const check = kind === 'install' ? installCheck(c, v, date) : null
+  if (from === date && c.fm[field] === date) return res.json({ ok: true, path: c.path, kind, date, from, line: null, check })
+  const line = timelineLine(today(), from && from !== date ? `${kind} rescheduled ${from} → ${date}` : `${kind} booked for ${date}`)
+  const raw = setFrontmatter(fs.readFileSync(abs(c.path), 'utf8'), field, date)
+  fs.writeFileSync(abs(c.path), from === date ? raw : insertIntoSection(raw, 'Timeline', line))
+  res.json({ ok: true, path: c.path, kind, date, from, line: from === date ? null : line, check })
+})
+
+/* ---- calendar: measures and installs as iCalendar ------------------------ */
+// GET /api/schedule.ics is the feed to subscribe to from a phone; the
+// per-customer file is for sending one booking. Both are rebuilt from the
+// notes on every request (src/lib/ics.js), so a reschedule shows up on the
+// next refresh under the same event UID.
+function sendCalendar(res, ics, filename) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8')
+  if (filename) res.set('Content-Disposition', `attachment; filename="${filename}"`)
+  res.send(ics)
+}
+
+app.get('/api/schedule.ics', (_req, res) => {
+  sendCalendar(res, scheduleCalendar(readVault()))
+})
+
+app.get('/api/customers/:name/schedule.ics', (req, res) => {
+  const v = readVault()
+  const c = findCustomer(v, req.params.name)
+  if (!c) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  const ics = scheduleCalendar(v, { customers: [c], name: `${c.name} — measure & install` })
+  sendCalendar(res, ics, `${c.filename.replace(/[^\w.-]+/g, '-')}.ics`)
+})
+
+/* ---- duplicate customers: fold one note into another --------------------- */
+// POST /api/customers/<keep>/merge { from: <other>, dryRun }. The other note's
+// timeline, bullets, sections, aliases and links go into the keeper; every
+// [[Other]] link in the vault (10-raw/ originals aside) is pointed at the
+// keeper; the other note moves to 90-archive/ with `merged_into:`. One run,
+// so the whole merge rolls back from the System tab.
+const ARCHIVE = 'vault/90-archive'
+const yamlList = (xs) => `[${xs.map((x) => JSON.stringify(x)).join(', ')}]`
+
+app.post('/api/customers/:name/merge', (req, res) => {
+  const v = readVault()
+  const keep = findCustomer(v, req.params.name)
+  const from = findCustomer(v, String(req.body?.from || ''))
+  if (!keep) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  if (!from) return res.status(404).json({ error: `No customer note named ${req.body?.from}.` })
+  if (from.path === keep.path) return res.status(400).json({ error: 'Pick two different customers to merge.' })
+  const archived = `${ARCHIVE}/${from.filename}.md`
+  if (fs.existsSync(abs(archived))) return res.status(409).json({ error: `${archived} already exists — rename it first.` })
+
+  const t = today()
+  const cs = changeset()
+  const merged = mergeCustomerNotes(keep, from, timelineLine(t, `merged the duplicate note "${from.name}" into this one`))
+  const before = cs.read(keep.path)
+  const fm = before.match(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/)?.[0].replace(/\r\n/g, '\n') || ''
+  let raw = fm + merged.body
+  raw = setFrontmatter(raw, 'aliases', yamlList(merged.aliases))
+  raw = setFrontmatter(raw, 'tags', `[${merged.tags.join(', ')}]`)
+  if (merged.created) raw = setFrontmatter(raw, 'created', merged.created)
+  cs.write(keep.path, raw)
+
+  const relinked = []
+  for (const n of v.notes) {
+    if (n.path === keep.path || n.path === from.path || n.folder === '10-raw') continue
+    const text = cs.read(n.path)
+    const next = [from.filename, from.name].reduce((s, name) => relink(s, name, keep.filename), text)
+    if (next !== text) {
+      cs.write(n.path, next)
+      relinked.push(n.filename)
+    }
+  }
+
+  // the archived copy hands its aliases to the keeper so links resolve there
+  let old = setFrontmatter(cs.read(from.path), 'merged_into', `"[[${keep.filename}]]"`)
+  old = setFrontmatter(old, 'aliases', '[]')
+  cs.write(from.path, old)
+  cs.move(from.path, archived)
+
+  cs.append(
+    'agents/logs/processing-log.md',
+    `\n## ${now()} — merge duplicate customers\n` +
+      `- Kept: [[${keep.filename}]] (timeline: ${merged.timeline} entries)\n` +
+      `- Merged: ${from.name} → archived at \`${archived.replace(/^vault\//, '')}\`\n` +
+      `- Relinked: ${relinked.length ? relinked.map((n) => `[[${n}]]`).join(', ') : 'none'}\n`,
+  )
+  const dryRun = Boolean(req.body?.dryRun)
+  const runId = dryRun ? null : cs.commit('merge-customers')
+  res.json({ ok: true, dryRun, runId, path: keep.path, archived, relinked, changes: cs.diff() })
+})
+
+/* ---- quote builder: itemized ## Quote table + the "quoted $X" line -------- */
+// The browser sends only what was picked (opening, product, qty, add-ons); the
+// prices come from the catalog here, so a stale tab can't write stale numbers.
+// A lead that gets a quote moves to quoted.
+app.post('/api/customers/:name/quote', (req, res) => {
+  const v = readVault()
+  const c = findCustomer(v, req.params.name)
+  if (!c) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  const lines = Array.isArray(req.body?.lines) ? req.body.lines : []
+  const unknown = lines.filter((l) => l.product && !v.products.some((p) => p.name === l.product))
+  if (unknown.length) return res.status(400).json({ error: `Not in the catalog: ${unknown.map((l) => l.product).join(', ')}.` })
+  const q = priceQuote(lines, v.products, v.addOns)
+  if (!q.lines.length) return res.status(400).json({ error: 'Add at least one opening with a product and quantity.' })
+  const noPrice = q.lines.filter((l) => !v.products.find((p) => p.name === l.product).sell)
+  if (noPrice.length) return res.status(400).json({ error: `No sell price on file for ${noPrice.map((l) => l.product).join(', ')}.` })
+
+  const t = today()
+  const line = timelineLine(t, quoteTimelineText(q))
+  let raw = fs.readFileSync(abs(c.path), 'utf8')
+  raw = replaceSection(raw, 'Quote', quoteTable(q, t), 'Timeline')
+  raw = insertIntoSection(raw, 'Timeline', line)
+  if (c.status === 'lead') raw = setFrontmatter(raw, 'status', 'quoted')
+  fs.writeFileSync(abs(c.path), raw)
+  res.json({ ok: true, path: c.path, line, total: q.total, margin: q.margin, status: c.status === 'lead' ? 'quoted' : c.status })
+})
+
+/* ---- proposal: printable HTML + PDF from the ## Quote -------------------- */
+// GET renders on demand (no side effects); POST is the "Proposal" button — it
+// dates the proposal in the timeline, once per day, and returns both URLs.
+function proposalFor(req, res) {
+  const v = readVault()
+  const c = findCustomer(v, req.params.name)
+  if (!c) return void res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  const m = buildProposal(c, v, today())
+  if (!m) return void res.status(400).json({ error: `${c.name} has no itemized quote yet — build one first.` })
+  return { c, m }
+}
+
+const proposalUrl = (c, ext = '') => `/api/customers/${encodeURIComponent(c.filename)}/proposal${ext}`
+
+app.get('/api/customers/:name/proposal', (req, res) => {
+  const p = proposalFor(req, res)
+  if (p) res.type('html').send(proposalHtml(p.m, { pdfUrl: proposalUrl(p.c, '.pdf') }))
+})
+
+app.get('/api/customers/:name/proposal.pdf', (req, res) => {
+  const p = proposalFor(req, res)
+  if (!p) return
+  res.type('pdf')
+  res.set('Content-Disposition', `inline; filename="Proposal - ${p.c.filename} - ${p.m.date}.pdf"`)
+  res.send(Buffer.from(proposalPdf(p.m)))
+})
+
+app.post('/api/customers/:name/proposal', (req, res) => {
+  const p = proposalFor(req, res)
+  if (!p) return
+  const line = timelineLine(p.m.date, `proposal generated (${dollars(p.m.total)}, ${p.m.openings} openings)`)
+  const raw = fs.readFileSync(abs(p.c.path), 'utf8')
+  const logged = !raw.split(/\r?\n/).includes(line)
+  if (logged) fs.writeFileSync(abs(p.c.path), insertIntoSection(raw, 'Timeline', line))
+  res.json({ ok: true, path: p.c.path, line: logged ? line : null, html: proposalUrl(p.c), pdf: proposalUrl(p.c, '.pdf') })
+})
+
+/* ---- purchase orders: won quotes → one PO note per supplier --------------- */
+// POST /api/customers/<name>/orders { dryRun } drafts a PO in 30-projects/
+// for each supplier on the quote that doesn't have one for this customer yet,
+// checked against the supplier's terms (src/lib/orders.js). The customer's
+// timeline and the supplier's `## Orders` section link to it. Moving a PO
+// along drafted → sent → confirmed → received is
+// POST /api/orders/<PO name>/status { status }; "sent" logs "order placed"
+// on the customer (the Schedule tab's order date), "received" logs the
+// delivery. Both are runs, so they roll back from the System tab.
+const PROJECTS = 'vault/30-projects'
+const ORDERABLE = ['won', 'installed', 'warranty']
+
+app.post('/api/customers/:name/orders', (req, res) => {
+  const v = readVault()
+  const c = findCustomer(v, req.params.name)
+  if (!c) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  if (!ORDERABLE.includes(c.status)) return res.status(400).json({ error: `${c.name} is ${c.status} — purchase orders are for won deals.` })
+  const { orders, unplaced } = buildPurchaseOrders(c, v)
+  if (!orders.length)
+    return res.status(400).json({ error: `Nothing to order: no quoted products with a supplier and a cost${unplaced.length ? ` (${unplaced.map((u) => `${u.product}: ${u.reason}`).join('; ')})` : ''}.` })
+
+  const t = today()
+  const cs = changeset()
+  const drafted = []
+  const existing = []
+  for (const o of orders) {
+    const open = v.orders.find((x) => x.customer === c.name && x.supplier === o.supplier)
+    if (open) {
+      existing.push({ supplier: o.supplier, path: open.path, status: open.status })
+      continue
+    }
+    const name = poName(t, o.supplier, c.name)
+    const file = `${PROJECTS}/${name}.md`
+    if (cs.read(file) != null) return res.status(409).json({ error: `${file} already exists.` })
+    cs.write(file, purchaseOrderNote(o, c, t))
+    cs.write(c.path, insertIntoSection(cs.read(c.path), 'Timeline', timelineLine(t, `PO drafted for [[${o.supplier}]]: [[${name}]] (${dollars(o.subtotal)})`)))
+    cs.write(o.supplierPath, insertIntoSection(cs.read(o.supplierPath), 'Orders', timelineLine(t, `[[${name}]] for [[${c.name}]], ${dollars(o.subtotal)}`)))
+    drafted.push({ ...o, path: file, name })
+  }
+  const dryRun = Boolean(req.body?.dryRun)
+  const runId = dryRun || !drafted.length ? null : cs.commit('purchase-orders')
+  res.json({ ok: true, dryRun, runId, drafted, existing, unplaced, changes: cs.diff() })
+})
+
+app.post('/api/orders/:name/status', (req, res) => {
+  const v = readVault()
+  const po = v.orders.find((o) => o.filename === req.params.name)
+  if (!po) return res.status(404).json({ error: `No purchase order named ${req.params.name}.` })
+  const status = String(req.body?.status || '').toLowerCase()
+  if (!PO_STATUSES.includes(status)) return res.status(400).json({ error: `Unknown PO status "${status}" (expected ${PO_STATUSES.join(', ')}).` })
+  if (status === po.status) return res.json({ ok: true, path: po.path, from: po.status, status, runId: null, changes: [] })
+  // re-check the terms on the way out: a PO under the minimum isn't sent without { force }
+  const supplier = v.suppliers.find((s) => s.name === po.supplier)
+  const blocking = termsChecks(po.total, parseTerms(supplier?.terms)).filter((k) => k.level === 'error')
+  if (status === 'sent' && blocking.length && !req.body?.force)
+    return res.status(409).json({ error: `Not sent: ${blocking.map((k) => k.message).join('; ')}. Send anyway with force.`, checks: blocking })
+
+  const t = today()
+  const cs = changeset()
+  let raw = setFrontmatter(cs.read(po.path), 'status', status)
+  raw = insertIntoSection(raw, 'Status', timelineLine(t, PO_STATUSES.indexOf(status) < PO_STATUSES.indexOf(po.status) ? `back to ${status}` : status))
+  cs.write(po.path, raw)
+  const customer = v.customers.find((c) => c.name === po.customer)
+  const event = { sent: `order placed with [[${po.supplier}]]`, received: `order received from [[${po.supplier}]]` }[status]
+  if (customer && event) cs.write(customer.path, insertIntoSection(cs.read(customer.path), 'Timeline', timelineLine(t, `${event} ([[${po.filename}]])`)))
+  const dryRun = Boolean(req.body?.dryRun)
+  const runId = dryRun ? null : cs.commit('po-status')
+  res.json({ ok: true, dryRun, runId, path: po.path, from: po.status, status, changes: cs.diff() })
+})
+
+/* ---- jobs: won customer → install project with the SOP checklist ----------- */
+// POST /api/customers/<name>/job { dryRun } writes `Job - <Customer>.md` in
+// 30-projects/ with the install SOP as a checklist (src/lib/jobs.js) and
+// links it from the customer's timeline. POST /api/projects/<name>/steps
+// { step, done } ticks or unticks one step; ticking the last completes the job
+// and moves a won customer to installed. Both are runs.
+app.post('/api/customers/:name/job', (req, res) => {
+  const v = readVault()
+  const c = findCustomer(v, req.params.name)
+  if (!c) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  if (c.status !== 'won') return res.status(400).json({ error: `${c.name} is ${c.status} — jobs start from won deals.` })
+  const open = v.projects.find((p) => p.customer === c.name && p.status === 'active')
+  if (open) return res.status(409).json({ error: `${c.name} already has an active job: ${open.filename}.`, path: open.path })
+  const checklist = jobChecklist(v)
+  if (!checklist.steps.length)
+    return res.status(400).json({ error: 'No install checklist: add numbered steps to an install SOP (type: sop) in 20-wiki/operations.' })
+
+  const t = today()
+  const name = jobName(c.name)
+  const file = `${PROJECTS}/${name}.md`
+  const cs = changeset()
+  if (cs.read(file) != null) return res.status(409).json({ error: `${file} already exists.` })
+  cs.write(file, jobNote(c, checklist, t, v))
+  cs.write(c.path, insertIntoSection(cs.read(c.path), 'Timeline', timelineLine(t, `job started: [[${name}]]`)))
+  const dryRun = Boolean(req.body?.dryRun)
+  const runId = dryRun ? null : cs.commit('start-job')
+  res.json({ ok: true, dryRun, runId, path: file, steps: checklist.steps, changes: cs.diff() })
+})
+
+app.post('/api/projects/:name/steps', (req, res) => {
+  const v = readVault()
+  const job = v.projects.find((p) => p.filename === req.params.name)
+  if (!job) return res.status(404).json({ error: `No project named ${req.params.name}.` })
+  const step = Number(req.body?.step)
+  const done = req.body?.done !== false
+  const t = today()
+  const cs = changeset()
+  const result = Number.isInteger(step) ? setJobStep(cs.read(job.path), step, done, t) : null
+  if (!result) return res.status(400).json({ error: `${job.filename} has no step ${req.body?.step} in its ## Checklist.` })
+
+  const complete = result.steps.every((s) => s.done)
+  const status = complete ? 'done' : 'active'
+  let raw = result.raw
+  if (status !== job.status) {
+    raw = setFrontmatter(raw, 'status', status)
+    raw = insertIntoSection(raw, 'Log', timelineLine(t, complete ? 'job complete' : `reopened: ${result.step}`))
+  }
+  cs.write(job.path, raw)
+  const customer = v.customers.find((c) => c.name === job.customer)
+  const installed = complete && status !== job.status && customer?.status === 'won'
+  if (installed) {
+    const note = setFrontmatter(cs.read(customer.path), 'status', 'installed')
+    cs.write(customer.path, insertIntoSection(note, 'Timeline', timelineLine(t, `installed — [[${job.filename}]] checklist complete (moved won → installed)`)))
+  }
+  const dryRun = Boolean(req.body?.dryRun)
+  const runId = dryRun ? null : cs.commit('job-step')
+  res.json({ ok: true, dryRun, runId, path: job.path, step: result.step, done, status, installed: installed ? customer.path : null, changes: cs.diff() })
+})
+
+/* ---- warranty claims: ### blocks under a customer's ## Warranty ------------ */
+// POST /api/customers/<name>/warranty { issue, product, covered, coverage }
+// adds a claim (src/lib/warranty.js) and moves an installed customer to
+// warranty; POST /api/customers/<name>/warranty/<index>/resolve
+// { resolution } closes one, and the last open claim closing moves them back
+// to installed. Both are runs.
+const CLAIMABLE = ['installed', 'warranty']
+
+app.post('/api/customers/:name/warranty', (req, res) => {
+  const v = readVault()
+  const c = findCustomer(v, req.params.name)
+  if (!c) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  if (!CLAIMABLE.includes(c.status)) return res.status(400).json({ error: `${c.name} is ${c.status} — warranty claims are for installed customers.` })
+  const issue = String(req.body?.issue || '').replace(/\s+/g, ' ').trim()
+  if (!issue) return res.status(400).json({ error: 'Describe the issue.' })
+  const product = v.products.find((p) => p.name === req.body?.product)
+  if (!product) return res.status(400).json({ error: `No product note named "${req.body?.product || ''}".` })
+  const date = req.body?.date ? String(req.body.date) : today()
+  if (!isValidDate(date)) return res.status(400).json({ error: 'The date must be YYYY-MM-DD.' })
+  const covered = { yes: true, no: false }[req.body?.covered] ?? null
+  const coverage = String(req.body?.coverage || '').replace(/\s+/g, ' ').trim()
+
+  const cs = changeset()
+  const claim = claimMarkdown({ issue, product: product.name, supplier: product.supplier || null, opened: date, covered, coverage })
+  let raw = insertIntoSection(cs.read(c.path), 'Warranty', c.claims.length ? `\n${claim}` : claim)
+  raw = insertIntoSection(raw, 'Timeline', timelineLine(date, `**warranty claim**: ${issue} ([[${product.name}]])`))
+  if (c.status === 'installed') {
+    raw = setFrontmatter(raw, 'status', 'warranty')
+    raw = insertIntoSection(raw, 'Timeline', timelineLine(date, 'moved installed → warranty'))
+  }
+  cs.write(c.path, raw)
+  const dryRun = Boolean(req.body?.dryRun)
+  const runId = dryRun ? null : cs.commit('warranty-claim')
+  res.json({ ok: true, dryRun, runId, path: c.path, index: c.claims.length, status: 'warranty', changes: cs.diff() })
+})
+
+app.post('/api/customers/:name/warranty/:index/resolve', (req, res) => {
+  const v = readVault()
+  const c = findCustomer(v, req.params.name)
+  if (!c) return res.status(404).json({ error: `No customer note named ${req.params.name}.` })
+  const claim = Number(req.params.index)
+  const found = c.claims[claim]
+  if (!found) return res.status(404).json({ error: `${c.name} has no warranty claim ${req.params.index}.` })
+  if (!found.open) return res.status(409).json({ error: `"${found.issue}" was closed on ${found.closed}.` })
+  const resolution = String(req.body?.resolution || '').replace(/\s+/g, ' ').trim()
+  if (!resolution) return res.status(400).json({ error: 'Say how the claim was resolved.' })
+
+  const t = today()
+  const cs = changeset()
+  let raw = resolveClaim(cs.read(c.path), claim, resolution, t)
+  if (raw == null) return res.status(409).json({ error: `Couldn't find claim ${claim} under ## Warranty in ${c.path}.` })
+  raw = insertIntoSection(raw, 'Timeline', timelineLine(t, `warranty claim resolved: ${found.issue} — ${resolution}`))
+  const settled = c.status === 'warranty' && c.claims.every((k, i) => i === claim || !k.open)
+  if (settled) {
+    raw = setFrontmatter(raw, 'status', 'installed')
+    raw = insertIntoSection(raw, 'Timeline', timelineLine(t, 'moved warranty → installed'))
+  }
+  cs.write(c.path, raw)
+  const dryRun = Boolean(req.body?.dryRun)
+  const runId = dryRun ? null : cs.commit('warranty-resolve')
+  res.json({ ok: true, dryRun, runId, path: c.path, status: settled ? 'installed' : c.status, changes: cs.diff() })
+})
+
 /* ---- action: quote follow-ups (deterministic) ---------------------------- */
-app.post('/api/actions/follow-ups', (_req, res) => {
+// Past this many days with no word from the customer, a quote is retired to lost.
+const RETIRE_AFTER_DAYS = 30
+
+app.post('/api/actions/follow-ups', (req, res) => {
+  const dryRun = Boolean(req.body?.dryRun)
   const v = readVault()
+  const cs = changeset()
   const t = today()
   const drafts = []
+  const retired = []
 
   for (const c of v.customers) {
     if (c.status !== 'quoted') continue
-    const quoteT = [...c.timeline].reverse().find((x) => /quot/i.test(x.text))
+    const quoteT = [...c.timeline].reverse().find((x) => /quot/i.test(x.text) && !parseFollowUp(x.text))
     const quoteDate = quoteT?.date || c.lastActivity
     const days = quoteDate ? daysBetween(quoteDate, t) : 0
+
+    // >30 days of silence → lost. Our own drafts and sent follow-ups aren't
+    // the customer talking, so silence runs from their last real timeline entry.
+    const heard = c.timeline
+      .filter((x) => x.date && !parseFollowUp(x.text))
+      .reduce((acc, x) => (x.date > acc ? x.date : acc), quoteDate || '')
+    const silent = heard ? daysBetween(heard, t) : days
+    if (days > RETIRE_AFTER_DAYS && silent > RETIRE_AFTER_DAYS) {
+      const line = timelineLine(t, `**lost**: no response ${silent} days after the quote — retired by the follow-up run`)
+      let raw = cs.read(c.path)
+      raw = setFrontmatter(raw, 'status', 'lost')
+      raw = setFrontmatter(raw, 'lost_reason', 'no-response')
+      cs.write(c.path, insertIntoSection(raw, 'Timeline', line))
+      retired.push({ customer: c.name, days: silent, quote: c.quoteValue, line })
+      continue
+    }
     if (days < 3) continue
 
     const first = c.name.split(' ')[0]
@@ -96,169 +884,631 @@ app.post('/api/actions/follow-ups', (_req, res) => {
       msg = `Hi ${first}, just checking in on the ${product} quote I sent ${quoteDate}. Any questions I can answer? Glad to walk you through the options whenever works.`
     }
 
-    // idempotent: skip if we already drafted today for this customer
-    const file = c.path
-    const body = fs.readFileSync(abs(file), 'utf8')
-    if (body.includes(`${t} — DRAFT (not sent)`)) {
-      drafts.push({ customer: c.name, stage, days, msg, skipped: 'already drafted today' })
+    // idempotent: one pending draft per customer, and a stage that was really
+    // sent (approved from the Drafts queue) is not drafted again
+    if (c.drafts.length) {
+      drafts.push({ customer: c.name, stage, days, msg, skipped: 'draft awaiting approval' })
+      continue
+    }
+    if (c.followUps.some((f) => f.sent && f.stage === stage)) {
+      drafts.push({ customer: c.name, stage, days, msg, skipped: `${stage} already sent` })
       continue
     }
     const line = `- ${t} — DRAFT (not sent), ${stage}: "${msg}"`
-    fs.writeFileSync(abs(file), insertIntoSection(body, 'Timeline', line))
+    cs.write(c.path, insertIntoSection(cs.read(c.path), 'Timeline', line))
     drafts.push({ customer: c.name, stage, days, msg })
   }
 
   const logged = drafts.filter((d) => !d.skipped)
-  append(
+  const entries = [
+    ...logged.map((d) => `- ${d.customer} (${d.days}d, ${d.stage}) — draft added to note`),
+    ...retired.map((r) => `- ${r.customer} (${r.days}d silent) — retired: status lost, lost_reason no-response`),
+  ]
+  cs.append(
     'agents/logs/follow-up-log.md',
-    `\n## ${now()} — quote follow-up run\n` +
-      (logged.length
-        ? logged.map((d) => `- ${d.customer} (${d.days}d, ${d.stage}) — draft added to note`).join('\n')
-        : '- nothing due') +
-      '\n',
+    `\n## ${now()} — quote follow-up run\n` + (entries.length ? entries.join('\n') : '- nothing due') + '\n',
   )
 
-  res.json({ action: 'follow-ups', ranAt: now(), count: logged.length, drafts })
+  const runId = dryRun ? null : cs.commit('follow-ups')
+  res.json({ action: 'follow-ups', ranAt: now(), dryRun, runId, count: logged.length, drafts, retired, changes: cs.diff() })
+})
+
+/* ---- follow-up drafts: edit, approve (mark sent) or discard --------------- */
+// A draft is addressed by its note path plus its exact timeline text, so a
+// draft that changed on disk since the dashboard loaded is rejected, not guessed.
+const DRAFT_DECISIONS = ['edit', 'approve', 'discard']
+
+app.post('/api/drafts/:decision', (req, res) => {
+  const { decision } = req.params
+  if (!DRAFT_DECISIONS.includes(decision)) return res.status(404).json({ error: `Unknown draft decision "${decision}".` })
+  const { path: file, text } = req.body || {}
+  const c = readVault().customers.find((x) => x.path === file)
+  const draft = c?.drafts.find((d) => d.text === text)
+  if (!draft) return res.status(409).json({ error: 'That draft is no longer in the note — reload and try again.' })
+
+  const msg = String(req.body.msg ?? draft.msg).replace(/\s+/g, ' ').trim()
+  if (decision !== 'discard' && !msg) return res.status(400).json({ error: 'The message is empty.' })
+  const channel = req.body.channel === 'email' ? 'email' : 'text'
+  const t = today()
+  const next = {
+    edit: `${draft.date} — DRAFT (not sent), ${draft.stage}: "${msg}"`,
+    approve: `${t} — SENT via ${channel}, ${draft.stage}: "${msg}"`,
+    discard: null,
+  }[decision]
+
+  const raw = replaceBullet(fs.readFileSync(abs(c.path), 'utf8'), text, next)
+  if (raw == null) return res.status(409).json({ error: 'That draft is no longer in the note — reload and try again.' })
+  fs.writeFileSync(abs(c.path), raw)
+
+  const outcome = {
+    edit: 'draft edited, still not sent',
+    approve: `approved, sent via ${channel} on ${t}`,
+    discard: 'draft discarded, not sent',
+  }[decision]
+  append('agents/logs/follow-up-log.md', `\n## ${now()} — draft ${decision}\n- ${c.name} (${draft.stage}) — ${outcome}\n`)
+  res.json({ ok: true, decision, customer: c.name, stage: draft.stage, line: next })
+})
+
+/* ---- pricing: the margin target ------------------------------------------ */
+// `target_margin:` lives in the pricing note's frontmatter; this sets it from
+// the Margins view. Takes a percent (55 → "55%").
+app.post('/api/pricing/target', (req, res) => {
+  const pct = Number(req.body?.target)
+  if (!(pct > 0 && pct < 100)) return res.status(400).json({ error: 'Target margin must be a percent between 0 and 100.' })
+  const note = readVault().notes.find((n) => n.fm.type === 'pricing')
+  if (!note) return res.status(404).json({ error: 'No pricing note (type: pricing) in the vault.' })
+  fs.writeFileSync(abs(note.path), setFrontmatter(fs.readFileSync(abs(note.path), 'utf8'), 'target_margin', `${pct}%`))
+  res.json({ ok: true, path: note.path, targetMargin: pct / 100 })
 })
 
 /* ---- action: supplier price watch (deterministic) ------------------------ */
-app.post('/api/actions/price-watch', (_req, res) => {
+const COST_LINE = /(\*\*Price \(our cost \/ sell\):\*\*\s*)\$[\d.,]+(\s*\/\s*\$[\d.,]+)/
+const SCHEDULED_LINE = /^- \*\*Scheduled cost change:\*\*[^\n]*\n/m
+
+const pctLabel = (pct) => `${pct >= 0 ? '+' : ''}${pct}%`
+const marginPct = (sell, cost) => (sell ? +(((sell - cost) / sell) * 100).toFixed(1) : null)
+
+// Replace the "MARGIN ALERT" callout under the H1 (or just drop it).
+function setMarginAlert(body, text) {
+  body = body.replace(/^> MARGIN ALERT:[^\n]*\n\n?/gm, '')
+  return text ? body.replace(/^(#\s+.+\n)/m, `$1\n> MARGIN ALERT: ${text}\n`) : body
+}
+
+// Put a new cost on a product note, clear any schedule, refresh the alert.
+function applyCost(body, p, newCost, why, target) {
+  const margin = marginPct(p.sell, newCost)
+  body = body.replace(COST_LINE, (_, head, tail) => `${head}$${newCost}${tail}`).replace(SCHEDULED_LINE, '')
+  const alert = margin != null && margin < target * 100
+  body = setMarginAlert(body, alert && `${why} → margin now ${margin.toFixed(0)}% (below ${Math.round(target * 100)}% target). Re-quote open deals.`)
+  return { body, margin, alert }
+}
+
+// Record a future cost under the price line; the alert warns ahead of time.
+function scheduleCost(body, p, change, effective, supplier, target) {
+  const margin = marginPct(p.sell, change.newCost)
+  const line = `- **Scheduled cost change:** $${change.newCost} effective ${effective} (${pctLabel(change.pct)}, per [[${supplier}]] email)\n`
+  body = body.replace(SCHEDULED_LINE, '').replace(/^(- \*\*Price \(our cost[^\n]*\n)/m, `$1${line}`)
+  const alert = margin != null && margin < target * 100
+  body = setMarginAlert(
+    body,
+    alert && `cost ${pctLabel(change.pct)} effective ${effective} → margin will be ${margin.toFixed(0)}% (below ${Math.round(target * 100)}% target). Re-quote open deals.`,
+  )
+  return { body, margin, alert }
+}
+
+app.post('/api/actions/price-watch', (req, res) => {
+  const dryRun = Boolean(req.body?.dryRun)
   const v = readVault()
+  const cs = changeset()
   const t = today()
-  const supplierNames = v.suppliers.map((s) => s.name)
 
-  // Find a price-change email sitting in the inbox.
-  const email = v.inbox.find((n) => {
-    const hit = supplierNames.find((s) => n.body.includes(s) || n.body.includes(s.split(' ')[0]))
-    return hit && /(\d+(?:\.\d+)?)\s*%/.test(n.body)
-  })
+  // 0) scheduled cost changes whose effective date has arrived
+  const applied = []
+  for (const p of v.products) {
+    const due = p.scheduledCost
+    if (!due || due.effective > t) continue
+    const out = applyCost(cs.read(p.path), p, due.cost, `cost $${p.cost} → $${due.cost} effective ${due.effective}`, v.targetMargin)
+    cs.write(p.path, out.body)
+    applied.push({ name: p.name, oldCost: p.cost, newCost: due.cost, effective: due.effective, margin: out.margin, alert: out.alert })
+  }
+
+  // 1) find a supplier price-change email in the inbox and parse it per product
+  let email = null
+  let supplier = null
+  let parsed = null
+  for (const n of v.inbox) {
+    const s = v.suppliers.find((x) => n.body.includes(x.name) || n.body.includes(x.name.split(' ')[0]))
+    if (!s) continue
+    const offered = v.products.filter((p) => p.supplier === s.name)
+    const pc = parsePriceChange(n.body, offered, t)
+    if (pc.changes.length) {
+      email = n
+      supplier = s
+      parsed = pc
+      break
+    }
+  }
 
   if (!email) {
+    if (applied.length) {
+      cs.append(
+        'agents/logs/price-watch-log.md',
+        `\n## ${now()} — price watch run\n\nScheduled cost changes now in effect:\n` +
+          applied.map((a) => `- ${a.name}: cost $${a.oldCost} → $${a.newCost} (effective ${a.effective}), margin ${a.margin}%${a.alert ? '  ⚠️ below target' : ''}`).join('\n') +
+          '\n',
+      )
+    }
+    const runId = dryRun || !applied.length ? null : cs.commit('price-watch')
     return res.json({
       action: 'price-watch',
       ranAt: now(),
-      message: 'No supplier price change found in the inbox. Nothing to do.',
+      dryRun,
+      runId,
+      message: applied.length
+        ? `Applied ${applied.length} scheduled cost change${applied.length === 1 ? '' : 's'}; no new supplier price change in the inbox.`
+        : 'No supplier price change found in the inbox. Nothing to do.',
+      applied,
       affectedProducts: [],
       exposedQuotes: [],
+      changes: cs.diff(),
     })
   }
 
-  const pct = Number(email.body.match(/(\d+(?:\.\d+)?)\s*%/)[1])
-  const supplier = v.suppliers.find(
-    (s) => email.body.includes(s.name) || email.body.includes(s.name.split(' ')[0]),
-  )
+  const { effective, honoredThrough, exclusions } = parsed
+  const scheduled = Boolean(effective && effective > t)
 
-  // 1) log the change on the supplier note
+  // 2) log the change on the supplier note
   {
     const file = supplier.path
-    let body = fs.readFileSync(abs(file), 'utf8')
-    const line = `  - ${t} — +${pct}% on fabric pricing (per supplier email)`
+    let body = cs.read(file)
+    const groups = new Map()
+    for (const c of parsed.changes) {
+      // old → new on explicit prices, so the Margins view can replay the log
+      const key = c.kind === 'price' ? `${c.name} from $${c.oldCost} to $${c.newCost}` : pctLabel(c.pct)
+      groups.set(key, [...(groups.get(key) || []), c.name])
+    }
+    const what = [...groups]
+      .map(([key, names]) => (key.endsWith('%') ? `${key} on ${names.join(', ')}` : key))
+      .join('; ')
+    const line =
+      `  - ${t} — ${what}${effective ? ` effective ${effective}` : ''}` +
+      `${exclusions.length ? `; ${exclusions.join('; ')}` : ''} (per supplier email)`
     // append after the price-changes header and any existing indented sub-bullets
     body = body.replace(
       /(- \*\*Price changes[^\n]*\n(?:\s+-[^\n]*\n)*)/,
       (m) => `${m}${line}\n`,
     )
     if (!body.includes(line)) body = body.trimEnd() + `\n\n- **Price changes:**\n${line}\n`
-    fs.writeFileSync(abs(file), body)
+    cs.write(file, body)
   }
 
-  // 2) bump cost on each affected product, recompute margin, flag if < 50%
-  const TARGET = 0.5
+  // 3) per product: schedule the new cost for the effective date, or apply it
+  //    now when the date has passed (or the email gives none)
   const affectedProducts = []
-  for (const p of v.products) {
-    if (p.supplier !== supplier.name || p.cost == null) continue
-    const newCost = Math.round(p.cost * (1 + pct / 100) * 100) / 100
-    const margin = p.sell ? (p.sell - newCost) / p.sell : null
-    const file = p.path
-    let body = fs.readFileSync(abs(file), 'utf8')
-    body = body.replace(
-      /(\*\*Price \(our cost \/ sell\):\*\*\s*)\$[\d.,]+(\s*\/\s*\$[\d.,]+)/,
-      (_, head, tail) => `${head}$${newCost}${tail}`,
-    )
-    // refresh margin-alert callout right after the H1
-    body = body.replace(/\n> MARGIN ALERT:[^\n]*\n/g, '\n')
-    const alert = margin != null && margin < TARGET
-    if (alert) {
-      body = body.replace(
-        /^(#\s+.+\n)/m,
-        `$1\n> MARGIN ALERT: cost +${pct}% on ${t} → margin now ${(margin * 100).toFixed(0)}% (below ${TARGET * 100}% target). Re-quote open deals.\n`,
-      )
-    }
-    fs.writeFileSync(abs(file), body)
+  for (const change of parsed.changes) {
+    const p = v.products.find((x) => x.name === change.name)
+    const out = scheduled
+      ? scheduleCost(cs.read(p.path), p, change, effective, supplier.name, v.targetMargin)
+      : applyCost(cs.read(p.path), p, change.newCost, `cost ${pctLabel(change.pct)} ${effective ? `effective ${effective}` : `on ${t}`}`, v.targetMargin)
+    cs.write(p.path, out.body)
     affectedProducts.push({
       name: p.name,
-      oldCost: p.cost,
-      newCost,
+      oldCost: change.oldCost,
+      newCost: change.newCost,
+      pct: change.pct,
       sell: p.sell,
-      margin: margin != null ? +(margin * 100).toFixed(1) : null,
-      alert,
+      margin: out.margin,
+      alert: out.alert,
+      effective: effective || t,
     })
   }
 
-  // 3) open quotes exposed to the change
+  // 4) open quotes exposed to the change; a quote sent before the effective
+  //    date (and within any "honored through" window) is honored at old cost
   const affectedNames = affectedProducts.map((a) => a.name)
   const exposedQuotes = v.customers
     .filter((c) => c.status === 'quoted' && c.products.some((pr) => affectedNames.includes(pr)))
-    .map((c) => ({ customer: c.name, quote: c.quoteValue, products: c.products.filter((pr) => affectedNames.includes(pr)) }))
+    .map((c) => ({
+      customer: c.name,
+      quote: c.quoteValue,
+      quoteDate: c.quoteDate,
+      products: c.products.filter((pr) => affectedNames.includes(pr)),
+      honored: Boolean(
+        effective && c.quoteDate && c.quoteDate < effective && (!honoredThrough || c.quoteDate <= honoredThrough),
+      ),
+    }))
 
-  // 4) move the email out of the inbox into raw provenance
+  // 5) move the email out of the inbox into raw provenance
   const slug = email.filename.replace(/^\d{4}-\d{2}-\d{2}[-]?/, '').replace(/\.md$/, '')
   const rawRel = `vault/10-raw/${t}--${slug || 'supplier-price-change'}.md`
-  fs.renameSync(abs(email.path), abs(rawRel))
+  cs.move(email.path, rawRel)
 
-  // 5) briefings + logs
+  // 6) briefings + logs
+  const honoredUntil = honoredThrough || (effective && `the day before ${effective}`)
   const briefing =
-    `**${supplier.name} raised fabric pricing +${pct}% (effective per email).**\n\n` +
+    `**${supplier.name} price change${effective ? `, effective ${effective}` : ''}` +
+    `${scheduled ? ' (scheduled — costs update on that date)' : ''}.**\n\n` +
+    (exclusions.length ? `Not affected: ${exclusions.join('; ')}.\n\n` : '') +
     `Affected products:\n` +
     affectedProducts
-      .map((a) => `- ${a.name}: cost $${a.oldCost} → $${a.newCost}, margin ${a.margin}%${a.alert ? '  ⚠️ below target' : ''}`)
+      .map((a) => `- ${a.name}: cost $${a.oldCost} → $${a.newCost} (${pctLabel(a.pct)}) from ${a.effective}, margin ${a.margin}%${a.alert ? '  ⚠️ below target' : ''}`)
       .join('\n') +
+    (applied.length
+      ? `\n\nEarlier scheduled changes now in effect:\n` +
+        applied.map((a) => `- ${a.name}: cost $${a.oldCost} → $${a.newCost} (effective ${a.effective})`).join('\n')
+      : '') +
     `\n\nOpen quotes exposed:\n` +
     (exposedQuotes.length
-      ? exposedQuotes.map((q) => `- ${q.customer} ($${q.quote}) — ${q.products.join(', ')}`).join('\n')
+      ? exposedQuotes
+          .map(
+            (q) =>
+              `- ${q.customer} ($${q.quote}) — ${q.products.join(', ')}` +
+              (q.honored ? ` — honored (quoted ${q.quoteDate}; supplier holds current pricing through ${honoredUntil})` : ''),
+          )
+          .join('\n')
       : '- none') +
-    `\n\nRecommended: re-quote the exposed deals before they're accepted at old margin.`
+    `\n\nRecommended: ` +
+    (exposedQuotes.some((q) => q.honored)
+      ? `close the honored quotes and place their orders before ${effective}; re-quote the rest before they're accepted at old margin.`
+      : `re-quote the exposed deals before they're accepted at old margin.`)
 
-  append('agents/logs/price-watch-log.md', `\n## ${now()} — price watch run\n\n${briefing}\n`)
-  append(
+  cs.append('agents/logs/price-watch-log.md', `\n## ${now()} — price watch run\n\n${briefing}\n`)
+  cs.append(
     'agents/logs/processing-log.md',
-    `\n## ${now()} — supplier price watch\n- Processed: ${supplier.name} +${pct}% email from inbox\n- Updated: ${affectedProducts.map((a) => a.name).join(', ') || 'none'}\n- Exposed quotes: ${exposedQuotes.map((q) => q.customer).join(', ') || 'none'}\n- Provenance: ${rawRel}\n`,
+    `\n## ${now()} — supplier price watch\n- Processed: ${supplier.name} price-change email from inbox${effective ? ` (effective ${effective})` : ''}\n- ${scheduled ? 'Scheduled' : 'Updated'}: ${affectedProducts.map((a) => a.name).join(', ') || 'none'}\n- Exposed quotes: ${exposedQuotes.map((q) => q.customer + (q.honored ? ' (honored)' : '')).join(', ') || 'none'}\n- Provenance: ${rawRel}\n`,
   )
 
-  res.json({ action: 'price-watch', ranAt: now(), supplier: supplier.name, pct, affectedProducts, exposedQuotes, briefing })
+  const runId = dryRun ? null : cs.commit('price-watch')
+  res.json({
+    action: 'price-watch',
+    ranAt: now(),
+    dryRun,
+    runId,
+    supplier: supplier.name,
+    effective,
+    honoredThrough,
+    scheduled,
+    exclusions,
+    applied,
+    affectedProducts,
+    exposedQuotes,
+    briefing,
+    changes: cs.diff(),
+  })
 })
 
-/* ---- action: process inbox (shells out to Claude Code) ------------------- */
+/* ---- action: process inbox ---------------------------------------------- */
+// Two engines. 'rules' is the deterministic processor below, for the common
+// shapes src/lib/inbox.js recognises. 'llm' hands each item to a provider
+// (see inbox LLM providers) that answers with structured edits
+// (src/lib/edits.js); the server checks and applies them, so either engine
+// writes through a changeset and can be previewed and rolled back.
+//
+// Whether the claude CLI is on PATH is checked once, the first time something
+// asks, not on every /api/status poll: the check spawns `claude --version`.
+let claudeFound = null
 function hasClaude() {
-  try {
-    const r = spawnSync('claude', ['--version'], { encoding: 'utf8', timeout: 8000 })
-    return r.status === 0
-  } catch {
-    return false
+  if (claudeFound == null) {
+    try {
+      claudeFound = spawnSync('claude', ['--version'], { encoding: 'utf8', timeout: 8000 }).status === 0
+    } catch {
+      claudeFound = false
+    }
   }
+  return claudeFound
 }
 
-app.post('/api/actions/process-inbox', (_req, res) => {
-  const v = readVault()
-  if (v.inbox.length === 0) {
-    return res.json({ ok: true, claude: hasClaude(), message: 'Inbox already empty — nothing to process.' })
+// What the provenance header says the original was.
+const RAW_WHAT = {
+  lead: (c) => `Raw ${c.channel} from a new lead`,
+  customer: (c) => `Raw ${c.channel} from an existing customer`,
+  install: () => 'Raw install notes',
+  supplier: (c) => `Raw ${c.channel} from a supplier`,
+}
+
+// vault/10-raw/<capture date>--<slug>.md, not clashing with a file or an
+// earlier move in the same run.
+function rawPathFor(n, date, taken) {
+  const slug =
+    n.filename
+      .replace(/^\d{4}-\d{2}-\d{2}-*/, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'inbox-item'
+  let file = `vault/10-raw/${date}--${slug}.md`
+  for (let k = 2; taken.has(file) || fs.existsSync(abs(file)); k++) file = `vault/10-raw/${date}--${slug}-${k}.md`
+  taken.add(file)
+  return file
+}
+
+// Tag an item left in the inbox, once.
+function tagForReview(cs, file, reason) {
+  const raw = cs.read(file)
+  if (!/^\s*>\s*NEEDS REVIEW/m.test(raw)) cs.write(file, `> NEEDS REVIEW: ${reason}\n\n${raw}`)
+}
+
+// Each result of either engine is
+//   filed:    { file, kind, notes: [{ path, created, what }], raw, reason }
+//   deferred: { file, reason }   (supplier price changes, for Price Watch)
+//   review:   { file, reason }   (tagged NEEDS REVIEW, left in the inbox)
+
+// File each inbox item by the rules into cs. Returns { filed, deferred, review }.
+function processInboxByRules(v, cs, t) {
+  const filed = []
+  const deferred = []
+  const review = []
+  const taken = new Set()
+  // leads created in this run, so a second text from the same person extends the first
+  const working = { ...v, customers: [...v.customers] }
+
+  for (const n of v.inbox) {
+    let c = classifyDrop(n, working, t)
+    if (c.kind === 'lead' && !validName(c.sender.name)) c = { ...c, kind: 'unknown', reason: `"${c.sender.name}" can't be a note name` }
+    else if (c.kind === 'lead' && fs.existsSync(abs(`${CUSTOMERS}/${c.sender.name}.md`)))
+      c = { ...c, kind: 'unknown', reason: `${c.sender.name} has a note, but this sender's phone / email don't match it` }
+
+    if (c.kind === 'price-change') {
+      deferred.push({ file: n.path, reason: c.reason })
+      continue
+    }
+    if (c.kind === 'unknown') {
+      tagForReview(cs, n.path, c.reason)
+      review.push({ file: n.path, reason: c.reason })
+      continue
+    }
+
+    const rawFile = rawPathFor(n, c.date, taken)
+    const original = `[[${path.basename(rawFile, '.md')}]]`
+    let into
+    let what
+    if (c.kind === 'lead') {
+      const { name, phones, emails, address } = c.sender
+      into = `${CUSTOMERS}/${name}.md`
+      what = 'status: lead'
+      const note = customerTemplate(
+        {
+          name,
+          phone: phones[0],
+          email: emails[0],
+          address,
+          source: `${c.channel}${/referr|neighbou?r|friend/i.test(c.text) ? ' — referral' : ''}`,
+          openings: c.openings,
+          products: c.products.map((p) => `[[${p}]]`).join(', '),
+          firstContact: `${c.channel}, "${c.summary}"`,
+        },
+        c.date,
+      )
+      cs.write(into, `${note}- Original: ${original}\n`) // the template ends with an empty ## Notes
+      working.customers.push({ name, filename: name, aliases: [], path: into, contact: { phones, emails, address: address || '' } })
+    } else if (c.kind === 'supplier') {
+      into = c.supplier.path
+      what = 'correspondence'
+      const line = timelineLine(c.date, `${c.channel}: "${c.summary}" (${original})`)
+      cs.write(into, insertIntoSection(cs.read(into), 'Correspondence', line))
+    } else {
+      into = c.customer.path
+      what = c.kind === 'install' ? 'install note' : 'timeline'
+      const photos = c.images.map((img) => ` ![[${path.basename(img)}]]`).join('')
+      const text = c.kind === 'install' ? `install note: "${c.summary}"${photos}` : `${c.channel}: "${c.summary}"`
+      cs.write(into, insertIntoSection(cs.read(into), 'Timeline', timelineLine(c.date, `${text} (${original})`)))
+    }
+
+    cs.write(n.path, `${RAW_WHAT[c.kind](c)}, captured ${c.date}. Processed into ${noteLink(into)}.\n\n---\n\n${c.text}\n`)
+    cs.move(n.path, rawFile)
+    filed.push({ file: n.path, kind: c.kind, notes: [{ path: into, created: c.kind === 'lead', what }], raw: rawFile, reason: c.reason })
   }
-  if (!hasClaude()) {
-    return res.json({
-      ok: false,
-      claude: false,
-      message:
-        'Claude Code CLI not found on PATH. Install it, then from the blinds-company/ folder run the command below (or use the deterministic Price Watch action for the pending price email).',
-      command: 'cd blinds-company && claude -p "Process the inbox per CLAUDE.md"',
-      inbox: v.inbox.map((n) => n.filename),
+  return { filed, deferred, review }
+}
+
+// Apply one checked proposal's edits to cs. Returns the notes touched.
+function applyProposal(cs, proposal) {
+  const notes = []
+  for (const e of proposal.edits) {
+    const text = e.text.trim()
+    const before = cs.read(e.path)
+    if (before == null) cs.write(e.path, `${text}\n`)
+    else if (e.section) cs.write(e.path, insertIntoSection(before, e.section, text))
+    else cs.write(e.path, `${before.trimEnd()}\n\n${text}\n`)
+    if (!notes.some((n) => n.path === e.path))
+      notes.push({ path: e.path, created: before == null, what: before == null ? null : e.section ? e.section.toLowerCase() : 'appended' })
+  }
+  return notes
+}
+
+// File each inbox item with an LLM provider into cs. Price changes are still
+// left for Price Watch; a failed call, an unparseable or unsafe answer, or the
+// model's own "review" tags the item NEEDS REVIEW. Returns { filed, deferred, review }.
+async function processInboxWithLLM(v, cs, t, provider) {
+  const filed = []
+  const deferred = []
+  const review = []
+  const taken = new Set()
+
+  for (const n of v.inbox) {
+    const c = classifyDrop(n, v, t)
+    if (c.kind === 'price-change') {
+      deferred.push({ file: n.path, reason: c.reason })
+      continue
+    }
+    const leave = (reason) => {
+      tagForReview(cs, n.path, reason)
+      review.push({ file: n.path, reason })
+    }
+
+    const rawFile = rawPathFor(n, c.date, taken)
+    let answer
+    try {
+      answer = await provider.propose(buildInboxPrompt(n, v, t, path.basename(rawFile, '.md')), n)
+    } catch (e) {
+      leave(`${provider.name} failed: ${e.message}`)
+      continue
+    }
+    const { proposal, error } = parseProposal(answer)
+    if (error) {
+      leave(`${provider.name}: ${error}`)
+      continue
+    }
+    const problems = checkProposal(proposal, (p) => cs.read(p) != null)
+    if (problems.length) {
+      leave(`${provider.name}'s edits weren't applied — ${problems.join('; ')}`)
+      continue
+    }
+    if (proposal.review) {
+      leave(proposal.review)
+      continue
+    }
+
+    const notes = applyProposal(cs, proposal)
+    const { header, text } = splitDrop(n.body)
+    const what = header ? header.replace(/\.?$/, '.') : `Raw inbox item, captured ${c.date}.`
+    cs.write(n.path, `${what} Processed by ${provider.name} into ${notes.map((x) => noteLink(x.path)).join(', ')}.\n\n---\n\n${text}\n`)
+    cs.move(n.path, rawFile)
+    filed.push({ file: n.path, kind: provider.name, notes, raw: rawFile, reason: proposal.summary || `filed by ${provider.name}` })
+  }
+  return { filed, deferred, review }
+}
+
+const noteLink = (p) => `[[${path.basename(p, '.md')}]]`
+
+// One processing-log entry for a run of either engine (format: CLAUDE.md §7).
+function logInboxRun(cs, engine, total, { filed, deferred, review }) {
+  const notes = filed.flatMap((f) => f.notes)
+  const label = (x) => `${noteLink(x.path)}${x.what ? ` (${x.what})` : ''}`
+  cs.append(
+    'agents/logs/processing-log.md',
+    `\n## ${now()} — process inbox (${engine})\n` +
+      `- Processed: ${filed.length} of ${total} inbox item${total === 1 ? '' : 's'}\n` +
+      `- Created: ${notes.filter((x) => x.created).map(label).join(', ') || 'none'}\n` +
+      `- Extended: ${notes.filter((x) => !x.created).map(label).join(', ') || 'none'}\n` +
+      (deferred.length ? `- Left for price watch: ${deferred.map((d) => path.basename(d.file)).join(', ')}\n` : '') +
+      `- Provenance: ${filed.map((f) => `\`${f.raw.replace(/^vault\//, '')}\``).join(', ') || 'none'}\n` +
+      `- Needs review: ${review.map((r) => `${path.basename(r.file)} — ${r.reason}`).join('; ') || 'none'}\n`,
+  )
+}
+
+/* ---- inbox LLM providers ------------------------------------------------- */
+// A provider turns a prompt into the model's raw answer: { name, propose(prompt,
+// item) → Promise<string> }. Picked per request ({ provider }) or by INBOX_LLM:
+//
+//   claude   the Claude Code CLI, `claude -p`, with its editing tools disabled
+//   http     an OpenAI-compatible chat completions endpoint (LLM_URL, LLM_MODEL,
+//            LLM_API_KEY)
+//   mock     canned answers from fixtures/llm/<inbox filename>.json — no
+//            network, for tests and demos
+//   none     no provider; the rules engine only
+//
+// With INBOX_LLM unset: claude if the CLI is installed, else http if LLM_URL
+// is set, else none.
+const LLM_TIMEOUT = Number(process.env.LLM_TIMEOUT_MS) || 1000 * 120
+const LLM_FIXTURES = process.env.LLM_FIXTURES || path.join(__dirname, 'fixtures', 'llm')
+
+const PROVIDERS = {
+  claude: {
+    name: 'claude',
+    available: hasClaude,
+    propose: (prompt) =>
+      new Promise((resolve, reject) => {
+        const child = spawn('claude', ['-p', prompt, '--output-format', 'text', '--disallowedTools', 'Bash,Edit,Write,NotebookEdit'], {
+          cwd: PROJECT,
+          stdio: ['ignore', 'pipe', 'pipe'],
+        })
+        let out = ''
+        let err = ''
+        const timer = setTimeout(() => child.kill(), LLM_TIMEOUT)
+        child.stdout.on('data', (d) => (out += d))
+        child.stderr.on('data', (d) => (err += d))
+        child.on('error', (e) => {
+          clearTimeout(timer)
+          reject(e)
+        })
+        child.on('close', (code, signal) => {
+          clearTimeout(timer)
+          if (signal) reject(new Error(`no answer within ${LLM_TIMEOUT / 1000}s`))
+          else if (code !== 0) reject(new Error(err.trim().split('\n').pop() || `exit ${code}`))
+          else resolve(out)
+        })
+      }),
+  },
+  http: {
+    name: 'http',
+    available: () => Boolean(process.env.LLM_URL),
+    async propose(prompt) {
+      const r = await fetch(process.env.LLM_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.LLM_API_KEY && { Authorization: `Bearer ${process.env.LLM_API_KEY}` }),
+        },
+        body: JSON.stringify({
+          model: process.env.LLM_MODEL || 'default',
+          temperature: 0,
+          messages: [{ role: 'user', content: prompt }],
+        }),
+        signal: AbortSignal.timeout(LLM_TIMEOUT),
+      })
+      if (!r.ok) throw new Error(`${process.env.LLM_URL} answered ${r.status}`)
+      const data = await r.json()
+      return data.choices?.[0]?.message?.content ?? ''
+    },
+  },
+  mock: {
+    name: 'mock',
+    available: () => true,
+    async propose(_prompt, item) {
+      const file = path.join(LLM_FIXTURES, `${item.filename}.json`)
+      if (!fs.existsSync(file)) return JSON.stringify({ edits: [], review: `mock provider has no fixture ${path.basename(file)}` })
+      return fs.readFileSync(file, 'utf8')
+    },
+  },
+}
+
+// The provider a request asked for (or the default), or { error }.
+function inboxProvider(asked) {
+  const name = asked || process.env.INBOX_LLM
+  if (name === 'none') return { provider: null }
+  if (!name) return { provider: ['claude', 'http'].map((k) => PROVIDERS[k]).find((p) => p.available()) || null }
+  const provider = PROVIDERS[name]
+  if (!provider) return { error: `Unknown LLM provider "${name}" (expected ${[...Object.keys(PROVIDERS), 'none'].join(', ')}).` }
+  if (!provider.available()) return { error: name === 'http' ? 'The http provider needs LLM_URL.' : `The ${name} provider isn't available here.` }
+  return { provider }
+}
+
+app.post('/api/actions/process-inbox', async (req, res) => {
+  try {
+    const v = readVault()
+    const dryRun = Boolean(req.body?.dryRun)
+    const { provider, error } = req.body?.engine === 'rules' ? { provider: null } : inboxProvider(req.body?.provider)
+    if (error) return res.status(400).json({ error })
+    const engine = provider ? 'llm' : 'rules'
+    const base = { ok: true, engine, provider: provider?.name ?? null }
+    if (v.inbox.length === 0) return res.json({ ...base, message: 'Inbox already empty — nothing to process.' })
+
+    const t = today()
+    const cs = changeset()
+    const result = provider ? await processInboxWithLLM(v, cs, t, provider) : processInboxByRules(v, cs, t)
+    const { filed, deferred, review } = result
+    const wrote = filed.length || review.length
+    if (wrote) logInboxRun(cs, provider?.name ?? 'rules', v.inbox.length, result)
+    const runId = dryRun || !wrote ? null : cs.commit('process-inbox')
+    const parts = [
+      `${filed.length} filed`,
+      deferred.length && `${deferred.length} left for Price Watch`,
+      review.length && `${review.length} tagged NEEDS REVIEW`,
+    ].filter(Boolean)
+    res.json({
+      ...base,
+      ranAt: now(),
+      dryRun,
+      runId,
+      message: `${provider ? `Inbox via ${provider.name}` : 'Inbox rules'}: ${parts.join(', ')}.`,
+      filed,
+      deferred,
+      review,
+      changes: cs.diff(),
     })
+  } catch (e) {
+    res.status(500).json({ error: String(e.message || e) })
   }
-  const r = spawnSync('claude', ['-p', 'Process the inbox per CLAUDE.md. File each item, preserve provenance, and append to the processing log.'], {
-    cwd: PROJECT,
-    encoding: 'utf8',
-    timeout: 1000 * 60 * 5,
-  })
-  res.json({ ok: r.status === 0, claude: true, output: (r.stdout || '') + (r.stderr || ''), exit: r.status })
 })
 
 /* ------------------------------ static site ------------------------------- */
@@ -270,7 +1520,8 @@ app.get('*', (_req, res) => {
 })
 
 app.listen(PORT, () => {
+  startWatching()
   console.log(`Blinds Company model server → http://localhost:${PORT}`)
   console.log(`Vault: ${VAULT}`)
-  console.log(`Claude Code CLI available: ${hasClaude()}`)
+  console.log(`Inbox LLM provider: ${inboxProvider().provider?.name ?? 'none (rules only)'}`)
 })
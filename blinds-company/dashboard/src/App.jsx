@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import {
   BarChart,
@@ -9,6 +9,10 @@ import {
   YAxis,
   Tooltip,
   CartesianGrid,
+  LineChart,
+  Line,
+  Legend,
+  ReferenceLine,
 } from 'recharts'
 import {
   LayoutDashboard,
@@ -30,9 +34,70 @@ import {
   Loader2,
   CheckCircle2,
   CircleAlert,
+  Plus,
+  Undo2,
+  Send,
+  Trash2,
+  MessageSquare,
+  History,
+  RotateCcw,
+  Calculator,
+  FileText,
+  Percent,
+  Search,
+  Network,
+  Unlink,
+  Info,
+  HeartPulse,
+  ListChecks,
+  GitMerge,
+  CalendarDays,
+  ClipboardCheck,
+  ShieldAlert,
 } from 'lucide-react'
-import { vault, STATUS_ORDER, loadVault, runAction, isServerAvailable } from './lib/vault.js'
+import {
+  vault,
+  STATUS_ORDER,
+  loadVault,
+  subscribeVault,
+  noteBody,
+  searchVault,
+  vaultLinks,
+  attachmentUrl,
+  checkVault,
+  runAction,
+  isServerAvailable,
+  createCustomer,
+  mergeCustomers,
+  setCustomerStatus,
+  addTimelineEntry,
+  scheduleAppointment,
+  calendarUrl,
+  undoStatusMove,
+  saveQuote,
+  generateProposal,
+  draftPurchaseOrders,
+  setOrderStatus,
+  startJob,
+  tickJobStep,
+  openWarrantyClaim,
+  resolveWarrantyClaim,
+  setTargetMargin,
+  decideDraft,
+  listRuns,
+  rollbackRun,
+} from './lib/vault.js'
 import { workflows } from './lib/workflows.js'
+import { priceQuote, marginPct } from './lib/quote.js'
+import { marginHistory, customerMargin } from './lib/margins.js'
+import { NOTE_GROUPS, groupOf, layoutGraph } from './lib/links.js'
+import { parseMarkdown, parseInline, safeHref } from './lib/markdown.js'
+import { vaultHealth } from './lib/schema.js'
+import { LINT_RULES } from './lib/lint.js'
+import { findDuplicates } from './lib/duplicates.js'
+import { PO_STATUSES, buildPurchaseOrders } from './lib/orders.js'
+import { warrantyClaims, claimRollup, claimAge } from './lib/warranty.js'
+import { buildSchedule, appointmentsOf, installCheck, weekOf, monthOf, addDays, addMonths } from './lib/schedule.js'
 
 /* ------------------------------- constants -------------------------------- */
 const STATUS_META = {
@@ -45,6 +110,11 @@ const STATUS_META = {
 }
 const fmtMoney = (n) =>
   n == null ? '—' : n.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 })
+const fmtMoney2 = (n) => n.toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+const pct = (n) => (n == null ? '—' : `${Math.round(n * 100)}%`)
+const todayISO = () => new Date().toISOString().slice(0, 10)
+const INPUT =
+  'rounded-xl border border-edge bg-ink/60 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-500 focus:border-sky-500 focus:outline-none'
 
 /* --------------------------------- shells --------------------------------- */
 function Card({ children, className = '' }) {
@@ -171,43 +241,519 @@ function Overview({ onGoto }) {
 }
 
 /* -------------------------------- pipeline -------------------------------- */
-function Pipeline({ onSelect }) {
+// Cards drag between status columns when the server is up; each drop rewrites
+// the note's `status:` and logs the move. The toast offers a one-step undo.
+function Pipeline({ onSelect, onRefresh }) {
+  const online = isServerAvailable()
+  const [dragging, setDragging] = useState(null)
+  const [over, setOver] = useState(null)
+  const [toast, setToast] = useState(null)
+
+  useEffect(() => {
+    if (!toast || toast.busy) return
+    const id = setTimeout(() => setToast(null), 8000)
+    return () => clearTimeout(id)
+  }, [toast])
+
+  async function move(c, status) {
+    if (c.status === status) return
+    setToast({ customer: c, busy: true, text: `Moving ${c.name}…` })
+    try {
+      const res = await setCustomerStatus(c, status)
+      await onRefresh()
+      setToast({ customer: c, move: res, text: `${c.name}: ${STATUS_META[res.from].label} → ${STATUS_META[status].label}` })
+    } catch (e) {
+      setToast({ customer: c, error: true, text: String(e.message || e) })
+    }
+  }
+
+  async function undo() {
+    const { customer, move: m } = toast
+    setToast({ customer, busy: true, text: `Undoing…` })
+    try {
+      await undoStatusMove(customer, m)
+      await onRefresh()
+      setToast({ customer, text: `${customer.name} back in ${STATUS_META[m.from].label}` })
+    } catch (e) {
+      setToast({ customer, error: true, text: String(e.message || e) })
+    }
+  }
+
   const cols = STATUS_ORDER.map((s) => ({
     status: s,
     items: vault.customers.filter((c) => c.status === s),
   }))
   return (
-    <div className="grid gap-3 md:grid-cols-3 xl:grid-cols-6">
-      {cols.map((col) => (
-        <div key={col.status} className="rounded-2xl border border-edge bg-panel/60 p-3">
-          <div className="mb-2 flex items-center justify-between">
-            <Pill status={col.status} />
-            <span className="text-xs text-slate-500">{col.items.length}</span>
+    <div className="space-y-3">
+      {!online && (
+        <div className="text-xs text-slate-500">Read-only — start the model server to drag customers between statuses.</div>
+      )}
+      <div className="grid gap-3 md:grid-cols-3 xl:grid-cols-6">
+        {cols.map((col) => (
+          <div
+            key={col.status}
+            onDragOver={(e) => {
+              if (!dragging) return
+              e.preventDefault()
+              setOver(col.status)
+            }}
+            onDragLeave={() => setOver((o) => (o === col.status ? null : o))}
+            onDrop={(e) => {
+              e.preventDefault()
+              setOver(null)
+              if (dragging) move(dragging, col.status)
+              setDragging(null)
+            }}
+            className={`rounded-2xl border bg-panel/60 p-3 transition ${
+              over === col.status && dragging?.status !== col.status ? 'border-sky-500/60 bg-sky-500/5' : 'border-edge'
+            }`}
+          >
+            <div className="mb-2 flex items-center justify-between">
+              <Pill status={col.status} />
+              <span className="text-xs text-slate-500">{col.items.length}</span>
+            </div>
+            <div className="space-y-2">
+              {col.items.map((c) => (
+                <button
+                  key={c.path}
+                  draggable={online && !toast?.busy}
+                  onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move'
+                    setDragging(c)
+                  }}
+                  onDragEnd={() => {
+                    setDragging(null)
+                    setOver(null)
+                  }}
+                  onClick={() => onSelect(c)}
+                  className={`w-full rounded-xl border border-edge bg-ink/60 p-2.5 text-left hover:border-slate-500 ${
+                    online ? 'cursor-grab active:cursor-grabbing' : ''
+                  } ${dragging?.path === c.path ? 'opacity-40' : ''}`}
+                >
+                  <div className="truncate text-sm font-medium text-slate-100">{c.name}</div>
+                  <div className="mt-1 flex items-center justify-between text-xs text-slate-400">
+                    <span>{c.quoteValue ? fmtMoney(c.quoteValue) : '—'}</span>
+                    <span>{c.lastActivity}</span>
+                  </div>
+                </button>
+              ))}
+              {col.items.length === 0 && <div className="py-2 text-center text-xs text-slate-600">empty</div>}
+            </div>
           </div>
-          <div className="space-y-2">
-            {col.items.map((c) => (
+        ))}
+      </div>
+
+      <AnimatePresence>
+        {toast && (
+          <motion.div
+            initial={{ opacity: 0, y: 16 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 16 }}
+            className={`fixed bottom-4 left-1/2 z-40 flex -translate-x-1/2 items-center gap-3 rounded-xl border px-4 py-2.5 text-sm shadow-lg ${
+              toast.error ? 'border-rose-500/40 bg-rose-950 text-rose-200' : 'border-edge bg-panel text-slate-200'
+            }`}
+          >
+            {toast.busy && <Loader2 size={14} className="animate-spin" />}
+            <span>{toast.text}</span>
+            {toast.move?.line && (
+              <button onClick={undo} className="flex items-center gap-1 rounded-lg px-2 py-1 text-sky-300 hover:bg-sky-500/10">
+                <Undo2 size={14} /> Undo
+              </button>
+            )}
+            {!toast.busy && (
+              <button onClick={() => setToast(null)} className="text-slate-500 hover:text-slate-200">
+                <X size={14} />
+              </button>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+/* -------------------------------- customers ------------------------------- */
+// Write-back forms in the drawer: change status, log a call/visit. They edit the
+// customer note through the server, then reload the vault.
+function CustomerEdits({ customer, onRefresh }) {
+  const [text, setText] = useState('')
+  const [date, setDate] = useState(todayISO())
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  async function save(fn) {
+    setBusy(true)
+    setError(null)
+    try {
+      await fn()
+      await onRefresh()
+      return true
+    } catch (e) {
+      setError(String(e.message || e))
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function log(e) {
+    e.preventDefault()
+    if (!text.trim()) return
+    if (await save(() => addTimelineEntry(customer, text, date))) setText('')
+  }
+
+  return (
+    <div className="mt-4 space-y-3 rounded-xl border border-edge bg-ink/40 p-3">
+      <label className="flex items-center justify-between gap-2 text-xs uppercase tracking-wide text-slate-400">
+        Status
+        <select
+          value={customer.status}
+          disabled={busy}
+          onChange={(e) => save(() => setCustomerStatus(customer, e.target.value))}
+          className={`${INPUT} py-1.5 normal-case tracking-normal`}
+        >
+          {STATUS_ORDER.map((s) => (
+            <option key={s} value={s}>{STATUS_META[s].label}</option>
+          ))}
+        </select>
+      </label>
+      <form onSubmit={log} className="space-y-2">
+        <div className="text-xs uppercase tracking-wide text-slate-400">Log to timeline</div>
+        <div className="flex gap-2">
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={`${INPUT} w-36 shrink-0`} />
+          <input
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="called — wants to compare fabrics"
+            className={`${INPUT} min-w-0 flex-1`}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={busy || !text.trim()}
+          className="flex items-center gap-1.5 rounded-lg border border-sky-500/40 px-3 py-1.5 text-sm text-sky-200 hover:bg-sky-500/10 disabled:opacity-50"
+        >
+          {busy ? <Loader2 size={14} className="animate-spin" /> : <Plus size={14} />} Add entry
+        </button>
+      </form>
+      {error && <div className="text-xs text-rose-300">{error}</div>}
+    </div>
+  )
+}
+
+// Quote builder: one row per opening, priced live from the catalog's sell
+// prices plus add-ons (Pricing - Add-ons note). Saving writes the ## Quote
+// table and a "quoted $X" timeline line; the server re-prices before writing.
+const blankOpening = () => ({ opening: '', product: '', qty: 1, addOns: [] })
+
+function QuoteBuilder({ customer, onRefresh }) {
+  const [open, setOpen] = useState(false)
+  const [rows, setRows] = useState(() =>
+    customer.quote?.lines.length
+      ? customer.quote.lines.map(({ opening, product, qty, addOns }) => ({ opening, product, qty, addOns }))
+      : [blankOpening()],
+  )
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const products = vault.products.filter((p) => p.sell != null)
+  const q = priceQuote(rows, vault.products, vault.addOns)
+
+  const update = (i, patch) => setRows((rs) => rs.map((r, k) => (k === i ? { ...r, ...patch } : r)))
+  const toggleAddOn = (i, name) =>
+    setRows((rs) =>
+      rs.map((r, k) =>
+        k === i ? { ...r, addOns: r.addOns.includes(name) ? r.addOns.filter((a) => a !== name) : [...r.addOns, name] } : r,
+      ),
+    )
+
+  async function save() {
+    setBusy(true)
+    setError(null)
+    try {
+      await saveQuote(customer, rows)
+      await onRefresh()
+      setOpen(false)
+    } catch (e) {
+      setError(String(e.message || e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (!open)
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="mt-3 flex items-center gap-1.5 rounded-lg border border-amber-500/40 px-3 py-1.5 text-sm text-amber-200 hover:bg-amber-500/10"
+      >
+        <Calculator size={14} /> {customer.quote ? 'Revise quote' : 'Build quote'}
+      </button>
+    )
+
+  return (
+    <div className="mt-4 space-y-3 rounded-xl border border-amber-500/30 bg-ink/40 p-3">
+      <div className="flex items-center justify-between text-xs uppercase tracking-wide text-slate-400">
+        Quote builder
+        <button onClick={() => setOpen(false)} className="text-slate-500 hover:text-slate-200">
+          <X size={14} />
+        </button>
+      </div>
+      {rows.map((r, i) => {
+        const priced = priceQuote([r], vault.products, vault.addOns).lines[0]
+        return (
+          <div key={i} className="space-y-2 rounded-lg border border-edge p-2">
+            <div className="flex gap-2">
+              <input
+                value={r.opening}
+                onChange={(e) => update(i, { opening: e.target.value })}
+                placeholder="Opening (living room left)"
+                className={`${INPUT} min-w-0 flex-1 py-1.5`}
+              />
+              <input
+                type="number"
+                min="1"
+                value={r.qty}
+                onChange={(e) => update(i, { qty: e.target.value })}
+                className={`${INPUT} w-16 shrink-0 py-1.5`}
+              />
               <button
-                key={c.path}
-                onClick={() => onSelect(c)}
-                className="w-full rounded-xl border border-edge bg-ink/60 p-2.5 text-left hover:border-slate-500"
+                onClick={() => setRows((rs) => (rs.length > 1 ? rs.filter((_, k) => k !== i) : [blankOpening()]))}
+                className="rounded-lg p-1 text-slate-500 hover:bg-edge hover:text-slate-100"
               >
-                <div className="truncate text-sm font-medium text-slate-100">{c.name}</div>
-                <div className="mt-1 flex items-center justify-between text-xs text-slate-400">
-                  <span>{c.quoteValue ? fmtMoney(c.quoteValue) : '—'}</span>
-                  <span>{c.lastActivity}</span>
-                </div>
+                <Trash2 size={14} />
               </button>
-            ))}
-            {col.items.length === 0 && <div className="py-2 text-center text-xs text-slate-600">empty</div>}
+            </div>
+            <select
+              value={r.product}
+              onChange={(e) => update(i, { product: e.target.value })}
+              className={`${INPUT} w-full py-1.5`}
+            >
+              <option value="">Product…</option>
+              {products.map((p) => (
+                <option key={p.path} value={p.name}>
+                  {p.name} — {fmtMoney(p.sell)}
+                </option>
+              ))}
+            </select>
+            <div className="flex flex-wrap items-center gap-1.5">
+              {vault.addOns.map((a) => (
+                <button
+                  key={a.name}
+                  onClick={() => toggleAddOn(i, a.name)}
+                  className={`rounded-lg border px-2 py-0.5 text-xs ${
+                    r.addOns.includes(a.name)
+                      ? 'border-sky-500/60 bg-sky-500/10 text-sky-200'
+                      : 'border-edge text-slate-400 hover:text-slate-200'
+                  }`}
+                >
+                  {a.name} +{fmtMoney(a.sell)}
+                </button>
+              ))}
+              {priced && <span className="ml-auto text-xs text-slate-400">{fmtMoney2(priced.total)}</span>}
+            </div>
+          </div>
+        )
+      })}
+      <button
+        onClick={() => setRows((rs) => [...rs, blankOpening()])}
+        className="flex items-center gap-1 text-xs text-sky-300 hover:text-sky-200"
+      >
+        <Plus size={12} /> Add opening
+      </button>
+      <div className="flex items-end justify-between border-t border-edge pt-2">
+        <div>
+          <div className="text-xs text-slate-400">{q.openings} openings</div>
+          <div className="text-xl font-semibold text-amber-300">{fmtMoney2(q.total)}</div>
+        </div>
+        <div className="text-right">
+          <div className="text-xs text-slate-400">blended margin</div>
+          <div
+            className={`text-lg font-semibold ${
+              q.margin == null ? 'text-slate-500' : q.margin < vault.targetMargin ? 'text-rose-400' : 'text-emerald-400'
+            }`}
+          >
+            {q.margin == null ? '—' : marginPct(q.margin)}
+          </div>
+          <div className="text-[11px] text-slate-500">target {pct(vault.targetMargin)}</div>
+        </div>
+      </div>
+      <button
+        onClick={save}
+        disabled={busy || !q.lines.length}
+        className="flex items-center gap-1.5 rounded-lg border border-amber-500/40 px-3 py-1.5 text-sm text-amber-200 hover:bg-amber-500/10 disabled:opacity-50"
+      >
+        {busy ? <Loader2 size={14} className="animate-spin" /> : <CheckCircle2 size={14} />} Save quote to note
+      </button>
+      {error && <div className="text-xs text-rose-300">{error}</div>}
+    </div>
+  )
+}
+
+// Opens the printable proposal in a new tab (Print / Download PDF live there).
+// The tab is opened before the request so popup blockers allow it.
+function ProposalButton({ customer, onRefresh }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  async function open() {
+    const tab = window.open('', '_blank')
+    setBusy(true)
+    setError(null)
+    try {
+      const res = await generateProposal(customer)
+      if (tab) tab.location = res.html
+      await onRefresh()
+    } catch (e) {
+      tab?.close()
+      setError(String(e.message || e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <>
+      <button
+        onClick={open}
+        disabled={busy}
+        className="flex items-center gap-1.5 rounded-lg border border-sky-500/40 px-3 py-1.5 text-sm text-sky-200 hover:bg-sky-500/10 disabled:opacity-50"
+      >
+        {busy ? <Loader2 size={14} className="animate-spin" /> : <FileText size={14} />} Proposal
+      </button>
+      {error && <div className="mt-1 text-xs text-rose-300">{error}</div>}
+    </>
+  )
+}
+
+const PO_CHECK_TONE = { error: 'text-rose-300', warning: 'text-amber-300', ok: 'text-emerald-300', info: 'text-slate-400' }
+const PO_STATUS_TONE = {
+  drafted: 'border-slate-500/40 text-slate-300',
+  sent: 'border-sky-500/40 text-sky-200',
+  confirmed: 'border-violet-500/40 text-violet-200',
+  received: 'border-emerald-500/40 text-emerald-200',
+}
+const ORDERABLE = ['won', 'installed', 'warranty']
+
+function TermsChecks({ checks }) {
+  return (
+    <ul className="mt-1 space-y-0.5 text-[11px]">
+      {checks.map((k, i) => (
+        <li key={i} className={PO_CHECK_TONE[k.level]}>
+          {k.message}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// A won deal's supplier POs: the ones already drafted, moving along
+// PO_STATUSES, and a preview of the ones still to draft from the quote.
+function PurchaseOrders({ customer, onRefresh, onOpen }) {
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState(null)
+  const [blocked, setBlocked] = useState(null) // the PO whose "sent" the terms refused
+  const orders = vault.orders.filter((o) => o.customer === customer.name)
+  const { orders: planned, unplaced } = useMemo(() => buildPurchaseOrders(customer, vault), [customer])
+  const toDraft = planned.filter((o) => !orders.some((x) => x.supplier === o.supplier))
+  if (!ORDERABLE.includes(customer.status) && !orders.length) return null
+
+  async function act(key, fn) {
+    setBusy(key)
+    setError(null)
+    try {
+      await fn()
+      await onRefresh()
+      return true
+    } catch (e) {
+      setError(String(e.message || e))
+      return false
+    } finally {
+      setBusy(null)
+    }
+  }
+  const advance = async (o, force = false) => {
+    const next = PO_STATUSES[PO_STATUSES.indexOf(o.status) + 1]
+    const ok = await act(o.path, () => setOrderStatus(o, next, force))
+    setBlocked(ok || next !== 'sent' ? null : o.path)
+  }
+
+  return (
+    <div className="mt-4 rounded-xl border border-edge bg-ink/60 p-3">
+      <div className="flex items-center gap-1.5 text-xs uppercase tracking-wide text-slate-400">
+        <Truck size={13} /> Purchase orders
+      </div>
+      {orders.map((o) => {
+        const next = PO_STATUSES[PO_STATUSES.indexOf(o.status) + 1]
+        return (
+          <div key={o.path} className="mt-2 border-t border-edge/60 pt-2">
+            <div className="flex items-center gap-2 text-sm">
+              <button onClick={() => onOpen(o.path)} className="truncate text-left text-slate-200 hover:text-sky-300">
+                {o.supplier}
+              </button>
+              <span className={`rounded-full border px-2 py-0.5 text-[11px] ${PO_STATUS_TONE[o.status] || PO_STATUS_TONE.drafted}`}>{o.status}</span>
+              <span className="ml-auto text-slate-300">{fmtMoney2(o.total)}</span>
+            </div>
+            <div className="mt-1 flex items-center gap-2 text-[11px] text-slate-500">
+              {o.history.at(-1) && <span>{o.history.at(-1).date}</span>}
+              {next && isServerAvailable() && (
+                <button
+                  onClick={() => advance(o)}
+                  disabled={busy != null}
+                  className="ml-auto flex items-center gap-1 text-sky-300 hover:text-sky-200 disabled:opacity-50"
+                >
+                  {busy === o.path ? <Loader2 size={11} className="animate-spin" /> : <ArrowRight size={11} />} Mark {next}
+                </button>
+              )}
+            </div>
+            {blocked === o.path && (
+              <button onClick={() => advance(o, true)} disabled={busy != null} className="mt-1 text-[11px] text-rose-300 underline hover:text-rose-200">
+                Send anyway
+              </button>
+            )}
+          </div>
+        )
+      })}
+      {toDraft.map((o) => (
+        <div key={o.supplier} className="mt-2 border-t border-edge/60 pt-2">
+          <div className="flex items-center gap-2 text-sm text-slate-300">
+            {o.supplier}
+            <span className="text-[11px] text-slate-500">to draft</span>
+            <span className="ml-auto">{fmtMoney2(o.subtotal)}</span>
+          </div>
+          <div className="text-[11px] text-slate-500">
+            {o.lines.map((l) => `${l.product} ×${l.qty}${l.options.length ? ` + ${l.options.join(', ')}` : ''}`).join(' · ')}
+            {o.leadTime && ` — ${o.leadTime}`}
           </div>
+          <TermsChecks checks={o.checks} />
         </div>
       ))}
+      {unplaced.length > 0 && (
+        <div className="mt-2 text-[11px] text-amber-300">
+          Not on a PO: {unplaced.map((u) => `${u.product} (${u.reason})`).join(', ')}
+        </div>
+      )}
+      {!orders.length && !toDraft.length && !unplaced.length && (
+        <div className="mt-2 text-xs text-slate-500">No quoted products to order — save a quote first.</div>
+      )}
+      {toDraft.length > 0 &&
+        (isServerAvailable() ? (
+          <button
+            onClick={() => act('draft', () => draftPurchaseOrders(customer))}
+            disabled={busy != null}
+            className="mt-3 flex items-center gap-1.5 rounded-lg border border-sky-500/40 px-3 py-1.5 text-sm text-sky-200 hover:bg-sky-500/10 disabled:opacity-50"
+          >
+            {busy === 'draft' ? <Loader2 size={14} className="animate-spin" /> : <FileText size={14} />} Draft {toDraft.length} PO
+            {toDraft.length > 1 ? 's' : ''}
+          </button>
+        ) : (
+          <div className="mt-2 text-[11px] text-slate-500">Read-only — start the model server to draft these.</div>
+        ))}
+      {error && <div className="mt-2 text-xs text-rose-300">{error}</div>}
     </div>
   )
 }
 
-/* -------------------------------- customers ------------------------------- */
-function CustomerDrawer({ customer, onClose }) {
+function CustomerDrawer({ customer, onClose, onRefresh, onOpen }) {
   return (
     <AnimatePresence>
       {customer && (
@@ -229,34 +775,55 @@ function CustomerDrawer({ customer, onClose }) {
             <div className="flex items-start justify-between">
               <div>
                 <h2 className="text-xl font-semibold text-slate-50">{customer.name}</h2>
-                <div className="mt-2"><Pill status={customer.status} /></div>
+                <div className="mt-2 flex items-center gap-2">
+                  <Pill status={customer.status} />
+                  {customer.lostReason && <span className="text-xs text-slate-500">{customer.lostReason}</span>}
+                </div>
               </div>
               <button onClick={onClose} className="rounded-lg p-1 text-slate-400 hover:bg-edge hover:text-slate-100">
                 <X size={20} />
               </button>
             </div>
 
+            {isServerAvailable() && <CustomerEdits key={customer.path} customer={customer} onRefresh={onRefresh} />}
+
             {customer.quoteValue != null && (
               <div className="mt-4 rounded-xl border border-edge bg-ink/60 p-3">
                 <div className="text-xs uppercase tracking-wide text-slate-400">Latest quote</div>
                 <div className="text-2xl font-semibold text-amber-300">{fmtMoney(customer.quoteValue)}</div>
+                {customer.quote && (
+                  <table className="mt-2 w-full text-xs">
+                    <tbody>
+                      {customer.quote.lines.map((l, i) => (
+                        <tr key={i} className="border-t border-edge/60 text-slate-300">
+                          <td className="py-1 pr-2">{l.opening}</td>
+                          <td className="py-1 pr-2 text-slate-400">
+                            {l.product} ×{l.qty}
+                            {l.addOns.length > 0 && <span className="text-slate-500"> + {l.addOns.join(', ')}</span>}
+                          </td>
+                          <td className="py-1 text-right">{fmtMoney(l.total)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {customer.quote && isServerAvailable() && (
+                  <div className="mt-3">
+                    <ProposalButton customer={customer} onRefresh={onRefresh} />
+                  </div>
+                )}
               </div>
             )}
 
-            {customer.products.length > 0 && (
-              <div className="mt-4">
-                <div className="mb-1 flex items-center gap-1.5 text-xs uppercase tracking-wide text-slate-400">
-                  <Link2 size={12} /> Linked notes
-                </div>
-                <div className="flex flex-wrap gap-1.5">
-                  {customer.products.map((p) => (
-                    <span key={p} className="rounded-lg border border-edge bg-ink/60 px-2 py-1 text-xs text-sky-300">
-                      {p}
-                    </span>
-                  ))}
-                </div>
-              </div>
-            )}
+            {isServerAvailable() && <QuoteBuilder key={customer.path} customer={customer} onRefresh={onRefresh} />}
+
+            <PurchaseOrders key={`po-${customer.path}`} customer={customer} onRefresh={onRefresh} onOpen={onOpen} />
+
+            <CustomerJob customer={customer} onRefresh={onRefresh} onOpen={onOpen} />
+
+            <CustomerClaims customer={customer} />
+
+            <NoteLinks path={customer.path} onOpen={onOpen} />
 
             {customer.timeline.length > 0 && (
               <div className="mt-5">
@@ -266,7 +833,13 @@ function CustomerDrawer({ customer, onClose }) {
                     <li key={i} className="relative">
                       <span className="absolute -left-[21px] top-1.5 h-2 w-2 rounded-full bg-sky-500" />
                       <div className="text-xs text-slate-500">{t.date}</div>
-                      <div className="text-sm text-slate-200">{t.text.replace(/^\d{4}-\d{2}-\d{2}\s*[—-]\s*/, '')}</div>
+                      <div className="text-sm text-slate-200">
+                        <InlineMarkdown
+                          text={t.text.replace(/^\d{4}-\d{2}-\d{2}\s*[—-]\s*/, '')}
+                          notePath={customer.path}
+                          onOpen={onOpen}
+                        />
+                      </div>
                     </li>
                   ))}
                 </ol>
@@ -283,9 +856,215 @@ function CustomerDrawer({ customer, onClose }) {
   )
 }
 
-function Customers({ onSelect }) {
+const NEW_CUSTOMER_FIELDS = [
+  ['name', 'Full name *'],
+  ['phone', 'Phone'],
+  ['email', 'Email'],
+  ['address', 'Address'],
+  ['source', 'Source (referral, Google…)'],
+  ['openings', 'Rooms / openings'],
+  ['products', 'Products of interest'],
+  ['firstContact', 'First contact — what did they ask for?'],
+]
+
+function NewCustomerForm({ onCreated, onCancel }) {
+  const [fields, setFields] = useState({})
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  async function submit(e) {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      const res = await createCustomer(fields)
+      await onCreated(res.path)
+    } catch (err) {
+      setError(String(err.message || err))
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Card className="p-4">
+      <form onSubmit={submit} className="space-y-3">
+        <div className="text-sm font-medium text-slate-200">New customer note</div>
+        <div className="grid gap-2 sm:grid-cols-2">
+          {NEW_CUSTOMER_FIELDS.map(([key, label]) => (
+            <input
+              key={key}
+              value={fields[key] || ''}
+              onChange={(e) => setFields({ ...fields, [key]: e.target.value })}
+              placeholder={label}
+              className={INPUT}
+            />
+          ))}
+        </div>
+        {error && <div className="text-xs text-rose-300">{error}</div>}
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={busy || !fields.name?.trim()}
+            className="flex items-center gap-1.5 rounded-lg border border-emerald-500/40 px-3 py-1.5 text-sm text-emerald-200 hover:bg-emerald-500/10 disabled:opacity-50"
+          >
+            {busy ? <Loader2 size={14} className="animate-spin" /> : <Plus size={14} />} Create note
+          </button>
+          <button type="button" onClick={onCancel} className="rounded-lg px-3 py-1.5 text-sm text-slate-400 hover:text-slate-200">
+            Cancel
+          </button>
+        </div>
+      </form>
+    </Card>
+  )
+}
+
+// One side of a merge: what each note knows, and whether it survives.
+function MergeSide({ customer: c, kept, onKeep }) {
+  return (
+    <button
+      onClick={onKeep}
+      className={`flex-1 rounded-xl border p-3 text-left text-sm ${
+        kept ? 'border-emerald-500/50 bg-emerald-500/5' : 'border-edge bg-ink/40 hover:border-slate-500'
+      }`}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-medium text-slate-100">{c.name}</span>
+        <Pill status={c.status} />
+      </div>
+      {c.aliases.length > 0 && <div className="text-xs text-slate-500">aka {c.aliases.join(', ')}</div>}
+      <div className="mt-2 space-y-0.5 text-xs text-slate-400">
+        {[...c.contact.phones, ...c.contact.emails, c.contact.address].filter(Boolean).map((x) => (
+          <div key={x}>{x}</div>
+        ))}
+        <div>
+          created {c.fm.created || '—'} · {c.timeline.length} timeline entr{c.timeline.length === 1 ? 'y' : 'ies'}
+          {c.quoteValue ? ` · ${fmtMoney(c.quoteValue)} quote` : ''}
+        </div>
+      </div>
+      <div className={`mt-2 text-xs ${kept ? 'text-emerald-300' : 'text-slate-500'}`}>
+        {kept ? 'Kept — the other note is folded in' : 'Archived to 90-archive/ after the merge'}
+      </div>
+    </button>
+  )
+}
+
+// Merge screen for one suspected pair: pick the survivor, read the dry-run
+// diff of every file the merge touches, then apply it as one undoable run.
+function MergeCustomers({ pair, onCancel, onMerged }) {
+  const [keepPath, setKeepPath] = useState(pair.keep.path)
+  const [keep, other] = keepPath === pair.keep.path ? [pair.keep, pair.merge] : [pair.merge, pair.keep]
+  const [preview, setPreview] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let live = true
+    setPreview(null)
+    setError(null)
+    mergeCustomers(keep, other, true)
+      .then((res) => live && setPreview(res))
+      .catch((err) => live && setError(String(err.message || err)))
+    return () => {
+      live = false
+    }
+  }, [keep, other])
+
+  async function apply() {
+    setBusy(true)
+    setError(null)
+    try {
+      const res = await mergeCustomers(keep, other)
+      await onMerged(res)
+    } catch (err) {
+      setError(String(err.message || err))
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-center gap-2 text-sm font-medium text-slate-200">
+        <GitMerge size={15} className="text-sky-400" /> Merge duplicate customers
+        <span className="text-xs font-normal text-slate-500">{pair.reasons.join(' · ')}</span>
+      </div>
+      <div className="mt-3 flex flex-col gap-2 sm:flex-row">
+        <MergeSide customer={pair.keep} kept={keep === pair.keep} onKeep={() => setKeepPath(pair.keep.path)} />
+        <MergeSide customer={pair.merge} kept={keep === pair.merge} onKeep={() => setKeepPath(pair.merge.path)} />
+      </div>
+      <div className="mt-3 text-xs text-slate-400">
+        Timelines combine in date order, contact details, aliases and links are unioned, and every{' '}
+        <code className="text-slate-300">[[{other.filename}]]</code> in the vault is pointed at{' '}
+        <code className="text-slate-300">[[{keep.filename}]]</code>. Roll it back from System → Run history.
+      </div>
+      {!preview && !error && (
+        <div className="mt-3 flex items-center gap-2 text-xs text-slate-500">
+          <Loader2 size={13} className="animate-spin" /> Previewing…
+        </div>
+      )}
+      {preview && <DiffView changes={preview.changes} />}
+      {error && <div className="mt-3 text-xs text-rose-300">{error}</div>}
+      <div className="mt-3 flex gap-2">
+        <button
+          onClick={apply}
+          disabled={busy || !preview}
+          className="flex items-center gap-1.5 rounded-lg border border-emerald-500/40 px-3 py-1.5 text-sm text-emerald-200 hover:bg-emerald-500/10 disabled:opacity-50"
+        >
+          {busy ? <Loader2 size={14} className="animate-spin" /> : <GitMerge size={14} />} Merge into {keep.name}
+        </button>
+        <button onClick={onCancel} className="rounded-lg px-3 py-1.5 text-sm text-slate-400 hover:text-slate-200">
+          Cancel
+        </button>
+      </div>
+    </Card>
+  )
+}
+
+// Customer notes that look like the same person (src/lib/duplicates.js).
+function DuplicateCustomers({ pairs, online, onReview }) {
+  if (!pairs.length) return null
+  return (
+    <Card className="p-4">
+      <div className="flex items-center gap-2 text-sm font-medium text-slate-200">
+        <AlertTriangle size={15} className="text-amber-400" /> Possible duplicates
+        <span className="text-xs font-normal text-slate-500">{pairs.length} pair{pairs.length === 1 ? '' : 's'}</span>
+      </div>
+      <div className="mt-2 divide-y divide-edge/50">
+        {pairs.map((p) => (
+          <div key={p.keep.path + p.merge.path} className="flex flex-wrap items-center gap-2 py-2 text-sm">
+            <span className="text-slate-100">{p.keep.name}</span>
+            <span className="text-slate-500">&amp;</span>
+            <span className="text-slate-100">{p.merge.name}</span>
+            <span
+              className={`rounded-md px-1.5 py-0.5 text-xs ${
+                p.level === 'likely' ? 'bg-amber-500/15 text-amber-300' : 'bg-slate-500/15 text-slate-400'
+              }`}
+            >
+              {p.level} · {Math.round(p.score * 100)}%
+            </span>
+            <span className="text-xs text-slate-500">{p.reasons.join(' · ')}</span>
+            {online && (
+              <button
+                onClick={() => onReview(p)}
+                className="ml-auto flex items-center gap-1.5 rounded-lg border border-edge px-2.5 py-1 text-xs text-slate-200 hover:border-slate-500"
+              >
+                <GitMerge size={13} /> Review merge
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      {!online && <div className="mt-1 text-xs text-slate-500">Read-only — start the model server to merge notes.</div>}
+    </Card>
+  )
+}
+
+function Customers({ onSelect, onRefresh }) {
   const [q, setQ] = useState('')
   const [filter, setFilter] = useState('all')
+  const [adding, setAdding] = useState(false)
+  const [merging, setMerging] = useState(null)
+  const online = isServerAvailable()
+  const pairs = findDuplicates(vault.customers)
   const list = vault.customers.filter((c) => {
     if (filter !== 'all' && c.status !== filter) return false
     if (!q) return true
@@ -312,8 +1091,44 @@ function Customers({ onSelect }) {
           ))}
         </select>
         <span className="text-sm text-slate-500">{list.length} shown</span>
+        {online && !adding && (
+          <button
+            onClick={() => setAdding(true)}
+            className="ml-auto flex items-center gap-1.5 rounded-xl border border-edge bg-panel px-3 py-2 text-sm text-slate-200 hover:border-slate-500"
+          >
+            <Plus size={15} /> New customer
+          </button>
+        )}
       </div>
 
+      {adding && (
+        <NewCustomerForm
+          onCancel={() => setAdding(false)}
+          onCreated={async (path) => {
+            await onRefresh()
+            setAdding(false)
+            const c = vault.customers.find((x) => x.path === path)
+            if (c) onSelect(c)
+          }}
+        />
+      )}
+
+      {merging ? (
+        <MergeCustomers
+          key={merging.keep.path + merging.merge.path}
+          pair={merging}
+          onCancel={() => setMerging(null)}
+          onMerged={async (res) => {
+            await onRefresh()
+            setMerging(null)
+            const c = vault.customers.find((x) => x.path === res.path)
+            if (c) onSelect(c)
+          }}
+        />
+      ) : (
+        <DuplicateCustomers pairs={pairs} online={online} onReview={setMerging} />
+      )}
+
       <Card>
         <table className="w-full text-sm">
           <thead>
@@ -353,7 +1168,20 @@ function Customers({ onSelect }) {
 }
 
 /* --------------------------------- catalog -------------------------------- */
+// "3 warranty claims · 1 open · 2 covered", rose while any is open.
+function ClaimCount({ counts }) {
+  if (!counts) return null
+  return (
+    <div className={`mt-1 flex items-center gap-1 text-xs ${counts.open ? 'text-rose-300' : 'text-slate-500'}`}>
+      <ShieldAlert size={12} /> {counts.total} warranty claim{counts.total > 1 ? 's' : ''}
+      {counts.open > 0 && ` · ${counts.open} open`}
+      {counts.covered > 0 && ` · ${counts.covered} covered`}
+    </div>
+  )
+}
+
 function Catalog() {
+  const claims = claimRollup(vault)
   return (
     <div className="grid gap-4 lg:grid-cols-2">
       <div>
@@ -365,17 +1193,29 @@ function Catalog() {
             <Card key={p.path} className="p-3">
               <div className="flex items-center justify-between">
                 <div className="font-medium text-slate-100">{p.name}</div>
-                {p.marginAlert && (
+                {(p.marginAlert || (p.margin != null && p.margin < vault.targetMargin)) && (
                   <span className="flex items-center gap-1 text-xs text-rose-400">
                     <AlertTriangle size={12} /> margin
                   </span>
                 )}
               </div>
+              {p.sell != null && (
+                <div className="mt-1 text-xs text-slate-400">
+                  {fmtMoney(p.cost)} / {fmtMoney(p.sell)} ·{' '}
+                  <span className={p.margin < vault.targetMargin ? 'text-rose-400' : 'text-emerald-400'}>{pct(p.margin)} margin</span>
+                </div>
+              )}
               {p.supplier && (
                 <div className="mt-1 flex items-center gap-1 text-xs text-slate-400">
                   <Truck size={12} /> {p.supplier}
                 </div>
               )}
+              {p.scheduledCost && (
+                <div className="mt-1 text-xs text-amber-300/80">
+                  cost {fmtMoney(p.cost)} → ${p.scheduledCost.cost} on {p.scheduledCost.effective}
+                </div>
+              )}
+              <ClaimCount counts={claims.products[p.name]} />
             </Card>
           ))}
           {vault.products.length === 0 && <Card className="p-4 text-sm text-slate-500">No products yet.</Card>}
@@ -386,14 +1226,24 @@ function Catalog() {
           <Truck size={16} className="text-sky-400" /> Suppliers
         </div>
         <div className="space-y-2">
-          {vault.suppliers.map((s) => (
-            <Card key={s.path} className="p-3">
-              <div className="font-medium text-slate-100">{s.name}</div>
-              <div className="mt-1 text-xs text-slate-400">
-                {(s.body.match(/\*\*Lead times:\*\*\s*(.+)/) || [, ''])[1] || ''}
-              </div>
-            </Card>
-          ))}
+          {vault.suppliers.map((s) => {
+            const open = vault.orders.filter((o) => o.supplier === s.name && o.status !== 'received')
+            return (
+              <Card key={s.path} className="p-3">
+                <div className="font-medium text-slate-100">{s.name}</div>
+                <div className="mt-1 text-xs text-slate-400">
+                  {s.leadTimes}
+                </div>
+                {s.terms && <div className="mt-1 text-xs text-slate-500">{s.terms}</div>}
+                {open.length > 0 && (
+                  <div className="mt-2 text-xs text-sky-300">
+                    {open.length} open PO{open.length > 1 ? 's' : ''} · {fmtMoney2(open.reduce((t, o) => t + o.total, 0))}
+                  </div>
+                )}
+                <ClaimCount counts={claims.suppliers[s.name]} />
+              </Card>
+            )
+          })}
           {vault.suppliers.length === 0 && <Card className="p-4 text-sm text-slate-500">No suppliers yet.</Card>}
         </div>
       </div>
@@ -401,9 +1251,603 @@ function Catalog() {
   )
 }
 
-/* ------------------------------- operations ------------------------------- */
-function Operations() {
-  return (
+/* ------------------------------- note bodies ------------------------------ */
+// A note's markdown, minus its H1. The server sends the vault without bodies,
+// so this fetches the note the first time it's shown.
+/* -------------------------------- markdown -------------------------------- */
+const CALLOUT_STYLES = {
+  info: ['border-sky-500/40 bg-sky-500/10', 'text-sky-300', Info],
+  success: ['border-emerald-500/40 bg-emerald-500/10', 'text-emerald-300', CheckCircle2],
+  warning: ['border-amber-500/40 bg-amber-500/10', 'text-amber-300', AlertTriangle],
+  danger: ['border-rose-500/40 bg-rose-500/10', 'text-rose-300', CircleAlert],
+}
+
+// Renders the tree from src/lib/markdown.js. Wikilinks open the linked note in
+// the dashboard (struck through when nothing matches); images resolve against
+// the vault. `notePath` is the note being shown, for relative image paths.
+function mdRenderer({ notePath, onOpen }) {
+  const inline = (nodes) =>
+    nodes.map((n, i) => {
+      switch (n.type) {
+        case 'text':
+          return <React.Fragment key={i}>{n.text}</React.Fragment>
+        case 'br':
+          return <br key={i} />
+        case 'strong':
+          return <strong key={i} className="font-semibold text-slate-100">{inline(n.children)}</strong>
+        case 'em':
+          return <em key={i}>{inline(n.children)}</em>
+        case 'del':
+          return <del key={i} className="text-slate-500">{inline(n.children)}</del>
+        case 'mark':
+          return <mark key={i} className="rounded bg-amber-400/20 px-0.5 text-amber-200">{inline(n.children)}</mark>
+        case 'code':
+          return <code key={i} className="rounded bg-ink px-1 py-0.5 text-[0.85em] text-slate-200">{n.text}</code>
+        case 'tag':
+          return <span key={i} className="rounded bg-violet-500/15 px-1 text-violet-300">#{n.tag}</span>
+        case 'link':
+          if (!safeHref(n.href)) return <span key={i}>{inline(n.children)}</span>
+          return (
+            <a key={i} href={safeHref(n.href)} target="_blank" rel="noreferrer" className="text-sky-300 underline decoration-sky-500/40 hover:decoration-sky-300">
+              {inline(n.children)}
+            </a>
+          )
+        case 'image': {
+          const src = attachmentUrl(n.src, notePath)
+          if (!src) return <span key={i} className="text-rose-300/80">[missing image: {n.src}]</span>
+          return (
+            <img
+              key={i}
+              src={src}
+              alt={n.alt}
+              width={n.width || undefined}
+              height={n.height || undefined}
+              className="my-1 inline-block max-w-full rounded-lg border border-edge"
+            />
+          )
+        }
+        case 'wikilink': {
+          const path = vaultLinks().resolve(n.target)
+          const label = n.label || (n.heading ? `${n.target} › ${n.heading}` : n.target)
+          if (!path)
+            return (
+              <span key={i} title="No note with this name or alias" className="text-rose-300/80 line-through">
+                {label}
+              </span>
+            )
+          return (
+            <button key={i} onClick={() => onOpen?.(path)} className="text-sky-300 hover:underline">
+              {label}
+            </button>
+          )
+        }
+        default:
+          return null
+      }
+    })
+
+  // a list item that is one paragraph renders inline (tight list)
+  const itemBody = (children) =>
+    children.length === 1 && children[0].type === 'paragraph' ? inline(children[0].children) : children.map(block)
+
+  const block = (b, i) => {
+    switch (b.type) {
+      case 'heading': {
+        const H = `h${Math.min(b.level + 1, 6)}`
+        const size = b.level <= 2 ? 'text-base' : 'text-sm'
+        return <H key={i} className={`${size} mt-4 font-semibold text-slate-100 first:mt-0`}>{inline(b.children)}</H>
+      }
+      case 'paragraph':
+        return <p key={i}>{inline(b.children)}</p>
+      case 'hr':
+        return <hr key={i} className="border-edge" />
+      case 'code':
+        return (
+          <pre key={i} className="overflow-x-auto rounded-lg border border-edge bg-ink p-3 text-xs text-slate-200">
+            <code>{b.text}</code>
+          </pre>
+        )
+      case 'quote':
+        return (
+          <blockquote key={i} className="space-y-2 border-l-2 border-edge pl-3 text-slate-400">
+            {b.children.map(block)}
+          </blockquote>
+        )
+      case 'callout': {
+        const [box, tone, Icon] = CALLOUT_STYLES[b.kind]
+        return (
+          <div key={i} className={`rounded-xl border p-3 ${box}`}>
+            <div className={`flex items-center gap-1.5 text-xs font-semibold uppercase tracking-wide ${tone}`}>
+              <Icon size={14} /> {inline(b.title)}
+            </div>
+            {b.children.length > 0 && <div className="mt-1.5 space-y-2 text-slate-200">{b.children.map(block)}</div>}
+          </div>
+        )
+      }
+      case 'list': {
+        const List = b.ordered ? 'ol' : 'ul'
+        const tasks = b.items.some((it) => it.task != null)
+        return (
+          <List
+            key={i}
+            start={b.start ?? undefined}
+            className={`space-y-1 ${tasks ? 'pl-1' : b.ordered ? 'list-decimal pl-5' : 'list-disc pl-5'} marker:text-slate-500`}
+          >
+            {b.items.map((it, k) =>
+              it.task != null ? (
+                <li key={k} className="flex list-none items-start gap-2">
+                  <input type="checkbox" checked={it.task} readOnly className="mt-1 accent-sky-500" />
+                  <div className={it.task ? 'text-slate-500 line-through' : ''}>{itemBody(it.children)}</div>
+                </li>
+              ) : (
+                <li key={k}>{itemBody(it.children)}</li>
+              ),
+            )}
+          </List>
+        )
+      }
+      case 'table':
+        return (
+          <div key={i} className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-400">
+                  {b.head.map((c, k) => (
+                    <th key={k} style={{ textAlign: b.align[k] || undefined }} className="border-b border-edge px-2 py-1.5 font-medium">
+                      {inline(c)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {b.rows.map((r, k) => (
+                  <tr key={k} className="border-b border-edge/60">
+                    {r.map((c, j) => (
+                      <td key={j} style={{ textAlign: b.align[j] || undefined }} className="px-2 py-1.5">
+                        {inline(c)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      default:
+        return null
+    }
+  }
+  return { inline, block }
+}
+
+function Markdown({ source, notePath, onOpen, className = '' }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source])
+  const { block } = mdRenderer({ notePath, onOpen })
+  return <div className={`space-y-3 text-sm leading-relaxed text-slate-300 ${className}`}>{blocks.map(block)}</div>
+}
+
+// One line of markdown (a timeline entry) inside running text.
+function InlineMarkdown({ text, notePath, onOpen }) {
+  const nodes = useMemo(() => parseInline(text), [text])
+  return mdRenderer({ notePath, onOpen }).inline(nodes)
+}
+
+function NoteBody({ note, onOpen, className = '' }) {
+  const [body, setBody] = useState(note.body ?? null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let current = true
+    setError(null)
+    noteBody(note)
+      .then((b) => current && setBody(b))
+      .catch((e) => current && setError(String(e.message || e)))
+    return () => {
+      current = false
+    }
+  }, [note])
+
+  if (error) return <div className={`text-xs text-rose-300 ${className}`}>{error}</div>
+  if (body == null)
+    return (
+      <div className={`flex items-center gap-2 text-sm text-slate-500 ${className}`}>
+        <Loader2 size={14} className="animate-spin" /> Loading note…
+      </div>
+    )
+  return <Markdown source={body.replace(/^#\s+.+\n/, '')} notePath={note.path} onOpen={onOpen} className={className} />
+}
+
+// Outgoing links and backlinks for one note, as chips that open the linked
+// note. Links with no note behind them show struck through.
+function NoteLinks({ path, onOpen }) {
+  const graph = vaultLinks()
+  const name = (p) => vault.notes.find((n) => n.path === p)?.name || p
+  const out = graph.outgoing.get(path) || []
+  const back = graph.backlinks.get(path) || []
+  if (!out.length && !back.length) return null
+  const chip = 'rounded-lg border border-edge bg-ink/60 px-2 py-1 text-xs'
+  const Row = ({ label, children }) => (
+    <div>
+      <div className="mb-1 flex items-center gap-1.5 text-xs uppercase tracking-wide text-slate-400">
+        <Link2 size={12} /> {label}
+      </div>
+      <div className="flex flex-wrap gap-1.5">{children}</div>
+    </div>
+  )
+  return (
+    <div className="mt-4 space-y-3">
+      {out.length > 0 && (
+        <Row label="Links to">
+          {out.map((l) =>
+            l.path ? (
+              <button key={l.target} onClick={() => onOpen(l.path)} className={`${chip} text-sky-300 hover:border-sky-500/50`}>
+                {l.target}
+              </button>
+            ) : (
+              <span key={l.target} title="No note with this name or alias" className={`${chip} text-rose-300/80 line-through`}>
+                {l.target}
+              </span>
+            ),
+          )}
+        </Row>
+      )}
+      {back.length > 0 && (
+        <Row label="Linked from">
+          {back.map((p) => (
+            <button key={p} onClick={() => onOpen(p)} className={`${chip} text-violet-300 hover:border-violet-500/50`}>
+              {name(p)}
+            </button>
+          ))}
+        </Row>
+      )}
+    </div>
+  )
+}
+
+// Any non-customer note, opened from search or a link: its body, its links
+// and backlinks, and where it lives.
+function NoteViewer({ note, onClose, onOpen }) {
+  return (
+    <AnimatePresence>
+      {note && (
+        <>
+          <motion.div
+            className="fixed inset-0 z-40 bg-black/50"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+          />
+          <motion.div
+            className="fixed right-0 top-0 z-50 h-full w-full max-w-xl overflow-y-auto border-l border-edge bg-panel p-6"
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'spring', damping: 28, stiffness: 260 }}
+          >
+            <div className="flex items-start justify-between">
+              <div>
+                <h2 className="text-xl font-semibold text-slate-50">{note.name}</h2>
+                <div className="mt-1 text-xs text-slate-500">{note.folder}</div>
+              </div>
+              <button onClick={onClose} className="rounded-lg p-1 text-slate-400 hover:bg-edge hover:text-slate-100">
+                <X size={20} />
+              </button>
+            </div>
+            <NoteLinks path={note.path} onOpen={onOpen} />
+            <NoteBody key={note.path} note={note} onOpen={onOpen} className="mt-5" />
+            <div className="mt-6 text-xs text-slate-500">
+              Source note: <code className="text-slate-400">{note.path.replace(/^.*?vault\//, 'vault/')}</code>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  )
+}
+
+/* ----------------------------- command palette ---------------------------- */
+const Segments = ({ parts }) =>
+  parts.map((p, i) =>
+    p.hit ? (
+      <mark key={i} className="rounded bg-amber-400/20 px-0.5 text-amber-200">
+        {p.text}
+      </mark>
+    ) : (
+      <React.Fragment key={i}>{p.text}</React.Fragment>
+    ),
+  )
+
+// Ctrl+K / ⌘K: search every note (server index, or the same index built in
+// the browser for static builds). ↑/↓ to move, Enter to open, Esc to close.
+function CommandPalette({ open, onClose, onOpen }) {
+  const [query, setQuery] = useState('')
+  const [res, setRes] = useState(null)
+  const [active, setActive] = useState(0)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!open) return
+    setQuery('')
+    setRes(null)
+    setActive(0)
+  }, [open])
+
+  useEffect(() => {
+    if (!query.trim()) return setRes(null)
+    let current = true
+    const id = setTimeout(() => {
+      searchVault(query)
+        .then((r) => {
+          if (!current) return
+          setRes(r)
+          setActive(0)
+          setError(null)
+        })
+        .catch((e) => current && setError(String(e.message || e)))
+    }, 120)
+    return () => {
+      current = false
+      clearTimeout(id)
+    }
+  }, [query])
+
+  const flat = res ? res.groups.flatMap((g) => g.results) : []
+
+  function onKeyDown(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActive((a) => Math.min(a + 1, flat.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActive((a) => Math.max(a - 1, 0))
+    } else if (e.key === 'Enter' && flat[active]) {
+      e.preventDefault()
+      onOpen(flat[active])
+    } else if (e.key === 'Escape') onClose()
+  }
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <>
+          <motion.div
+            className="fixed inset-0 z-[60] bg-black/60"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+          />
+          <motion.div
+            className="fixed left-1/2 top-[12vh] z-[70] w-[min(40rem,calc(100vw-2rem))] -translate-x-1/2 overflow-hidden rounded-2xl border border-edge bg-panel shadow-2xl"
+            initial={{ opacity: 0, y: -12 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -12 }}
+          >
+            <div className="flex items-center gap-2 border-b border-edge px-4 py-3">
+              <Search size={16} className="text-slate-500" />
+              <input
+                autoFocus
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={onKeyDown}
+                placeholder="Search customers, products, SOPs, raw notes…"
+                className="w-full bg-transparent text-sm text-slate-100 placeholder:text-slate-500 focus:outline-none"
+              />
+              <kbd className="rounded border border-edge px-1.5 text-[10px] text-slate-500">esc</kbd>
+            </div>
+            <div className="max-h-[60vh] overflow-y-auto p-2">
+              {error && <div className="p-3 text-sm text-rose-300">{error}</div>}
+              {res && res.total === 0 && <div className="p-3 text-sm text-slate-500">No notes match “{res.query}”.</div>}
+              {!res && !error && (
+                <div className="p-3 text-xs text-slate-500">Titles, aliases, tags and note text — every note in the vault.</div>
+              )}
+              {res?.groups.map((g) => (
+                <div key={g.id} className="mb-2">
+                  <div className="px-2 py-1 text-[11px] uppercase tracking-wide text-slate-500">
+                    {g.label} <span className="text-slate-600">· {g.total}</span>
+                  </div>
+                  {g.results.map((r) => {
+                    const i = flat.indexOf(r)
+                    return (
+                      <button
+                        key={r.path}
+                        onMouseEnter={() => setActive(i)}
+                        onClick={() => onOpen(r)}
+                        className={`block w-full rounded-xl px-3 py-2 text-left ${i === active ? 'bg-edge' : ''}`}
+                      >
+                        <div className="text-sm text-slate-100">
+                          <Segments parts={r.title} />
+                        </div>
+                        <div className="mt-0.5 line-clamp-2 text-xs text-slate-400">
+                          <Segments parts={r.snippet} />
+                        </div>
+                      </button>
+                    )
+                  })}
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  )
+}
+
+/* ---------------------------------- graph --------------------------------- */
+const GROUP_COLORS = {
+  customers: '#38bdf8',
+  products: '#fbbf24',
+  suppliers: '#34d399',
+  sops: '#a78bfa',
+  marketing: '#f472b6',
+  projects: '#fb923c',
+  raw: '#94a3b8',
+  archive: '#475569',
+  other: '#64748b',
+}
+const GRAPH_W = 800
+const GRAPH_H = 520
+
+function Graph({ onOpen }) {
+  const graph = vaultLinks()
+  const present = NOTE_GROUPS.filter((g) => vault.notes.some((n) => groupOf(n.folder) === g.id))
+  const [shown, setShown] = useState(() => new Set(present.map((g) => g.id).filter((id) => id !== 'archive')))
+  const [hover, setHover] = useState(null)
+  const [moved, setMoved] = useState({})
+  const drag = useRef(null)
+  const svg = useRef(null)
+
+  const nodes = vault.notes.filter((n) => shown.has(groupOf(n.folder)))
+  const ids = new Set(nodes.map((n) => n.path))
+  const edges = graph.edges.filter((e) => ids.has(e.source) && ids.has(e.target))
+  const layoutKey = [...ids].join('\n') + '\n\n' + edges.map((e) => `${e.source}>${e.target}`).join('\n')
+  // layoutKey captures nodes and edges, which are fresh arrays every render:
+  // the graph is laid out again only when the shown notes or links change.
+  const layout = useMemo(() => layoutGraph(nodes, edges, { width: GRAPH_W, height: GRAPH_H }), [layoutKey])
+  useEffect(() => setMoved({}), [layoutKey])
+  const at = (p) => moved[p] || layout.get(p)
+
+  const degree = new Map()
+  for (const e of edges) for (const p of [e.source, e.target]) degree.set(p, (degree.get(p) || 0) + 1)
+  const near = hover && new Set([hover, ...edges.flatMap((e) => (e.source === hover ? [e.target] : e.target === hover ? [e.source] : []))])
+
+  // drag in SVG coordinates; a press that doesn't move opens the note
+  const point = (e) => {
+    const r = svg.current.getBoundingClientRect()
+    return { x: ((e.clientX - r.left) / r.width) * GRAPH_W, y: ((e.clientY - r.top) / r.height) * GRAPH_H }
+  }
+  const onMove = (e) => {
+    if (!drag.current) return
+    drag.current.moved = true
+    setMoved((m) => ({ ...m, [drag.current.path]: point(e) }))
+  }
+  const onUp = () => {
+    if (drag.current && !drag.current.moved) onOpen(drag.current.path)
+    drag.current = null
+  }
+
+  const toggle = (id) =>
+    setShown((s) => {
+      const next = new Set(s)
+      next.has(id) ? next.delete(id) : next.add(id)
+      return next
+    })
+  const name = (p) => vault.notes.find((n) => n.path === p)?.name || p
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <div className="mb-3 flex flex-wrap items-center gap-1.5">
+          {present.map((g) => (
+            <button
+              key={g.id}
+              onClick={() => toggle(g.id)}
+              className={`flex items-center gap-1.5 rounded-lg border px-2.5 py-1 text-xs ${
+                shown.has(g.id) ? 'border-edge bg-edge text-slate-100' : 'border-edge/60 text-slate-500'
+              }`}
+            >
+              <span className="h-2 w-2 rounded-full" style={{ background: GROUP_COLORS[g.id] }} /> {g.label}
+            </button>
+          ))}
+          <span className="ml-auto text-xs text-slate-500">
+            {nodes.length} notes · {edges.length} links · drag to arrange, click to open
+          </span>
+        </div>
+        <svg
+          ref={svg}
+          viewBox={`0 0 ${GRAPH_W} ${GRAPH_H}`}
+          className="w-full touch-none select-none rounded-xl bg-ink/60"
+          onPointerMove={onMove}
+          onPointerUp={onUp}
+          onPointerLeave={() => (drag.current = null)}
+        >
+          {edges.map((e) => {
+            const a = at(e.source)
+            const b = at(e.target)
+            const lit = hover && (e.source === hover || e.target === hover)
+            return (
+              <line
+                key={`${e.source}>${e.target}`}
+                x1={a.x}
+                y1={a.y}
+                x2={b.x}
+                y2={b.y}
+                stroke={lit ? '#e2e8f0' : '#334155'}
+                strokeOpacity={near && !lit ? 0.3 : 0.8}
+                strokeWidth={lit ? 1.5 : 1}
+              />
+            )
+          })}
+          {nodes.map((n) => {
+            const p = at(n.path)
+            const r = 5 + Math.min(degree.get(n.path) || 0, 10) * 0.8
+            const dim = near && !near.has(n.path)
+            return (
+              <g
+                key={n.path}
+                transform={`translate(${p.x},${p.y})`}
+                className="cursor-pointer"
+                opacity={dim ? 0.25 : 1}
+                onPointerEnter={() => setHover(n.path)}
+                onPointerLeave={() => setHover(null)}
+                onPointerDown={(e) => {
+                  e.currentTarget.ownerSVGElement.setPointerCapture?.(e.pointerId)
+                  drag.current = { path: n.path, moved: false }
+                }}
+              >
+                <circle r={r} fill={GROUP_COLORS[groupOf(n.folder)]} stroke="#0b1220" strokeWidth={1.5} />
+                <text y={r + 11} textAnchor="middle" className="fill-slate-300 text-[10px]">
+                  {n.name.length > 28 ? `${n.name.slice(0, 27)}…` : n.name}
+                </text>
+              </g>
+            )
+          })}
+        </svg>
+      </Card>
+
+      <Card>
+        <div className="mb-2 flex items-center gap-2">
+          <Unlink size={16} className={graph.broken.length ? 'text-rose-400' : 'text-slate-500'} />
+          <h3 className="text-sm font-semibold text-slate-100">Broken links</h3>
+          <span className="text-xs text-slate-500">
+            {graph.broken.length
+              ? `${graph.broken.length} link${graph.broken.length === 1 ? '' : 's'} with no note behind them (matched against filenames, titles and aliases)`
+              : 'every link resolves to a note'}
+          </span>
+        </div>
+        {graph.broken.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase tracking-wide text-slate-500">
+                <th className="py-1 pr-3 font-normal">Link</th>
+                <th className="py-1 font-normal">In note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {graph.broken.map((b) => (
+                <tr key={`${b.from}>${b.target}`} className="border-t border-edge/60">
+                  <td className="py-1.5 pr-3 text-rose-300">[[{b.target}]]</td>
+                  <td className="py-1.5">
+                    <button onClick={() => onOpen(b.from)} className="text-sky-300 hover:underline">
+                      {name(b.from)}
+                    </button>
+                    <span className="ml-2 text-xs text-slate-500">{b.from.replace(/^.*?vault\//, '')}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Card>
+    </div>
+  )
+}
+
+/* ------------------------------- operations ------------------------------- */
+function Operations({ onOpen }) {
+  return (
     <div className="space-y-3">
       {vault.operations.map((o) => (
         <Card key={o.path} className="p-4">
@@ -411,18 +1855,1005 @@ function Operations() {
             <Wrench size={16} className="text-amber-400" />
             <span className="font-medium">{o.name}</span>
           </div>
-          <pre className="mt-3 whitespace-pre-wrap font-sans text-sm leading-relaxed text-slate-300">
-            {o.body.replace(/^#\s+.+\n/, '').trim()}
-          </pre>
+          <NoteBody note={o} onOpen={onOpen} className="mt-3" />
+        </Card>
+      ))}
+      {vault.operations.length === 0 && <Card className="p-4 text-sm text-slate-500">No SOPs yet.</Card>}
+    </div>
+  )
+}
+
+/* --------------------------------- margins -------------------------------- */
+const CHART_TOOLTIP = { background: '#11161d', border: '1px solid #1e2630', borderRadius: 12, color: '#e6edf3' }
+const LINE_COLORS = ['#38bdf8', '#f59e0b', '#22c55e', '#a855f7', '#f43f5e', '#14b8a6']
+
+// The target lives in the pricing note (`target_margin:`); with the server up
+// it can be changed here, which rewrites that frontmatter line.
+function TargetMargin({ onRefresh }) {
+  const [value, setValue] = useState(Math.round(vault.targetMargin * 100))
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const dirty = Number(value) !== Math.round(vault.targetMargin * 100)
+
+  async function save(e) {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      await setTargetMargin(Number(value))
+      await onRefresh()
+    } catch (err) {
+      setError(String(err.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (!isServerAvailable()) return <span className="text-2xl font-semibold text-sky-300">{pct(vault.targetMargin)}</span>
+  return (
+    <form onSubmit={save} className="flex items-center gap-2">
+      <input
+        type="number"
+        min="1"
+        max="99"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        className={`${INPUT} w-20 py-1.5 text-lg font-semibold`}
+      />
+      <span className="text-slate-400">%</span>
+      {dirty && (
+        <button
+          type="submit"
+          disabled={busy}
+          className="rounded-lg border border-sky-500/40 px-3 py-1.5 text-sm text-sky-200 hover:bg-sky-500/10 disabled:opacity-50"
+        >
+          {busy ? <Loader2 size={14} className="animate-spin" /> : 'Save'}
+        </button>
+      )}
+      {error && <span className="text-xs text-rose-300">{error}</span>}
+    </form>
+  )
+}
+
+function Margins({ onSelect, onRefresh }) {
+  const target = vault.targetMargin
+  const today = todayISO()
+  const products = vault.products.filter((p) => p.sell != null)
+  const below = products.filter((p) => p.margin < target)
+  const productRows = products.map((p) => ({
+    name: p.name,
+    cost: p.cost,
+    sell: p.sell,
+    margin: Math.round(p.margin * 1000) / 10,
+  }))
+
+  const deals = vault.customers
+    .filter((c) => ['quoted', 'won', 'installed'].includes(c.status))
+    .map((c) => ({ c, m: customerMargin(c, vault.products, vault.addOns) }))
+    .filter((d) => d.m)
+  const blended = (list) => {
+    const revenue = list.reduce((s, d) => s + d.m.revenue, 0)
+    return revenue ? (revenue - list.reduce((s, d) => s + d.m.cost, 0)) / revenue : null
+  }
+  const open = deals.filter((d) => d.c.status === 'quoted')
+  const booked = deals.filter((d) => d.c.status !== 'quoted')
+
+  // margin over time: one step line per product, on a shared date axis
+  const histories = products.map((p) => ({
+    p,
+    points: marginHistory(p, vault.suppliers.find((s) => s.filename === p.supplier || s.name === p.supplier), today),
+  }))
+  const dates = [...new Set(histories.flatMap((h) => h.points.map((pt) => pt.date)))].sort()
+  const drift = dates.map((date) => {
+    const row = { date }
+    for (const h of histories) {
+      const at = h.points.filter((pt) => pt.date <= date).pop()
+      if (at) row[h.p.name] = Math.round(at.margin * 1000) / 10
+    }
+    return row
+  })
+  const logEntries = vault.suppliers
+    .flatMap((s) => s.priceLog.map((e) => ({ ...e, supplier: s.name })))
+    .filter((e) => e.changes.length)
+    .sort((a, b) => b.effective.localeCompare(a.effective))
+
+  return (
+    <div className="space-y-5">
+      <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+        <Card className="p-4">
+          <div className="mb-2 flex items-center gap-2 text-xs uppercase tracking-wide text-slate-400">
+            <Percent size={14} className="text-sky-400" /> Target margin
+          </div>
+          <TargetMargin key={target} onRefresh={onRefresh} />
+          <div className="mt-1 text-xs text-slate-500">from the pricing note</div>
+        </Card>
+        <Kpi
+          icon={AlertTriangle}
+          label="Products under target"
+          value={below.length}
+          sub={below.length ? below.map((p) => p.name).join(', ') : `all ${products.length} at or above`}
+          tone={below.length ? 'text-rose-400' : 'text-emerald-400'}
+        />
+        <Kpi icon={DollarSign} label="Open quotes margin" value={pct(blended(open))} sub={`${open.length} quoted`} tone="text-amber-400" />
+        <Kpi icon={CheckCircle2} label="Won jobs margin" value={pct(blended(booked))} sub={`${booked.length} won / installed`} tone="text-emerald-400" />
+      </div>
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        <Card className="p-4">
+          <div className="mb-3 text-sm font-medium text-slate-200">Cost vs sell per opening</div>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={productRows} margin={{ top: 4, right: 8, left: -8, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#1e2630" vertical={false} />
+                <XAxis dataKey="name" tick={{ fill: '#94a3b8', fontSize: 11 }} axisLine={false} tickLine={false} />
+                <YAxis tick={{ fill: '#94a3b8', fontSize: 12 }} axisLine={false} tickLine={false} tickFormatter={(v) => `$${v}`} />
+                <Tooltip cursor={{ fill: '#ffffff08' }} contentStyle={CHART_TOOLTIP} formatter={(v) => fmtMoney(v)} />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                <Bar dataKey="cost" name="our cost" fill="#64748b" radius={[6, 6, 0, 0]} />
+                <Bar dataKey="sell" name="sell" fill="#38bdf8" radius={[6, 6, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+        <Card className="p-4">
+          <div className="mb-3 text-sm font-medium text-slate-200">Margin vs {pct(target)} target</div>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={productRows} margin={{ top: 4, right: 8, left: -16, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#1e2630" vertical={false} />
+                <XAxis dataKey="name" tick={{ fill: '#94a3b8', fontSize: 11 }} axisLine={false} tickLine={false} />
+                <YAxis domain={[0, 100]} tick={{ fill: '#94a3b8', fontSize: 12 }} axisLine={false} tickLine={false} tickFormatter={(v) => `${v}%`} />
+                <Tooltip cursor={{ fill: '#ffffff08' }} contentStyle={CHART_TOOLTIP} formatter={(v) => `${v}%`} />
+                <ReferenceLine y={target * 100} stroke="#f43f5e" strokeDasharray="4 4" />
+                <Bar dataKey="margin" name="margin" radius={[6, 6, 0, 0]}>
+                  {productRows.map((r, i) => (
+                    <Cell key={i} fill={r.margin < target * 100 ? '#f43f5e' : '#22c55e'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+      </div>
+
+      <Card className="p-4">
+        <div className="mb-3 text-sm font-medium text-slate-200">Margin over time</div>
+        <div className="h-56">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={drift} margin={{ top: 4, right: 8, left: -16, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#1e2630" vertical={false} />
+              <XAxis dataKey="date" tick={{ fill: '#94a3b8', fontSize: 11 }} axisLine={false} tickLine={false} />
+              <YAxis domain={[0, 100]} tick={{ fill: '#94a3b8', fontSize: 12 }} axisLine={false} tickLine={false} tickFormatter={(v) => `${v}%`} />
+              <Tooltip contentStyle={CHART_TOOLTIP} formatter={(v) => `${v}%`} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              <ReferenceLine y={target * 100} stroke="#f43f5e" strokeDasharray="4 4" />
+              {histories.map((h, i) => (
+                <Line
+                  key={h.p.path}
+                  type="stepAfter"
+                  dataKey={h.p.name}
+                  stroke={LINE_COLORS[i % LINE_COLORS.length]}
+                  strokeWidth={2}
+                  dot={{ r: 3 }}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <ul className="mt-3 space-y-1 text-xs text-slate-400">
+          {logEntries.map((e, i) => (
+            <li key={i}>
+              <span className="text-slate-500">{e.effective}</span> · {e.supplier}: {e.text.replace(/^\d{4}-\d{2}-\d{2}\s*[—-]\s*/, '')}
+              {e.effective > today && <span className="ml-1 text-amber-300">(scheduled)</span>}
+            </li>
+          ))}
+          {logEntries.length === 0 && <li>No supplier price changes logged yet — margins have held since the baseline.</li>}
+        </ul>
+      </Card>
+
+      <Card>
+        <div className="px-4 pt-4 text-sm font-medium text-slate-200">Gross margin per deal</div>
+        <table className="mt-2 w-full text-sm">
+          <thead>
+            <tr className="border-b border-edge text-left text-xs uppercase tracking-wide text-slate-500">
+              <th className="px-4 py-3 font-medium">Customer</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+              <th className="px-4 py-3 text-right font-medium">Revenue</th>
+              <th className="px-4 py-3 text-right font-medium">Est. cost</th>
+              <th className="px-4 py-3 text-right font-medium">Margin</th>
+              <th className="px-4 py-3 font-medium">Based on</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deals.map(({ c, m }) => (
+              <tr key={c.path} onClick={() => onSelect(c)} className="cursor-pointer border-b border-edge/50 last:border-0 hover:bg-ink/40">
+                <td className="px-4 py-3 text-slate-100">{c.name}</td>
+                <td className="px-4 py-3 font-medium"><Pill status={c.status} /></td>
+                <td className="px-4 py-3 text-right text-slate-300">{fmtMoney(m.revenue)}</td>
+                <td className="px-4 py-3 text-right text-slate-400">{fmtMoney(m.cost)}</td>
+                <td className={`px-4 py-3 text-right font-medium ${m.margin < target ? 'text-rose-400' : 'text-emerald-400'}`}>
+                  {pct(m.margin)}
+                </td>
+                <td className="px-4 py-3 text-xs text-slate-500">{m.basis === 'quote' ? 'itemized quote' : 'linked products (est.)'}</td>
+              </tr>
+            ))}
+            {deals.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-8 text-center text-slate-500">No quoted or won customers with a quote value yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  )
+}
+
+/* -------------------------------- schedule -------------------------------- */
+const KIND_META = {
+  measure: { label: 'Measure', tone: 'border-sky-500/40 bg-sky-500/10 text-sky-200' },
+  install: { label: 'Install', tone: 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200' },
+}
+const CHECK_TONE = { early: 'text-rose-300', tight: 'text-amber-300' }
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+const fmtDay = (iso, opts) => new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', ...opts })
+
+function AppointmentChip({ a, onPick }) {
+  const meta = KIND_META[a.kind]
+  return (
+    <button
+      onClick={() => onPick(a)}
+      title={a.check?.message || `${meta.label} · ${a.customer}${a.done ? ' (done)' : ''}`}
+      className={`flex w-full items-center gap-1 truncate rounded-md border px-1.5 py-0.5 text-left text-xs ${meta.tone} ${a.done ? 'opacity-50' : ''}`}
+    >
+      {a.check?.level && <AlertTriangle size={11} className={`shrink-0 ${CHECK_TONE[a.check.level]}`} />}
+      <span className="truncate">
+        {meta.label} · {a.customer}
+      </span>
+    </button>
+  )
+}
+
+// Book a visit, or move one: prefilled from a chip or a "needs a date" row.
+function BookingForm({ initial, onSaved, onCancel, onSelect }) {
+  const [form, setForm] = useState(initial)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }))
+  const customer = vault.customers.find((c) => c.name === form.customer)
+  const check = customer && form.kind === 'install' && form.date ? installCheck(customer, vault, form.date) : null
+  const moving = initial.date && initial.customer === form.customer && initial.kind === form.kind
+
+  async function save() {
+    setBusy(true)
+    setError(null)
+    try {
+      await scheduleAppointment(customer, form.kind, form.date)
+      await onSaved(form.date)
+    } catch (e) {
+      setError(String(e.message || e))
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Card className="space-y-3 p-4">
+      <div className="flex items-center justify-between text-sm font-medium text-slate-200">
+        {moving ? `Reschedule ${form.kind} · ${form.customer}` : 'Book an appointment'}
+        <button onClick={onCancel} className="text-slate-500 hover:text-slate-300">
+          <X size={16} />
+        </button>
+      </div>
+      <div className="grid gap-2 sm:grid-cols-3">
+        <select value={form.customer} onChange={set('customer')} className={INPUT}>
+          <option value="">Customer…</option>
+          {vault.customers
+            .filter((c) => c.status !== 'lost')
+            .map((c) => (
+              <option key={c.path} value={c.name}>
+                {c.name} · {STATUS_META[c.status]?.label || c.status}
+              </option>
+            ))}
+        </select>
+        <select value={form.kind} onChange={set('kind')} className={INPUT}>
+          {Object.entries(KIND_META).map(([k, m]) => (
+            <option key={k} value={k}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+        <input type="date" value={form.date} onChange={set('date')} className={INPUT} />
+      </div>
+      {check?.message && (
+        <div className={`flex items-start gap-1.5 text-xs ${CHECK_TONE[check.level]}`}>
+          <AlertTriangle size={13} className="mt-0.5 shrink-0" /> {check.message}
+        </div>
+      )}
+      {customer && form.kind === 'install' && check?.earliest && !check.level && (
+        <div className="text-xs text-slate-500">
+          Order in by {check.earliest}–{check.likely} (ordered {check.orderDate}).
+        </div>
+      )}
+      {error && <div className="text-xs text-rose-300">{error}</div>}
+      <div className="flex items-center gap-3">
+        <button
+          disabled={!customer || !form.date || busy || (moving && form.date === initial.date)}
+          onClick={save}
+          className="flex items-center gap-1.5 rounded-lg border border-emerald-500/40 px-3 py-1.5 text-sm text-emerald-200 hover:bg-emerald-500/10 disabled:opacity-50"
+        >
+          {busy ? <Loader2 size={14} className="animate-spin" /> : <CalendarDays size={14} />} {moving ? 'Reschedule' : 'Book'}
+        </button>
+        {customer && (
+          <button onClick={() => onSelect(customer)} className="text-xs text-slate-400 hover:text-slate-200">
+            Open {customer.name} →
+          </button>
+        )}
+        {moving && (
+          <a href={calendarUrl(customer)} className="text-xs text-slate-400 hover:text-slate-200">
+            Download .ics
+          </a>
+        )}
+      </div>
+    </Card>
+  )
+}
+
+function Schedule({ onSelect, onRefresh }) {
+  const online = isServerAvailable()
+  const today = todayISO()
+  const [view, setView] = useState('week')
+  const [anchor, setAnchor] = useState(today)
+  const [booking, setBooking] = useState(null)
+  const { appointments, toSchedule } = buildSchedule(vault)
+  const weeks = view === 'week' ? [weekOf(anchor)] : monthOf(anchor)
+  const upcoming = appointments.filter((a) => !a.done && a.date >= today)
+  const warnings = upcoming.filter((a) => a.check?.level)
+  const step = (n) => setAnchor(view === 'week' ? addDays(anchor, 7 * n) : addMonths(anchor, n))
+  const title =
+    view === 'week'
+      ? `${fmtDay(weeks[0][0], { month: 'short', day: 'numeric' })} – ${fmtDay(weeks[0][6], { month: 'short', day: 'numeric', year: 'numeric' })}`
+      : fmtDay(anchor, { month: 'long', year: 'numeric' })
+
+  // a booked visit opens the reschedule form; a done one (or read-only) opens the customer
+  const pick = (a) =>
+    a.done || !online
+      ? onSelect(vault.customers.find((c) => c.path === a.path))
+      : setBooking({ customer: a.customer, kind: a.kind, date: a.date, key: `${a.path}-${a.kind}` })
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+        <Kpi icon={CalendarDays} label="Upcoming installs" value={upcoming.filter((a) => a.kind === 'install').length} tone="text-emerald-400" />
+        <Kpi icon={CalendarDays} label="Upcoming measures" value={upcoming.filter((a) => a.kind === 'measure').length} />
+        <Kpi icon={Package} label="Won, not booked" value={toSchedule.length} sub="installs still to schedule" tone="text-amber-400" />
+        <Kpi icon={AlertTriangle} label="Lead-time warnings" value={warnings.length} sub="booked before the order is in" tone="text-rose-400" />
+      </div>
+
+      {!online && (
+        <div className="text-xs text-slate-500">Read-only — start the model server to book or reschedule appointments.</div>
+      )}
+
+      <Card className="p-4">
+        <div className="mb-3 flex flex-wrap items-center gap-2">
+          <div className="flex rounded-lg border border-edge p-0.5 text-xs">
+            {['week', 'month'].map((v) => (
+              <button
+                key={v}
+                onClick={() => setView(v)}
+                className={`rounded-md px-2.5 py-1 capitalize ${view === v ? 'bg-edge text-slate-100' : 'text-slate-400 hover:text-slate-200'}`}
+              >
+                {v}
+              </button>
+            ))}
+          </div>
+          <button onClick={() => step(-1)} className="rounded-lg border border-edge px-2 py-1 text-xs text-slate-400 hover:text-slate-200">
+            ←
+          </button>
+          <button onClick={() => setAnchor(today)} className="rounded-lg border border-edge px-2 py-1 text-xs text-slate-400 hover:text-slate-200">
+            Today
+          </button>
+          <button onClick={() => step(1)} className="rounded-lg border border-edge px-2 py-1 text-xs text-slate-400 hover:text-slate-200">
+            →
+          </button>
+          <span className="text-sm font-medium text-slate-200">{title}</span>
+          {online && (
+            <a
+              href={calendarUrl()}
+              title={`Subscribe from a phone calendar: ${window.location.origin}${calendarUrl()}`}
+              className="ml-auto text-xs text-slate-400 hover:text-slate-200"
+            >
+              Calendar feed (.ics)
+            </a>
+          )}
+          {online && (
+            <button
+              onClick={() => setBooking({ customer: '', kind: 'measure', date: today, key: 'new' })}
+              className="flex items-center gap-1.5 rounded-lg border border-emerald-500/40 px-3 py-1.5 text-xs text-emerald-200 hover:bg-emerald-500/10"
+            >
+              <Plus size={14} /> Book
+            </button>
+          )}
+        </div>
+        <div className="grid grid-cols-7 gap-1 text-center text-xs uppercase tracking-wide text-slate-500">
+          {WEEKDAYS.map((d) => (
+            <div key={d}>{d}</div>
+          ))}
+        </div>
+        <div className="mt-1 space-y-1">
+          {weeks.map((week) => (
+            <div key={week[0]} className="grid grid-cols-7 gap-1">
+              {week.map((d) => {
+                const items = appointments.filter((a) => a.date === d)
+                const outside = view === 'month' && d.slice(0, 7) !== anchor.slice(0, 7)
+                return (
+                  <div
+                    key={d}
+                    className={`space-y-1 rounded-lg border p-1.5 ${view === 'week' ? 'min-h-[9rem]' : 'min-h-[5.5rem]'} ${
+                      d === today ? 'border-sky-500/50' : 'border-edge'
+                    } ${outside ? 'opacity-40' : ''}`}
+                  >
+                    <div className={`text-xs ${d === today ? 'text-sky-300' : 'text-slate-500'}`}>
+                      {view === 'week' ? fmtDay(d, { month: 'short', day: 'numeric' }) : +d.slice(8)}
+                    </div>
+                    {items.map((a) => (
+                      <AppointmentChip key={`${a.path}-${a.kind}-${a.date}`} a={a} onPick={pick} />
+                    ))}
+                  </div>
+                )
+              })}
+            </div>
+          ))}
+        </div>
+      </Card>
+
+      {booking && (
+        <BookingForm
+          key={booking.key}
+          initial={booking}
+          onSelect={onSelect}
+          onCancel={() => setBooking(null)}
+          onSaved={async (date) => {
+            setAnchor(date)
+            setBooking(null)
+            await onRefresh()
+          }}
+        />
+      )}
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <Card className="p-4">
+          <div className="mb-2 flex items-center gap-2 text-sm font-medium text-slate-200">
+            <Package size={16} className="text-amber-400" /> Won — install not booked
+          </div>
+          {toSchedule.length === 0 && <div className="text-sm text-slate-500">Every won job has an install date.</div>}
+          {toSchedule.map((t) => (
+            <div key={t.path} className="flex items-center justify-between gap-2 border-t border-edge py-2 first:border-t-0">
+              <div>
+                <button
+                  onClick={() => onSelect(vault.customers.find((c) => c.path === t.path))}
+                  className="text-sm text-slate-100 hover:text-sky-300"
+                >
+                  {t.customer}
+                </button>
+                <div className="text-xs text-slate-500">
+                  {t.check.earliest
+                    ? `ordered ${t.check.orderDate} · in by ${t.check.earliest}–${t.check.likely}`
+                    : t.check.orderDate
+                      ? `ordered ${t.check.orderDate} · no lead time on file`
+                      : 'no order date yet'}
+                </div>
+              </div>
+              {online && (
+                <button
+                  onClick={() => setBooking({ customer: t.customer, kind: 'install', date: t.check.likely || today, key: `${t.path}-book` })}
+                  className="text-xs text-emerald-300 hover:text-emerald-200"
+                >
+                  Book install →
+                </button>
+              )}
+            </div>
+          ))}
+        </Card>
+        <Card className="p-4">
+          <div className="mb-2 flex items-center gap-2 text-sm font-medium text-slate-200">
+            <AlertTriangle size={16} className="text-rose-400" /> Lead-time warnings
+          </div>
+          {warnings.length === 0 && <div className="text-sm text-slate-500">No booked install is ahead of its order.</div>}
+          {warnings.map((a) => (
+            <button
+              key={a.path}
+              onClick={() => pick(a)}
+              className="block w-full border-t border-edge py-2 text-left first:border-t-0"
+            >
+              <div className="text-sm text-slate-100">
+                {a.customer} · install {a.date}
+              </div>
+              <div className={`text-xs ${CHECK_TONE[a.check.level]}`}>{a.check.message}</div>
+            </button>
+          ))}
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+/* ---------------------------------- jobs ---------------------------------- */
+// One job's checklist; each box ticks / unticks that step on the server.
+function JobChecklist({ job, onRefresh, compact = false }) {
+  const online = isServerAvailable()
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState(null)
+
+  async function toggle(k, done) {
+    setBusy(k)
+    setError(null)
+    try {
+      await tickJobStep(job, k, done)
+      await onRefresh()
+    } catch (e) {
+      setError(String(e.message || e))
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  return (
+    <div>
+      <ul className={compact ? 'space-y-1' : 'space-y-1.5'}>
+        {job.steps.map((s, k) => (
+          <li key={k} className="flex items-start gap-2 text-sm">
+            <button
+              onClick={() => toggle(k, !s.done)}
+              disabled={!online || busy != null}
+              className={`mt-0.5 flex h-4 w-4 shrink-0 items-center justify-center rounded border ${
+                s.done ? 'border-emerald-500 bg-emerald-500/20 text-emerald-300' : 'border-slate-500'
+              } ${online ? 'hover:border-sky-400' : 'cursor-default'}`}
+            >
+              {busy === k ? <Loader2 size={10} className="animate-spin" /> : s.done && <CheckCircle2 size={10} />}
+            </button>
+            <span className={s.done ? 'text-slate-500 line-through' : 'text-slate-200'}>{s.text}</span>
+            {s.date && !compact && <span className="ml-auto shrink-0 text-[11px] text-slate-500">{s.date}</span>}
+          </li>
+        ))}
+      </ul>
+      {error && <div className="mt-2 text-xs text-rose-300">{error}</div>}
+    </div>
+  )
+}
+
+function JobProgress({ job }) {
+  const done = job.steps.filter((s) => s.done).length
+  return (
+    <div className="flex items-center gap-2">
+      <div className="h-1.5 flex-1 overflow-hidden rounded-full bg-edge">
+        <div className="h-full rounded-full bg-emerald-500" style={{ width: `${Math.round(job.progress * 100)}%` }} />
+      </div>
+      <span className="text-xs text-slate-400">
+        {done}/{job.steps.length}
+      </span>
+    </div>
+  )
+}
+
+function StartJobButton({ customer, onRefresh }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  async function start() {
+    setBusy(true)
+    setError(null)
+    try {
+      await startJob(customer)
+      await onRefresh()
+    } catch (e) {
+      setError(String(e.message || e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <>
+      <button
+        onClick={start}
+        disabled={busy}
+        className="flex items-center gap-1.5 rounded-lg border border-emerald-500/40 px-3 py-1.5 text-xs text-emerald-200 hover:bg-emerald-500/10 disabled:opacity-50"
+      >
+        {busy ? <Loader2 size={14} className="animate-spin" /> : <ClipboardCheck size={14} />} Start job
+      </button>
+      {error && <div className="mt-1 text-xs text-rose-300">{error}</div>}
+    </>
+  )
+}
+
+// The customer drawer's view of the install job: its checklist, or a way to
+// start one once the deal is won.
+function CustomerJob({ customer, onRefresh, onOpen }) {
+  const job = vault.projects.find((p) => p.customer === customer.name && p.steps.length)
+  if (!job && (customer.status !== 'won' || !isServerAvailable())) return null
+  return (
+    <div className="mt-4 rounded-xl border border-edge bg-ink/60 p-3">
+      <div className="mb-2 flex items-center gap-1.5 text-xs uppercase tracking-wide text-slate-400">
+        <ClipboardCheck size={13} /> Install job
+        {job && (
+          <button onClick={() => onOpen(job.path)} className="ml-auto normal-case tracking-normal text-sky-300 hover:text-sky-200">
+            {job.status === 'done' ? 'done' : 'open note'}
+          </button>
+        )}
+      </div>
+      {job ? (
+        <>
+          <JobProgress job={job} />
+          <div className="mt-2">
+            <JobChecklist job={job} onRefresh={onRefresh} compact />
+          </div>
+        </>
+      ) : (
+        <StartJobButton customer={customer} onRefresh={onRefresh} />
+      )}
+    </div>
+  )
+}
+
+// Active install jobs with their checklists, won deals with no job yet, and
+// the jobs finished lately.
+function Jobs({ onSelect, onRefresh }) {
+  const online = isServerAvailable()
+  const jobs = vault.projects.filter((p) => p.steps.length)
+  const active = jobs.filter((j) => j.status !== 'done')
+  const finished = jobs.filter((j) => j.status === 'done')
+  const waiting = vault.customers.filter((c) => c.status === 'won' && !jobs.some((j) => j.customer === c.name))
+  const customerOf = (j) => vault.customers.find((c) => c.name === j.customer)
+  const installOf = (j) => {
+    const c = customerOf(j)
+    return c && appointmentsOf(c).filter((a) => a.kind === 'install').pop()
+  }
+  const lastTick = (j) => j.steps.map((s) => s.date).filter(Boolean).sort().pop()
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+        <Kpi icon={ClipboardCheck} label="Active jobs" value={active.length} tone="text-emerald-400" />
+        <Kpi
+          icon={ListChecks}
+          label="Steps to go"
+          value={active.reduce((n, j) => n + j.steps.filter((s) => !s.done).length, 0)}
+          sub="across active jobs"
+        />
+        <Kpi icon={Package} label="Won, no job" value={waiting.length} sub="jobs still to start" tone="text-amber-400" />
+        <Kpi icon={CheckCircle2} label="Completed" value={finished.length} tone="text-slate-400" />
+      </div>
+
+      {!online && <div className="text-xs text-slate-500">Read-only — start the model server to start jobs or tick steps.</div>}
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        {active.map((j) => {
+          const install = installOf(j)
+          return (
+            <Card key={j.path} className="p-4">
+              <div className="mb-1 flex items-center gap-2">
+                <button onClick={() => onSelect(customerOf(j))} className="font-medium text-slate-100 hover:text-sky-300">
+                  {j.customer}
+                </button>
+                <span className="ml-auto text-xs text-slate-500">
+                  {install ? `install ${install.date}${install.done ? ' (done)' : ''}` : 'install not booked'}
+                </span>
+              </div>
+              <JobProgress job={j} />
+              <div className="mt-3">
+                <JobChecklist job={j} onRefresh={onRefresh} />
+              </div>
+            </Card>
+          )
+        })}
+        {active.length === 0 && <Card className="p-4 text-sm text-slate-500">No active jobs.</Card>}
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <Card className="p-4">
+          <div className="mb-2 flex items-center gap-2 text-sm font-medium text-slate-200">
+            <Package size={16} className="text-amber-400" /> Won — job not started
+          </div>
+          {waiting.length === 0 && <div className="text-sm text-slate-500">Every won deal has a job.</div>}
+          {waiting.map((c) => (
+            <div key={c.path} className="flex items-center justify-between gap-2 border-t border-edge py-2 first:border-t-0">
+              <button onClick={() => onSelect(c)} className="text-sm text-slate-100 hover:text-sky-300">
+                {c.name}
+              </button>
+              {online && <StartJobButton customer={c} onRefresh={onRefresh} />}
+            </div>
+          ))}
+        </Card>
+        <Card className="p-4">
+          <div className="mb-2 flex items-center gap-2 text-sm font-medium text-slate-200">
+            <CheckCircle2 size={16} className="text-emerald-400" /> Completed
+          </div>
+          {finished.length === 0 && <div className="text-sm text-slate-500">No finished jobs yet.</div>}
+          {finished.map((j) => (
+            <button
+              key={j.path}
+              onClick={() => onSelect(customerOf(j))}
+              className="flex w-full items-center justify-between border-t border-edge py-2 text-left first:border-t-0"
+            >
+              <span className="text-sm text-slate-100">{j.customer}</span>
+              <span className="text-xs text-slate-500">{lastTick(j) || j.fm.created}</span>
+            </button>
+          ))}
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+/* -------------------------------- warranty -------------------------------- */
+const COVERED_LABEL = { true: 'covered', false: 'not covered', null: 'coverage unknown' }
+const ageTone = (days) => (days > 30 ? 'text-rose-300' : days > 14 ? 'text-amber-300' : 'text-slate-300')
+
+function ClaimForm({ onCancel, onSaved }) {
+  const claimable = vault.customers.filter((c) => ['installed', 'warranty'].includes(c.status))
+  const [customer, setCustomer] = useState(claimable[0]?.filename || '')
+  const c = claimable.find((x) => x.filename === customer)
+  const theirs = vault.products.filter((p) => c?.products.includes(p.name))
+  const [form, setForm] = useState({ issue: '', product: '', covered: 'unknown', coverage: '' })
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const product = form.product || theirs[0]?.name || ''
+  const supplier = vault.suppliers.find((s) => s.name === vault.products.find((p) => p.name === product)?.supplier)
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }))
+
+  async function save(e) {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      await openWarrantyClaim(c, { ...form, product })
+      await onSaved()
+    } catch (err) {
+      setError(String(err.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Card className="p-4">
+      <form onSubmit={save} className="grid gap-2 md:grid-cols-2">
+        <select value={customer} onChange={(e) => setCustomer(e.target.value)} className={INPUT}>
+          {claimable.map((x) => (
+            <option key={x.path} value={x.filename}>
+              {x.name}
+            </option>
+          ))}
+        </select>
+        <select value={product} onChange={set('product')} className={INPUT}>
+          {[...theirs, ...vault.products.filter((p) => !theirs.includes(p))].map((p) => (
+            <option key={p.path} value={p.name}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <input value={form.issue} onChange={set('issue')} placeholder="Issue *" className={`${INPUT} md:col-span-2`} />
+        <select value={form.covered} onChange={set('covered')} className={INPUT}>
+          <option value="unknown">Supplier warranty: not sure yet</option>
+          <option value="yes">Covered by the supplier warranty</option>
+          <option value="no">Not covered</option>
+        </select>
+        <input value={form.coverage} onChange={set('coverage')} placeholder="What the warranty does (optional)" className={INPUT} />
+        {supplier?.warranty && <div className="text-xs text-slate-500 md:col-span-2">{supplier.name} warranty: {supplier.warranty}</div>}
+        <div className="flex items-center gap-2 md:col-span-2">
+          <button
+            type="submit"
+            disabled={busy || !c || !form.issue.trim() || !product}
+            className="flex items-center gap-1.5 rounded-lg border border-rose-500/40 px-3 py-1.5 text-sm text-rose-200 hover:bg-rose-500/10 disabled:opacity-50"
+          >
+            {busy ? <Loader2 size={14} className="animate-spin" /> : <Plus size={14} />} Open claim
+          </button>
+          <button type="button" onClick={onCancel} className="text-sm text-slate-400 hover:text-slate-200">
+            Cancel
+          </button>
+          {!claimable.length && <span className="text-xs text-slate-500">No installed customers yet.</span>}
+        </div>
+        {error && <div className="text-xs text-rose-300 md:col-span-2">{error}</div>}
+      </form>
+    </Card>
+  )
+}
+
+function ResolveClaim({ claim, onRefresh }) {
+  const [open, setOpen] = useState(false)
+  const [text, setText] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  async function save(e) {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      await resolveWarrantyClaim(vault.customers.find((c) => c.path === claim.path), claim.index, text)
+      await onRefresh()
+    } catch (err) {
+      setError(String(err.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (!open)
+    return (
+      <button onClick={() => setOpen(true)} className="text-xs text-emerald-300 hover:text-emerald-200">
+        Resolve →
+      </button>
+    )
+  return (
+    <form onSubmit={save} className="flex flex-wrap items-center gap-2">
+      <input autoFocus value={text} onChange={(e) => setText(e.target.value)} placeholder="How it was resolved" className={`${INPUT} py-1 text-xs`} />
+      <button type="submit" disabled={busy || !text.trim()} className="text-xs text-emerald-300 hover:text-emerald-200 disabled:opacity-50">
+        {busy ? <Loader2 size={12} className="animate-spin" /> : 'Close claim'}
+      </button>
+      {error && <span className="text-xs text-rose-300">{error}</span>}
+    </form>
+  )
+}
+
+// Open claims by age, the ones closed lately, and a form to log a new one.
+function Warranty({ onSelect, onRefresh }) {
+  const online = isServerAvailable()
+  const today = todayISO()
+  const [adding, setAdding] = useState(false)
+  const claims = warrantyClaims(vault).map((k) => ({ ...k, age: claimAge(k, today) }))
+  const open = claims.filter((k) => k.open).sort((a, b) => (b.age ?? 0) - (a.age ?? 0))
+  const closed = claims.filter((k) => !k.open)
+  const customerOf = (k) => vault.customers.find((c) => c.path === k.path)
+  const avg = (xs) => (xs.length ? Math.round(xs.reduce((s, x) => s + x, 0) / xs.length) : '—')
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+        <Kpi icon={ShieldAlert} label="Open claims" value={open.length} tone="text-rose-400" />
+        <Kpi icon={CalendarDays} label="Oldest open" value={open.length ? `${open[0].age}d` : '—'} sub={open[0]?.customer} tone="text-amber-400" />
+        <Kpi icon={CheckCircle2} label="Closed" value={closed.length} sub={`avg ${avg(closed.map((k) => k.age).filter((n) => n != null))} days to close`} tone="text-emerald-400" />
+        <Kpi
+          icon={Truck}
+          label="Supplier-covered"
+          value={claims.filter((k) => k.covered).length}
+          sub={`of ${claims.length} claims`}
+        />
+      </div>
+
+      <div className="flex items-center gap-2">
+        {!online && <div className="text-xs text-slate-500">Read-only — start the model server to open or resolve claims.</div>}
+        {online && !adding && (
+          <button
+            onClick={() => setAdding(true)}
+            className="ml-auto flex items-center gap-1.5 rounded-xl border border-edge bg-panel px-3 py-2 text-sm text-slate-200 hover:border-slate-500"
+          >
+            <Plus size={15} /> New claim
+          </button>
+        )}
+      </div>
+      {adding && (
+        <ClaimForm
+          onCancel={() => setAdding(false)}
+          onSaved={async () => {
+            setAdding(false)
+            await onRefresh()
+          }}
+        />
+      )}
+
+      <Card>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-edge text-left text-xs uppercase tracking-wide text-slate-500">
+              <th className="px-4 py-3 font-medium">Customer</th>
+              <th className="px-4 py-3 font-medium">Issue</th>
+              <th className="px-4 py-3 font-medium">Product / supplier</th>
+              <th className="px-4 py-3 font-medium">Opened</th>
+              <th className="px-4 py-3 font-medium">Age</th>
+              {online && <th className="px-4 py-3" />}
+            </tr>
+          </thead>
+          <tbody>
+            {open.map((k) => (
+              <tr key={`${k.path}-${k.index}`} className="border-b border-edge/50 last:border-0 align-top">
+                <td className="px-4 py-3">
+                  <button onClick={() => onSelect(customerOf(k))} className="text-slate-100 hover:text-sky-300">
+                    {k.customer}
+                  </button>
+                </td>
+                <td className="px-4 py-3 text-slate-200">
+                  {k.issue}
+                  <div className={`text-xs ${k.covered ? 'text-emerald-300' : k.covered === false ? 'text-amber-300' : 'text-slate-500'}`}>
+                    {COVERED_LABEL[k.covered]}
+                    {k.coverage && ` — ${k.coverage.replace(/\[\[([^\]|]+)(?:\|[^\]]+)?\]\]/g, '$1')}`}
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-xs text-slate-400">
+                  {k.product || '—'}
+                  <div className="text-slate-500">{k.supplier || 'no supplier'}</div>
+                </td>
+                <td className="px-4 py-3 text-xs text-slate-400">{k.opened || '—'}</td>
+                <td className={`px-4 py-3 font-medium ${ageTone(k.age)}`}>{k.age == null ? '—' : `${k.age}d`}</td>
+                {online && (
+                  <td className="px-4 py-3 text-right">
+                    <ResolveClaim claim={k} onRefresh={onRefresh} />
+                  </td>
+                )}
+              </tr>
+            ))}
+            {open.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-slate-500">
+                  No open warranty claims.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </Card>
+
+      {closed.length > 0 && (
+        <Card className="p-4">
+          <div className="mb-2 flex items-center gap-2 text-sm font-medium text-slate-200">
+            <CheckCircle2 size={16} className="text-emerald-400" /> Closed claims
+          </div>
+          {closed.map((k) => (
+            <button
+              key={`${k.path}-${k.index}`}
+              onClick={() => onSelect(customerOf(k))}
+              className="flex w-full items-start justify-between gap-3 border-t border-edge py-2 text-left first:border-t-0"
+            >
+              <div>
+                <div className="text-sm text-slate-100">
+                  {k.customer} · {k.issue}
+                </div>
+                <div className="text-xs text-slate-500">
+                  {k.product}
+                  {k.resolution && ` — ${k.resolution}`}
+                </div>
+              </div>
+              <span className="shrink-0 text-xs text-slate-500">
+                {k.closed} · {k.age}d
+              </span>
+            </button>
+          ))}
         </Card>
+      )}
+    </div>
+  )
+}
+
+// The drawer's list of a customer's claims.
+function CustomerClaims({ customer }) {
+  if (!customer.claims?.length) return null
+  const today = todayISO()
+  return (
+    <div className="mt-4 rounded-xl border border-edge bg-ink/60 p-3">
+      <div className="mb-1 flex items-center gap-1.5 text-xs uppercase tracking-wide text-slate-400">
+        <ShieldAlert size={13} /> Warranty claims
+      </div>
+      {customer.claims.map((k, i) => (
+        <div key={i} className="border-t border-edge/60 py-2 text-sm first:border-t-0">
+          <div className="flex items-center gap-2">
+            <span className="text-slate-200">{k.issue}</span>
+            <span className={`ml-auto shrink-0 text-xs ${k.open ? ageTone(claimAge(k, today)) : 'text-slate-500'}`}>
+              {k.open ? `open ${claimAge(k, today) ?? '?'}d` : `closed ${k.closed}`}
+            </span>
+          </div>
+          <div className="text-xs text-slate-500">
+            {k.product} · {COVERED_LABEL[k.covered]}
+            {k.resolution && ` · ${k.resolution}`}
+          </div>
+        </div>
       ))}
-      {vault.operations.length === 0 && <Card className="p-4 text-sm text-slate-500">No SOPs yet.</Card>}
     </div>
   )
 }
 
 /* ------------------------------- marketing -------------------------------- */
-function Marketing() {
+function Marketing({ onOpen }) {
   if (vault.marketing.length === 0)
     return <Card className="p-4 text-sm text-slate-500">No marketing notes yet.</Card>
   return (
@@ -433,9 +2864,7 @@ function Marketing() {
             <Megaphone size={16} className="text-pink-400" />
             <span className="font-medium">{m.name}</span>
           </div>
-          <pre className="whitespace-pre-wrap font-sans text-sm leading-relaxed text-slate-300">
-            {m.body.replace(/^#\s+.+\n/, '').trim()}
-          </pre>
+          <NoteBody note={m} onOpen={onOpen} />
         </Card>
       ))}
     </div>
@@ -444,23 +2873,30 @@ function Marketing() {
 
 /* ----------------------------- action runner ------------------------------ */
 const ACTIONS = [
-  { name: 'process-inbox', label: 'Process inbox', icon: Inbox, desc: 'Hand the inbox to Claude Code to file into the wiki.' },
-  { name: 'price-watch', label: 'Run price watch', icon: AlertTriangle, desc: 'Apply supplier price changes, re-flag margins, find exposed quotes.' },
-  { name: 'follow-ups', label: 'Run follow-ups', icon: ArrowRight, desc: 'Draft the next follow-up for every quoted customer.' },
+  { name: 'process-inbox', label: 'Process inbox', icon: Inbox, desc: 'File the inbox into the wiki — an LLM proposes the edits and the server checks and applies them, or the built-in rules file leads, customer messages, install notes and supplier emails.' },
+  { name: 'price-watch', label: 'Run price watch', icon: AlertTriangle, desc: 'Parse supplier price changes per product line, schedule them for the effective date, re-flag margins, find exposed quotes.' },
+  {
+    name: 'follow-ups',
+    label: 'Run follow-ups',
+    icon: ArrowRight,
+    desc: 'Draft the next follow-up for every quoted customer; retire quotes silent for 30+ days to lost.',
+  },
 ]
 
 function ActionsPanel({ onRefresh }) {
   const [busy, setBusy] = useState(null)
   const [result, setResult] = useState(null)
+  // Process inbox: skip the LLM provider even when one is configured
+  const [rulesOnly, setRulesOnly] = useState(false)
   const online = isServerAvailable()
 
-  async function run(name) {
+  async function run(name, dryRun = false) {
     setBusy(name)
     setResult(null)
     try {
-      const res = await runAction(name)
+      const res = await runAction(name, { dryRun, ...(name === 'process-inbox' && rulesOnly && { engine: 'rules' }) })
       setResult({ name, res })
-      await onRefresh()
+      if (!dryRun) await onRefresh()
     } catch (e) {
       setResult({ name, error: String(e.message || e) })
     } finally {
@@ -481,18 +2917,32 @@ function ActionsPanel({ onRefresh }) {
       </div>
       <div className="grid gap-3 md:grid-cols-3">
         {ACTIONS.map((a) => (
-          <button
-            key={a.name}
-            disabled={!online || busy}
-            onClick={() => run(a.name)}
-            className="rounded-xl border border-edge bg-ink/60 p-3 text-left transition hover:border-emerald-500/50 disabled:cursor-not-allowed disabled:opacity-50"
-          >
-            <div className="flex items-center gap-2 font-medium text-slate-100">
-              {busy === a.name ? <Loader2 size={15} className="animate-spin text-emerald-400" /> : <a.icon size={15} className="text-emerald-400" />}
-              {a.label}
-            </div>
-            <p className="mt-1 text-xs leading-relaxed text-slate-400">{a.desc}</p>
-          </button>
+          <div key={a.name} className="flex flex-col gap-1.5">
+            <button
+              disabled={!online || busy}
+              onClick={() => run(a.name)}
+              className="flex-1 rounded-xl border border-edge bg-ink/60 p-3 text-left transition hover:border-emerald-500/50 disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              <div className="flex items-center gap-2 font-medium text-slate-100">
+                {busy === a.name ? <Loader2 size={15} className="animate-spin text-emerald-400" /> : <a.icon size={15} className="text-emerald-400" />}
+                {a.label}
+              </div>
+              <p className="mt-1 text-xs leading-relaxed text-slate-400">{a.desc}</p>
+            </button>
+            <button
+              disabled={!online || busy}
+              onClick={() => run(a.name, true)}
+              className="self-start text-xs text-slate-400 hover:text-slate-200 disabled:opacity-50"
+            >
+              Preview (dry run) →
+            </button>
+            {a.name === 'process-inbox' && (
+              <label className="flex items-center gap-1.5 text-xs text-slate-400">
+                <input type="checkbox" checked={rulesOnly} onChange={(e) => setRulesOnly(e.target.checked)} />
+                Built-in rules only
+              </label>
+            )}
+          </div>
         ))}
       </div>
 
@@ -504,7 +2954,7 @@ function ActionsPanel({ onRefresh }) {
             exit={{ opacity: 0, height: 0 }}
             className="mt-3 overflow-hidden"
           >
-            <ActionResult {...result} />
+            <ActionResult {...result} onApply={busy ? null : () => run(result.name)} />
           </motion.div>
         )}
       </AnimatePresence>
@@ -512,7 +2962,48 @@ function ActionsPanel({ onRefresh }) {
   )
 }
 
-function ActionResult({ name, res, error }) {
+// Per-file unified diffs from an action's `changes`, collapsed by default.
+function DiffView({ changes }) {
+  if (!changes?.length) return null
+  return (
+    <div className="mt-3 space-y-1.5">
+      <div className="text-xs uppercase tracking-wide text-slate-400">
+        {changes.length} file{changes.length === 1 ? '' : 's'} changed
+      </div>
+      {changes.map((c) => (
+        <details key={c.change + c.path} className="rounded-lg border border-edge bg-ink/60">
+          <summary className="cursor-pointer px-2 py-1.5 text-xs text-slate-300">
+            <span className="mr-2 rounded bg-edge px-1.5 py-0.5 text-[10px] uppercase text-slate-400">{c.change}</span>
+            {c.path}
+            {c.to && <> → {c.to}</>}
+          </summary>
+          {c.diff && (
+            <pre className="max-h-72 overflow-auto border-t border-edge p-2 text-[11px] leading-relaxed">
+              {c.diff.split('\n').map((l, i) => (
+                <div
+                  key={i}
+                  className={
+                    l.startsWith('+') && !l.startsWith('+++')
+                      ? 'bg-emerald-500/10 text-emerald-300'
+                      : l.startsWith('-') && !l.startsWith('---')
+                        ? 'bg-rose-500/10 text-rose-300'
+                        : l.startsWith('@@')
+                          ? 'text-sky-400'
+                          : 'text-slate-500'
+                  }
+                >
+                  {l || ' '}
+                </div>
+              ))}
+            </pre>
+          )}
+        </details>
+      ))}
+    </div>
+  )
+}
+
+function ActionResult({ name, res, error, onApply }) {
   if (error)
     return (
       <div className="flex items-start gap-2 rounded-xl border border-rose-500/30 bg-rose-500/5 p-3 text-sm text-rose-200">
@@ -525,11 +3016,26 @@ function ActionResult({ name, res, error }) {
       <div className="mb-2 flex items-center gap-2 font-medium text-slate-100">
         {ok ? <CheckCircle2 size={16} className="text-emerald-400" /> : <CircleAlert size={16} className="text-amber-400" />}
         {name} · {res.ranAt || ''}
+        {res.dryRun && <span className="rounded-md bg-sky-500/15 px-1.5 py-0.5 text-xs text-sky-300">dry run — nothing written</span>}
       </div>
 
       {name === 'follow-ups' && (
         <div className="space-y-2">
-          <div className="text-slate-300">{res.count} draft{res.count === 1 ? '' : 's'} written into customer notes.</div>
+          <div className="text-slate-300">
+            {res.count} draft{res.count === 1 ? '' : 's'} {res.dryRun ? 'would be written' : 'written'} into customer notes.
+          </div>
+          {res.retired?.length > 0 && (
+            <div className="rounded-lg border border-slate-500/30 bg-ink/60 p-2">
+              <div className="text-xs uppercase tracking-wide text-slate-400">
+                {res.dryRun ? 'Would retire to lost' : 'Retired to lost'} (no response &gt; 30 days)
+              </div>
+              {res.retired.map((r) => (
+                <div key={r.customer} className="mt-1 text-slate-200">
+                  {r.customer} · {r.days}d silent{r.quote ? ` · ${fmtMoney(r.quote)} quote` : ''}
+                </div>
+              ))}
+            </div>
+          )}
           {res.drafts?.map((d, i) => (
             <div key={i} className="rounded-lg border border-edge bg-ink/60 p-2">
               <div className="text-xs text-slate-400">{d.customer} · {d.stage} · {d.days}d {d.skipped ? `· ${d.skipped}` : ''}</div>
@@ -549,25 +3055,346 @@ function ActionResult({ name, res, error }) {
 
       {name === 'process-inbox' && (
         <div className="space-y-2">
-          <div className="text-slate-300">{res.message || (res.ok ? 'Inbox processed by Claude Code.' : '')}</div>
-          {res.command && (
-            <code className="block rounded-lg bg-ink/80 p-2 text-xs text-sky-300">{res.command}</code>
-          )}
-          {res.output && (
-            <pre className="max-h-48 overflow-auto whitespace-pre-wrap rounded-lg bg-ink/80 p-2 text-xs text-slate-300">{res.output}</pre>
-          )}
+          <div className="text-slate-300">{res.message}</div>
+          {res.filed?.map((f) => (
+            <div key={f.file} className="rounded-lg border border-edge bg-ink/60 p-2">
+              <div className="text-xs text-slate-400">{f.file.split('/').pop()} · {f.kind}</div>
+              <div className="mt-1 text-slate-200">
+                {f.reason} →{' '}
+                {f.notes.map((n) => `${n.path.split('/').pop().replace(/\.md$/, '')}${n.created ? ' (new)' : ''}`).join(', ')}
+              </div>
+            </div>
+          ))}
+          {[...(res.deferred || []), ...(res.review || [])].map((f) => (
+            <div key={f.file} className="rounded-lg border border-amber-500/30 bg-ink/60 p-2">
+              <div className="text-xs text-slate-400">{f.file.split('/').pop()} · left in the inbox</div>
+              <div className="mt-1 text-amber-200">{f.reason}</div>
+            </div>
+          ))}
         </div>
       )}
+
+      <DiffView changes={res.changes} />
+
+      {res.dryRun && res.changes?.length > 0 && (
+        <button
+          disabled={!onApply}
+          onClick={onApply}
+          className="mt-3 flex items-center gap-1.5 rounded-lg border border-emerald-500/40 px-3 py-1.5 text-sm text-emerald-200 hover:bg-emerald-500/10 disabled:opacity-50"
+        >
+          <Play size={14} /> Apply these changes
+        </button>
+      )}
     </div>
   )
 }
 
+/* --------------------------------- drafts --------------------------------- */
+// Pending follow-up drafts across every customer note. Nothing is sent from
+// here — approving records that the owner sent it, so the cadence counts it.
+function DraftItem({ customer, draft, online, onRefresh }) {
+  const [msg, setMsg] = useState(draft.msg)
+  const [channel, setChannel] = useState('text')
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState(null)
+
+  async function decide(decision) {
+    setBusy(decision)
+    setError(null)
+    try {
+      await decideDraft(customer, draft, decision, { msg, channel })
+      await onRefresh()
+    } catch (e) {
+      setError(String(e.message || e))
+      setBusy(null)
+    }
+  }
+
+  const btn = 'flex items-center gap-1.5 rounded-lg border px-3 py-1.5 text-sm disabled:opacity-50'
+  return (
+    <li className="rounded-xl border border-edge bg-ink/60 p-3">
+      <div className="text-xs text-slate-400">
+        <span className="font-medium text-slate-200">{customer.name}</span> · {draft.stage} · drafted {draft.date}
+      </div>
+      <textarea
+        value={msg}
+        onChange={(e) => setMsg(e.target.value)}
+        readOnly={!online}
+        rows={3}
+        className={`${INPUT} mt-2 w-full resize-y`}
+      />
+      {online && (
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <select value={channel} onChange={(e) => setChannel(e.target.value)} className={`${INPUT} py-1.5`}>
+            <option value="text">via text</option>
+            <option value="email">via email</option>
+          </select>
+          <button disabled={!!busy || !msg.trim()} onClick={() => decide('approve')} className={`${btn} border-emerald-500/40 text-emerald-200 hover:bg-emerald-500/10`}>
+            {busy === 'approve' ? <Loader2 size={14} className="animate-spin" /> : <Send size={14} />} Approve — mark sent
+          </button>
+          <button disabled={!!busy || msg.trim() === draft.msg || !msg.trim()} onClick={() => decide('edit')} className={`${btn} border-sky-500/40 text-sky-200 hover:bg-sky-500/10`}>
+            {busy === 'edit' && <Loader2 size={14} className="animate-spin" />} Save edit
+          </button>
+          <button disabled={!!busy} onClick={() => decide('discard')} className={`${btn} border-rose-500/40 text-rose-200 hover:bg-rose-500/10`}>
+            {busy === 'discard' ? <Loader2 size={14} className="animate-spin" /> : <Trash2 size={14} />} Discard
+          </button>
+        </div>
+      )}
+      {error && <div className="mt-2 text-xs text-rose-300">{error}</div>}
+    </li>
+  )
+}
+
+function DraftsQueue({ onRefresh }) {
+  const online = isServerAvailable()
+  const pending = vault.customers.flatMap((c) => c.drafts.map((d) => ({ customer: c, draft: d })))
+  return (
+    <Card className="p-4">
+      <div className="mb-3 flex items-center gap-2 text-sm font-medium text-slate-200">
+        <MessageSquare size={16} className="text-sky-400" /> Drafts — follow-ups waiting for approval
+        <span className="text-xs text-slate-500">{pending.length}</span>
+      </div>
+      {pending.length === 0 ? (
+        <div className="text-sm text-slate-500">No pending drafts. Run follow-ups to draft the next touch for quoted customers.</div>
+      ) : (
+        <ul className="space-y-2">
+          {pending.map(({ customer, draft }) => (
+            <DraftItem key={customer.path + draft.text} customer={customer} draft={draft} online={online} onRefresh={onRefresh} />
+          ))}
+        </ul>
+      )}
+      <div className="mt-3 text-xs text-slate-500">
+        Approving rewrites the line to <code className="text-slate-400">SENT via text/email</code>; every decision is logged to{' '}
+        <code className="text-slate-400">agents/logs/follow-up-log.md</code>.
+      </div>
+    </Card>
+  )
+}
+
+/* ------------------------------- run history ------------------------------ */
+// Past action runs with the files each one changed. Rollback restores the
+// pre-run content the server saved, moving inbox files back where they were.
+function RunHistory({ onRefresh, version }) {
+  const [runs, setRuns] = useState(null)
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    listRuns()
+      .then(setRuns)
+      .catch((e) => setError(String(e.message || e)))
+  }, [version])
+
+  async function rollback(run, force = false) {
+    if (!force && !window.confirm(`Roll back ${run.action} (${run.ranAt})? Its ${run.files.length} file edit(s) will be undone.`)) return
+    setBusy(run.id)
+    setError(null)
+    try {
+      await rollbackRun(run.id, force)
+      await onRefresh()
+    } catch (e) {
+      setError({ run, message: String(e.message || e) })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  return (
+    <Card className="p-4">
+      <div className="mb-3 flex items-center gap-2 text-sm font-medium text-slate-200">
+        <History size={16} className="text-sky-400" /> Run history
+      </div>
+      {runs == null && !error && <div className="text-sm text-slate-500">Loading…</div>}
+      {runs?.length === 0 && <div className="text-sm text-slate-500">No action runs yet.</div>}
+      {error && (
+        <div className="mb-2 rounded-lg border border-rose-500/30 bg-rose-500/5 p-2 text-xs text-rose-200">
+          {error.message || error}
+          {error.run && (
+            <button onClick={() => rollback(error.run, true)} className="ml-2 underline hover:text-rose-100">
+              Roll back anyway
+            </button>
+          )}
+        </div>
+      )}
+      <ul className="space-y-2">
+        {runs?.map((run) => (
+          <li key={run.id} className="rounded-xl border border-edge bg-ink/60 p-3">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm text-slate-200">
+                <span className="font-medium">{run.action}</span> <span className="text-xs text-slate-500">· {run.ranAt}</span>
+              </div>
+              {run.rolledBackAt ? (
+                <span className="text-xs text-slate-500">rolled back {run.rolledBackAt}</span>
+              ) : (
+                <button
+                  disabled={!!busy}
+                  onClick={() => rollback(run)}
+                  className="flex items-center gap-1 rounded-lg border border-amber-500/40 px-2 py-1 text-xs text-amber-200 hover:bg-amber-500/10 disabled:opacity-50"
+                >
+                  {busy === run.id ? <Loader2 size={12} className="animate-spin" /> : <RotateCcw size={12} />} Roll back
+                </button>
+              )}
+            </div>
+            <ul className="mt-1.5 space-y-0.5 text-xs text-slate-400">
+              {run.files.map((f) => (
+                <li key={f.path}>
+                  <span className="text-slate-500">{f.change}</span> {f.path}
+                </li>
+              ))}
+              {run.moves.map((m) => (
+                <li key={m.from}>
+                  <span className="text-slate-500">move</span> {m.from} → {m.to}
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  )
+}
+
 /* --------------------------------- system --------------------------------- */
-function System({ onRefresh }) {
+// Frontmatter checked against the per-type schemas in src/lib/schema.js.
+function VaultHealth({ onOpen }) {
+  const health = vaultHealth(vault.notes)
+  const name = (p) => vault.notes.find((n) => n.path === p)?.name || p
+  const errors = health.issues.filter((i) => i.level === 'error').length
+  return (
+    <Card className="p-4">
+      <div className="mb-3 flex items-center gap-2 text-sm font-medium text-slate-200">
+        <HeartPulse size={16} className={errors ? 'text-rose-400' : 'text-emerald-400'} /> Vault health
+        <span className="text-xs font-normal text-slate-500">
+          {health.checked} notes checked · {health.issues.length} problem{health.issues.length === 1 ? '' : 's'}
+        </span>
+      </div>
+      {health.notes.length === 0 ? (
+        <div className="text-sm text-emerald-400">Every note's frontmatter matches its type. ✓</div>
+      ) : (
+        <ul className="space-y-2">
+          {health.notes.map((n) => (
+            <li key={n.path} className="rounded-xl border border-edge bg-ink/60 p-3">
+              <button onClick={() => onOpen(n.path)} className="text-sm font-medium text-sky-300 hover:underline">
+                {name(n.path)}
+              </button>
+              <span className="ml-2 text-xs text-slate-500">{n.path.replace(/^.*?vault\//, '')}</span>
+              <ul className="mt-1 space-y-0.5">
+                {n.issues.map((i, k) => (
+                  <li key={k} className={`text-xs ${i.level === 'error' ? 'text-rose-300' : 'text-amber-300'}`}>
+                    <span className="text-slate-500">line {i.line} · </span>
+                    {i.message}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="mt-3 text-xs text-slate-500">
+        Checks required fields per <code className="text-slate-400">type:</code> (customer, product, supplier, sop,
+        offers), statuses, dates and that the frontmatter is valid YAML.
+      </div>
+    </Card>
+  )
+}
+
+// The filing-contract lint (npm run lint-vault), re-run whenever the vault changes.
+function VaultLint({ onOpen, version }) {
+  const [res, setRes] = useState(null)
+  const [error, setError] = useState(null)
+  const [rule, setRule] = useState(null)
+
+  useEffect(() => {
+    let current = true
+    checkVault()
+      .then((r) => {
+        if (!current) return
+        setRes(r)
+        setError(null)
+      })
+      .catch((e) => current && setError(String(e.message || e)))
+    return () => {
+      current = false
+    }
+  }, [version])
+
+  const counts = new Map()
+  for (const p of res?.problems || []) counts.set(p.rule, (counts.get(p.rule) || 0) + 1)
+  const shown = (res?.problems || []).filter((p) => !rule || p.rule === rule)
+  const name = (p) => vault.notes.find((n) => n.path === p)?.name || p
+
+  return (
+    <Card className="p-4">
+      <div className="mb-3 flex items-center gap-2 text-sm font-medium text-slate-200">
+        <ListChecks size={16} className={!res ? 'text-slate-500' : res.ok ? 'text-emerald-400' : 'text-rose-400'} /> Vault lint
+        {res && (
+          <span className="text-xs font-normal text-slate-500">
+            {res.errors} error{res.errors === 1 ? '' : 's'} · {res.warnings} warning{res.warnings === 1 ? '' : 's'}
+          </span>
+        )}
+      </div>
+      {error && <div className="text-sm text-rose-300">{error}</div>}
+      {!res && !error && (
+        <div className="flex items-center gap-2 text-sm text-slate-500">
+          <Loader2 size={14} className="animate-spin" /> Checking…
+        </div>
+      )}
+      {res && (
+        <>
+          <div className="mb-3 flex flex-wrap gap-1.5">
+            {Object.entries(LINT_RULES).map(([id, label]) => {
+              const n = counts.get(id) || 0
+              return (
+                <button
+                  key={id}
+                  disabled={!n}
+                  onClick={() => setRule(rule === id ? null : id)}
+                  className={`rounded-lg border px-2 py-1 text-xs ${
+                    rule === id ? 'border-sky-500/50 bg-edge text-slate-100' : 'border-edge text-slate-400'
+                  } ${n ? 'hover:text-slate-200' : 'opacity-60'}`}
+                >
+                  {n ? <span className="mr-1 font-semibold text-amber-300">{n}</span> : <span className="mr-1 text-emerald-400">✓</span>}
+                  {label}
+                </button>
+              )
+            })}
+          </div>
+          {shown.length > 0 && (
+            <ul className="space-y-1">
+              {shown.map((p, k) => (
+                <li key={k} className="flex items-baseline gap-2 text-xs">
+                  <span className={p.level === 'error' ? 'text-rose-300' : 'text-amber-300'}>{p.level}</span>
+                  <button onClick={() => onOpen(p.path)} className="shrink-0 text-sky-300 hover:underline">
+                    {name(p.path)}:{p.line}
+                  </button>
+                  <span className="text-slate-300">{p.message}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+      <div className="mt-3 text-xs text-slate-500">
+        The checks from <code className="text-slate-400">process-inbox.md</code>'s verification list. Same as{' '}
+        <code className="text-slate-400">npm run lint-vault</code>, which exits non-zero on errors for CI.
+      </div>
+    </Card>
+  )
+}
+
+function System({ onRefresh, version, onOpen }) {
   return (
     <div className="space-y-5">
       <ActionsPanel onRefresh={onRefresh} />
 
+      <DraftsQueue onRefresh={onRefresh} />
+
+      {isServerAvailable() && <RunHistory onRefresh={onRefresh} version={version} />}
+
+      <VaultLint onOpen={onOpen} version={version} />
+
+      <VaultHealth onOpen={onOpen} />
+
       <Card className="p-4">
         <div className="mb-3 flex items-center gap-2 text-sm font-medium text-slate-200">
           <Inbox size={16} className="text-amber-400" /> Inbox — unprocessed raw material
@@ -577,9 +3404,14 @@ function System({ onRefresh }) {
         ) : (
           <ul className="space-y-2">
             {vault.inbox.map((n) => (
-              <li key={n.path} className="rounded-xl border border-edge bg-ink/60 p-3">
-                <div className="text-sm font-medium text-slate-200">{n.filename}</div>
-                <div className="mt-1 line-clamp-2 text-xs text-slate-500">{n.body.slice(0, 160)}…</div>
+              <li key={n.path}>
+                <button
+                  onClick={() => onOpen(n.path)}
+                  className="block w-full rounded-xl border border-edge bg-ink/60 p-3 text-left hover:border-amber-500/40"
+                >
+                  <div className="text-sm font-medium text-slate-200">{n.filename}</div>
+                  <div className="mt-1 line-clamp-2 text-xs text-slate-500">{n.excerpt.slice(0, 160)}…</div>
+                </button>
               </li>
             ))}
           </ul>
@@ -618,7 +3450,7 @@ function System({ onRefresh }) {
           This dashboard is a live view layered on the <strong className="text-slate-300">vault</strong>. Obsidian holds the
           memory, Claude Code (guided by <code className="text-slate-300">CLAUDE.md</code>) processes raw drops into linked
           wiki notes, and the agent workflows run the repeatable work. Everything above is read straight from the markdown —
-          edit a note, refresh, and it updates here.
+          edit a note and it updates here.
         </p>
       </Card>
     </div>
@@ -631,43 +3463,133 @@ const TABS = [
   { id: 'pipeline', label: 'Pipeline', icon: Layers },
   { id: 'customers', label: 'Customers', icon: Users },
   { id: 'catalog', label: 'Catalog', icon: Package },
+  { id: 'margins', label: 'Margins', icon: Percent },
+  { id: 'schedule', label: 'Schedule', icon: CalendarDays },
+  { id: 'jobs', label: 'Jobs', icon: ClipboardCheck },
+  { id: 'warranty', label: 'Warranty', icon: ShieldAlert },
   { id: 'operations', label: 'Operations', icon: Wrench },
   { id: 'marketing', label: 'Marketing', icon: Megaphone },
+  { id: 'graph', label: 'Graph', icon: Network },
   { id: 'system', label: 'System', icon: Bot },
 ]
 
+// Which parts of the vault model each tab draws from, so a live update only
+// re-renders the tabs it touches ('logs' = agents/logs changed).
+const TAB_KEYS = {
+  overview: ['customers', 'products', 'suppliers', 'inbox'],
+  pipeline: ['customers', 'orders', 'projects'],
+  customers: ['customers', 'orders', 'projects'],
+  catalog: ['products', 'suppliers', 'targetMargin', 'orders', 'customers'],
+  margins: ['products', 'suppliers', 'customers', 'addOns', 'targetMargin'],
+  schedule: ['customers', 'products', 'suppliers'],
+  jobs: ['projects', 'customers'],
+  warranty: ['customers', 'products', 'suppliers'],
+  operations: ['operations'],
+  marketing: ['marketing'],
+  graph: ['notes'],
+  system: ['customers', 'inbox', 'raw', 'notes', 'logs'],
+}
+
+// "Live · synced 14:02:11" in the header; static builds say so instead.
+function SyncStatus({ sync }) {
+  if (sync.status === 'static') return <span className="text-slate-500">static snapshot</span>
+  const time = sync.at ? new Date(sync.at).toLocaleTimeString() : '—'
+  return sync.status === 'live' ? (
+    <span className="flex items-center gap-1.5 text-emerald-400/80" title="Watching the vault for changes">
+      <span className="h-1.5 w-1.5 rounded-full bg-emerald-400" /> live · synced {time}
+    </span>
+  ) : (
+    <span className="flex items-center gap-1.5 text-amber-300/80" title="Lost the live connection; retrying">
+      <Loader2 size={11} className="animate-spin" /> reconnecting · last synced {time}
+    </span>
+  )
+}
+
 export default function App() {
   const [tab, setTab] = useState('overview')
   const [selected, setSelected] = useState(null)
   const [ready, setReady] = useState(false)
   const [version, setVersion] = useState(0)
+  const [sync, setSync] = useState({ status: 'static', at: null })
+  const [palette, setPalette] = useState(false)
+  const [viewing, setViewing] = useState(null)
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault()
+        setPalette((p) => !p)
+      }
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [])
+
+  // A search hit or link opens the customer drawer for customers, the note
+  // viewer otherwise.
+  function openNote(path) {
+    setPalette(false)
+    const customer = vault.customers.find((c) => c.path === path)
+    setSelected(customer || null)
+    setViewing(customer ? null : path)
+  }
 
   useEffect(() => {
-    loadVault().then(() => setReady(true))
+    loadVault().then(() => {
+      setReady(true)
+      if (isServerAvailable()) setSync({ status: 'live', at: new Date().toISOString() })
+    })
   }, [])
 
+  // Live updates: notes edited in Obsidian (or anywhere) arrive as patches.
+  const tabRef = useRef(tab)
+  tabRef.current = tab
+  useEffect(() => {
+    if (!ready || !isServerAvailable()) return
+    return subscribeVault({
+      onStatus: (status) => setSync((s) => ({ ...s, status })),
+      onUpdate: ({ kind, keys, at }) => {
+        setSync({ status: 'live', at })
+        if (kind === 'resync' || keys.some((k) => TAB_KEYS[tabRef.current]?.includes(k))) setVersion((v) => v + 1)
+      },
+    })
+  }, [ready])
+
   // Re-load the live vault after an action mutates the notes.
   const refresh = async () => {
     await loadVault()
     setVersion((v) => v + 1)
+    if (isServerAvailable()) setSync({ status: 'live', at: new Date().toISOString() })
   }
 
   const inboxCount = vault.inbox.length
+  // The drawer follows the live note, so edits made from it show up right away.
+  const current = selected && (vault.customers.find((c) => c.path === selected.path) || selected)
 
   const body = useMemo(() => {
     switch (tab) {
       case 'pipeline':
-        return <Pipeline onSelect={setSelected} />
+        return <Pipeline onSelect={setSelected} onRefresh={refresh} />
       case 'customers':
-        return <Customers onSelect={setSelected} />
+        return <Customers onSelect={setSelected} onRefresh={refresh} />
       case 'catalog':
         return <Catalog />
+      case 'margins':
+        return <Margins onSelect={setSelected} onRefresh={refresh} />
+      case 'schedule':
+        return <Schedule onSelect={setSelected} onRefresh={refresh} />
+      case 'jobs':
+        return <Jobs onSelect={setSelected} onRefresh={refresh} />
+      case 'warranty':
+        return <Warranty onSelect={setSelected} onRefresh={refresh} />
       case 'operations':
-        return <Operations />
+        return <Operations onOpen={openNote} />
       case 'marketing':
-        return <Marketing />
+        return <Marketing onOpen={openNote} />
+      case 'graph':
+        return <Graph onOpen={openNote} />
       case 'system':
-        return <System onRefresh={refresh} />
+        return <System onRefresh={refresh} version={version} onOpen={openNote} />
       default:
         return <Overview onGoto={setTab} />
     }
@@ -695,9 +3617,18 @@ export default function App() {
             </div>
             <div>
               <div className="text-sm font-semibold text-slate-100">Blinds Company</div>
-              <div className="text-xs text-slate-500">Operations dashboard · layered on the vault</div>
+              <div className="flex items-center gap-1.5 text-xs text-slate-500">
+                Operations dashboard · <SyncStatus sync={sync} />
+              </div>
             </div>
           </div>
+          <button
+            onClick={() => setPalette(true)}
+            className="ml-auto mr-2 flex items-center gap-2 rounded-lg border border-edge px-2.5 py-1.5 text-xs text-slate-400 hover:text-slate-200 md:order-last md:ml-2 md:mr-0"
+          >
+            <Search size={14} /> <span className="hidden sm:inline">Search</span>
+            <kbd className="hidden rounded border border-edge px-1 text-[10px] sm:inline">Ctrl K</kbd>
+          </button>
           <nav className="hidden gap-1 md:flex">
             {TABS.map((t) => (
               <button
@@ -735,7 +3666,13 @@ export default function App() {
 
       <main className="mx-auto max-w-6xl px-4 py-6">{body}</main>
 
-      <CustomerDrawer customer={selected} onClose={() => setSelected(null)} />
+      <CustomerDrawer customer={current} onClose={() => setSelected(null)} onRefresh={refresh} onOpen={openNote} />
+      <NoteViewer
+        note={viewing && vault.notes.find((n) => n.path === viewing)}
+        onClose={() => setViewing(null)}
+        onOpen={openNote}
+      />
+      <CommandPalette open={palette} onClose={() => setPalette(false)} onOpen={(r) => openNote(r.path)} />
     </div>
   )
 }
@@ -0,0 +1,81 @@
+// Pure, isomorphic line diff — used by the server to show exactly what a
+// workflow action would change before it writes anything.
+
+// Edit script from `a` to `b` (arrays of lines): [{ op: ' ' | '-' | '+', line }].
+// Common head/tail lines are peeled off first so an append to a long log stays
+// cheap; the middle is a plain LCS table.
+export function diffLines(a, b) {
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+  const head = a.slice(0, start).map((line) => ({ op: ' ', line }))
+  const tail = a.slice(endA).map((line) => ({ op: ' ', line }))
+  const x = a.slice(start, endA)
+  const y = b.slice(start, endB)
+
+  // too big to table: report the middle as replaced wholesale
+  if (x.length * y.length > 4_000_000) {
+    return [...head, ...x.map((line) => ({ op: '-', line })), ...y.map((line) => ({ op: '+', line })), ...tail]
+  }
+
+  const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1))
+  for (let i = x.length - 1; i >= 0; i--)
+    for (let j = y.length - 1; j >= 0; j--)
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+
+  const mid = []
+  let i = 0
+  let j = 0
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) {
+      mid.push({ op: ' ', line: x[i++] })
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) mid.push({ op: '-', line: x[i++] })
+    else mid.push({ op: '+', line: y[j++] })
+  }
+  while (i < x.length) mid.push({ op: '-', line: x[i++] })
+  while (j < y.length) mid.push({ op: '+', line: y[j++] })
+  return [...head, ...mid, ...tail]
+}
+
+// Standard unified diff text (`--- a/path`, `+++ b/path`, `@@` hunks).
+// `before` is null for a file the change would create.
+export function unifiedDiff(before, after, path, context = 3) {
+  const a = before == null ? [] : before.split('\n')
+  const b = after == null ? [] : after.split('\n')
+  const ops = diffLines(a, b)
+
+  // positions of the changed ops, grouped into hunks that share context
+  const changed = ops.map((o, k) => (o.op === ' ' ? -1 : k)).filter((k) => k >= 0)
+  if (changed.length === 0) return ''
+  const groups = []
+  for (const k of changed) {
+    const g = groups[groups.length - 1]
+    if (g && k - g.end <= context * 2) g.end = k
+    else groups.push({ start: k, end: k })
+  }
+
+  const out = [`--- ${before == null ? '/dev/null' : `a/${path}`}`, `+++ b/${path}`]
+  for (const g of groups) {
+    const from = Math.max(0, g.start - context)
+    const to = Math.min(ops.length, g.end + context + 1)
+    // line numbers where this hunk starts in each side
+    let lineA = 1
+    let lineB = 1
+    for (const o of ops.slice(0, from)) {
+      if (o.op !== '+') lineA++
+      if (o.op !== '-') lineB++
+    }
+    const slice = ops.slice(from, to)
+    const lenA = slice.filter((o) => o.op !== '+').length
+    const lenB = slice.filter((o) => o.op !== '-').length
+    out.push(`@@ -${lenA ? lineA : lineA - 1},${lenA} +${lenB ? lineB : lineB - 1},${lenB} @@`)
+    for (const o of slice) out.push(o.op + o.line)
+  }
+  return out.join('\n')
+}
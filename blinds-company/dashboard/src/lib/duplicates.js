@@ -0,0 +1,290 @@
+// Pure, isomorphic duplicate-customer detection, and the note merge the
+// server writes when two of them turn out to be one person.
+//
+// findDuplicates() scores every pair of customer notes on what the vault knows
+// about them: names and aliases (fuzzy — "Mrs. Garcia", "Garcia, Maria" and
+// "Maria Garica" all come close to "Maria Garcia"), and the phone, email and
+// address on the `**Contact:**` line. mergeCustomerNotes() folds one note into
+// another: timelines combined in date order, bullets and sections unioned,
+// no link lost. relink() rewrites [[Old Name]] references to the survivor.
+
+import { parseContact, extractLinks } from './parse.js'
+
+// A pair needs this much combined evidence to be listed; 'likely' from 0.85.
+const MIN_SCORE = 0.5
+const LIKELY = 0.85
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'mx', 'dr'])
+
+// "Garcia, Maria" → ['maria', 'garcia'];  "Mrs. Garcia" → ['garcia']
+function nameTokens(s) {
+  let t = String(s).trim()
+  const flipped = t.match(/^([^,]+),\s*([^,]+)$/)
+  if (flipped) t = `${flipped[2]} ${flipped[1]}`
+  return t
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter((w) => w && !HONORIFICS.has(w))
+}
+
+// Edit distance, counting a swapped pair of letters ("Garica") as one typo.
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i])
+  for (let j = 1; j <= b.length; j++) d[0][j] = j
+  for (let i = 1; i <= a.length; i++)
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+    }
+  return d[a.length][b.length]
+}
+
+// One edit apart, for words long enough that one edit is a typo, not a new name.
+const nearly = (a, b) => a === b || (Math.min(a.length, b.length) >= 4 && distance(a, b) <= 1)
+
+// First names that are the same person: equal, a typo, an initial ("J"), or
+// a short form ("Dan" / "Daniel").
+const sameFirst = (a, b) =>
+  nearly(a, b) || (Math.min(a.length, b.length) === 1 ? a[0] === b[0] : Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a)))
+
+/**
+ * How alike two names are, 0 – 1:
+ *   1     the same once normalized
+ *   0.9   same surname, same first name give or take a typo / short form
+ *   0.75  same surname, first initial matches
+ *   0.5   one is only the other's surname ("Mrs. Garcia")
+ *   else  the edit-distance ratio, if it's at least 0.85
+ */
+export function nameSimilarity(a, b) {
+  const x = nameTokens(a)
+  const y = nameTokens(b)
+  if (!x.length || !y.length) return 0
+  if (x.join(' ') === y.join(' ')) return 1
+  if (x.length > 1 && y.length > 1 && nearly(x[x.length - 1], y[y.length - 1])) {
+    if (sameFirst(x[0], y[0])) return Math.min(x[0].length, y[0].length) === 1 ? 0.75 : 0.9
+  }
+  if ((x.length === 1 && y.length > 1 && x[0] === y[y.length - 1]) || (y.length === 1 && x.length > 1 && y[0] === x[x.length - 1]))
+    return 0.5
+  const s = x.join(' ')
+  const t = y.join(' ')
+  const ratio = 1 - distance(s, t) / Math.max(s.length, t.length)
+  return ratio >= 0.85 ? +ratio.toFixed(2) : 0
+}
+
+const phoneKey = (p) => p.replace(/\D/g, '').slice(-10)
+
+const STREET = { avenue: 'ave', street: 'st', court: 'ct', road: 'rd', drive: 'dr', lane: 'ln', boulevard: 'blvd', place: 'pl', terrace: 'ter' }
+const addressKey = (a) =>
+  String(a)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .map((w) => STREET[w] || w)
+    .join(' ')
+
+// One Contact part, compared loosely: "555-014-7782" is "(555) 014-7782".
+const contactKey = (p) => (/@/.test(p) ? p.toLowerCase() : /^[+\d\s().-]+$/.test(p) ? phoneKey(p) : addressKey(p))
+
+const namesOf = (c) => [c.name, c.filename, ...(c.aliases || [])].filter(Boolean)
+
+/**
+ * customers: vault.customers (each with `contact` from parse.js).
+ * Returns [{ keep, merge, score, level: 'likely' | 'possible', reasons }],
+ * most certain first. `keep` is the suggested survivor — the note with the
+ * longer timeline, else the older one.
+ */
+export function findDuplicates(customers) {
+  const out = []
+  for (let i = 0; i < customers.length; i++)
+    for (let j = i + 1; j < customers.length; j++) {
+      const a = customers[i]
+      const b = customers[j]
+      const signals = [] // [weight, reason]
+
+      let best = { sim: 0 }
+      for (const x of namesOf(a)) for (const y of namesOf(b)) {
+        const sim = nameSimilarity(x, y)
+        if (sim > best.sim) best = { sim, x, y }
+      }
+      if (best.sim)
+        signals.push([0.8 * best.sim, best.sim === 1 && best.x === best.y ? `same name "${best.x}"` : `"${best.x}" ≈ "${best.y}"`])
+
+      const ca = a.contact || parseContact('')
+      const cb = b.contact || parseContact('')
+      const phone = ca.phones.find((p) => cb.phones.some((q) => phoneKey(q) === phoneKey(p)))
+      if (phone) signals.push([0.7, `same phone ${phone}`])
+      const email = ca.emails.find((e) => cb.emails.some((f) => f.toLowerCase() === e.toLowerCase()))
+      if (email) signals.push([0.8, `same email ${email}`])
+      if (ca.address && cb.address && addressKey(ca.address) === addressKey(cb.address))
+        signals.push([0.5, `same address ${ca.address}`])
+
+      const score = 1 - signals.reduce((p, [w]) => p * (1 - w), 1)
+      if (score < MIN_SCORE) continue
+      const longer = (b.timeline?.length || 0) - (a.timeline?.length || 0)
+      const [keep, merge] = longer > 0 || (longer === 0 && String(b.fm?.created || '') < String(a.fm?.created || '')) ? [b, a] : [a, b]
+      out.push({ keep, merge, score: +score.toFixed(2), level: score >= LIKELY ? 'likely' : 'possible', reasons: signals.map(([, r]) => r) })
+    }
+  return out.sort((p, q) => q.score - p.score || p.keep.name.localeCompare(q.keep.name))
+}
+
+/**
+ * The existing customer a new message is from, if any. probe: { names, phones,
+ * emails } pulled from the message. A shared phone or email is enough; a name
+ * has to match a note's name or alias closely (0.9 and up — a typo, not just a
+ * surname). Returns { customer, by: 'phone' | 'email' | 'name' } or null.
+ */
+export function matchCustomer(customers, { names = [], phones = [], emails = [] }) {
+  const keys = new Set(phones.map(phoneKey))
+  for (const c of customers) if ((c.contact?.phones || []).some((p) => keys.has(phoneKey(p)))) return { customer: c, by: 'phone' }
+  const mails = new Set(emails.map((e) => e.toLowerCase()))
+  for (const c of customers) if ((c.contact?.emails || []).some((e) => mails.has(e.toLowerCase()))) return { customer: c, by: 'email' }
+  let best = null
+  for (const c of customers)
+    for (const n of namesOf(c))
+      for (const name of names) {
+        const sim = nameSimilarity(name, n)
+        if (sim >= 0.9 && (!best || sim > best.sim)) best = { customer: c, by: 'name', sim }
+      }
+  return best && { customer: best.customer, by: best.by }
+}
+
+/* ---------------------------------- merge --------------------------------- */
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Point every [[from]] link in `text` at `to`, keeping any #heading, |label,
+ * folder prefix and ! embed: [[Old Name|Mrs. G]] → [[New Name|Mrs. G]].
+ * Matches the target the way Obsidian does, ignoring case.
+ */
+export function relink(text, from, to) {
+  const re = new RegExp(`(!?\\[\\[)((?:[^\\]|#]*/)?)${escapeRe(from)}(\\s*(?:#[^\\]|]*)?(?:\\|[^\\]]*)?\\]\\])`, 'gi')
+  return text.replace(re, (_m, open, folder, rest) => `${open}${folder}${to}${rest}`)
+}
+
+// [[Name]] / [[Name|label]] of the merged person inside their own note → plain text.
+const unlinkSelf = (text, names) =>
+  names.reduce(
+    (t, name) =>
+      t.replace(new RegExp(`\\[\\[(?:[^\\]|#]*/)?${escapeRe(name)}\\s*(?:#[^\\]|]*)?(?:\\|([^\\]]*))?\\]\\]`, 'gi'), (_m, label) => label || name),
+    text,
+  )
+
+// Body → { title, head: [lines before the first ##], sections: [{ name, lines }] }
+function splitBody(body) {
+  const out = { title: null, head: [], sections: [] }
+  let cur = null
+  for (const line of String(body).replace(/\r\n?/g, '\n').split('\n')) {
+    const h = line.match(/^##\s+(.+?)\s*$/)
+    if (h) out.sections.push((cur = { name: h[1], lines: [] }))
+    else if (cur) cur.lines.push(line)
+    else if (!out.title && /^#\s+/.test(line)) out.title = line
+    else out.head.push(line)
+  }
+  return out
+}
+
+const FIELD = /^[-*]\s*\*\*(.+?):\*\*\s*(.*)$/
+const isUnknown = (v) => !v.trim() || /^unknown\b/i.test(v.trim())
+const content = (lines) => lines.filter((l) => l.trim())
+
+// `- **Field:** value` bullets: the keeper's win; the other note fills in what
+// the keeper doesn't know and adds what differs. Contact parts are unioned.
+function mergeHead(keep, other) {
+  const fields = new Map()
+  const extra = []
+  for (const [from, lines] of [['keep', keep], ['other', other]])
+    for (const line of content(lines)) {
+      const m = line.match(FIELD)
+      if (!m) {
+        if (!extra.includes(line)) extra.push(line)
+        continue
+      }
+      const [, field, value] = m
+      const cur = fields.get(field)
+      if (!cur) fields.set(field, value)
+      else if (from === 'other' && !isUnknown(value) && cur !== value) {
+        if (field === 'Contact') {
+          const parts = cur.split(/\s+\/\s+/).filter((p) => !isUnknown(p))
+          for (const p of value.split(/\s+\/\s+/)) if (!parts.some((q) => contactKey(q) === contactKey(p))) parts.push(p)
+          fields.set(field, parts.join(' / '))
+        } else fields.set(field, isUnknown(cur) ? value : `${cur}; ${value}`)
+      }
+    }
+  return [...[...fields].map(([f, v]) => `- **${f}:** ${v}`), ...extra]
+}
+
+// Dated timeline entries, both notes', in date order; undated ones keep their
+// place after the dated entries. Exact repeats are dropped.
+function mergeTimeline(keep, other) {
+  const seen = new Set()
+  const entries = []
+  for (const line of [...content(keep), ...content(other)]) {
+    const key = line.trim()
+    if (seen.has(key)) continue
+    seen.add(key)
+    entries.push({ line, date: (line.match(/^\s*[-*]\s*(\d{4}-\d{2}-\d{2})/) || [])[1] || '9999' })
+  }
+  return entries
+    .map((e, i) => ({ ...e, i }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.i - b.i)
+    .map((e) => e.line)
+}
+
+/**
+ * Fold the `merge` customer note into `keep` (both parsed notes with bodies:
+ * vault.customers entries). Returns
+ *   { body, aliases, tags, created, timeline }
+ * — the keeper's new body (frontmatter not included) and the frontmatter
+ * values that change, for the server to write; `timeline` is the merged
+ * entry count. `line` is appended to the timeline to record the merge.
+ */
+export function mergeCustomerNotes(keep, merge, line) {
+  const a = splitBody(keep.body)
+  const b = splitBody(merge.body)
+  const sections = a.sections.map((s) => ({ name: s.name, lines: s.lines }))
+  for (const s of b.sections) {
+    const mine = sections.find((x) => x.name.toLowerCase() === s.name.toLowerCase())
+    if (!mine) sections.push({ name: s.name, lines: s.lines })
+    else if (/^timeline$/i.test(s.name)) mine.lines = mergeTimeline(mine.lines, s.lines)
+    // two quote tables don't add up; the keeper's stands, the other's is in the archive
+    else if (/^quote$/i.test(s.name)) continue
+    else mine.lines = [...content(mine.lines), ...content(s.lines).filter((l) => !mine.lines.includes(l))]
+  }
+  let timeline = sections.find((s) => /^timeline$/i.test(s.name))
+  if (!timeline) sections.unshift((timeline = { name: 'Timeline', lines: [] }))
+  timeline.lines = [...content(timeline.lines), line]
+
+  let body = [a.title || `# ${keep.name}`, '', ...mergeHead(a.head, b.head), '']
+    .concat(...sections.map((s) => [`## ${s.name}`, ...content(s.lines), '']))
+    .join('\n')
+
+  // every link the merged note had survives, even from a dropped quote table
+  const names = [keep.name, keep.filename, merge.name, merge.filename]
+  const have = new Set(extractLinks(body).map((l) => l.toLowerCase()))
+  const lost = extractLinks(merge.body).filter((l) => !have.has(l.toLowerCase()) && !names.some((n) => n.toLowerCase() === l.toLowerCase()))
+  if (lost.length) {
+    const notes = sections.find((s) => /^notes$/i.test(s.name))
+    const carry = `- Also linked from ${merge.name}'s note: ${lost.map((l) => `[[${l}]]`).join(', ')}`
+    if (notes) body = body.replace(/^## Notes\n((?:.+\n)*)/m, (m) => `${m}${carry}\n`)
+    else body += `## Notes\n${carry}\n`
+  }
+  body = unlinkSelf(body, [...new Set(names)]).replace(/\n+$/, '\n')
+
+  const union = (x, y) => [...new Set([...(x || []), ...(y || [])])]
+  const aliases = union(keep.aliases, [merge.name, ...(merge.aliases || [])]).filter(
+    (x) => x.toLowerCase() !== keep.name.toLowerCase(),
+  )
+  const created = [keep.fm?.created, merge.fm?.created].filter(Boolean).map(String).sort()[0] || null
+  return {
+    body,
+    aliases,
+    tags: union(keep.fm?.tags, merge.fm?.tags),
+    created,
+    timeline: content(timeline.lines).length,
+  }
+}
@@ -0,0 +1,140 @@
+// Pure, isomorphic structured edits for LLM inbox processing. The model is
+// never handed the vault to edit: it gets one inbox item plus what the vault
+// already knows (buildInboxPrompt), and answers with JSON naming the notes to
+// touch and the text to put there. parseProposal() reads that answer and
+// checkProposal() decides whether the server may apply it.
+//
+//   {
+//     "summary": "New lead Priya Shah from the web form",
+//     "edits": [
+//       { "path": "vault/20-wiki/customers/Priya Shah.md", "text": "---\ntype: customer\n…" },
+//       { "path": "vault/20-wiki/customers/Maria Garcia.md", "section": "Timeline",
+//         "text": "- 2026-07-01 — referred [[Priya Shah]]" }
+//     ],
+//     "review": null
+//   }
+//
+// An edit to a note that doesn't exist creates it with `text` as the whole
+// note; to one that does, `text` is inserted at the end of `## <section>`
+// (added if missing), or appended to the note when there's no section. A
+// non-empty `review` means "leave it in the inbox" and carries the reason.
+
+const WRITABLE = /^vault\/(20-wiki|30-projects)\/.+\.md$/
+
+// The standard customer note, as server.mjs's customerTemplate writes it.
+const CUSTOMER_SHAPE = [
+  '---',
+  'type: customer',
+  'aliases: ["Last, First"]',
+  'status: lead',
+  'created: YYYY-MM-DD',
+  'tags: [customer]',
+  '---',
+  '# First Last',
+  '',
+  '- **Contact:** phone / email / address',
+  '- **Source:** …',
+  '- **Rooms / openings:** …',
+  '- **Products of interest:** [[Product]]',
+  '- **Budget signal:** …',
+  '',
+  '## Timeline',
+  '- YYYY-MM-DD — first contact: …',
+  '',
+  '## Notes',
+]
+const SECTION = /^[\w][\w /&'-]{0,40}$/
+
+/**
+ * The instructions and context for one inbox item. vault: the model (bodies
+ * not needed); item: the inbox note with its body; today: YYYY-MM-DD; raw:
+ * the name the original will have in 10-raw/, for the provenance link.
+ */
+export function buildInboxPrompt(item, vault, today, raw) {
+  const people = vault.customers.map((c) => {
+    const contact = [...(c.contact?.phones || []), ...(c.contact?.emails || []), c.contact?.address].filter(Boolean)
+    return `- ${c.path} — ${c.name}${c.aliases.length ? ` (aka ${c.aliases.join(', ')})` : ''}, ${c.status}${contact.length ? `, ${contact.join(' / ')}` : ''}`
+  })
+  const list = (xs) => xs.map((n) => `- ${n.path} — ${n.name}`)
+  return [
+    `You file one inbox item for a window-blinds business's Obsidian vault. Today is ${today}.`,
+    '',
+    'Rules:',
+    '- Extend an existing note when the item is about a customer, supplier or product already listed below (match by name, alias, phone or email). Create a note only for someone new.',
+    '- New customer notes use this shape, with status: lead and created: the date the item arrived:',
+    ...CUSTOMER_SHAPE.map((l) => `    ${l}`),
+    '- Timeline lines are "- YYYY-MM-DD — what happened". Supplier emails go under "## Correspondence" on the supplier note.',
+    '- Link notes with [[Note Name]]. Write only facts from the item; never invent prices, dates or contact details.',
+    '- If the item is ambiguous, set "review" to a one-line reason and leave "edits" empty.',
+    `- Only paths under vault/20-wiki/ or vault/30-projects/. The server moves the original to 10-raw/ as [[${raw}]]; link it from the lines you add.`,
+    '',
+    'Answer with JSON only, no prose:',
+    '{"summary": "one line", "edits": [{"path": "vault/…/Note.md", "section": "Timeline", "text": "…"}], "review": null}',
+    '',
+    'Customers:',
+    ...people,
+    '',
+    'Suppliers:',
+    ...list(vault.suppliers),
+    '',
+    'Products:',
+    ...list(vault.products),
+    '',
+    `Inbox item (${item.path}):`,
+    '"""',
+    item.body.trim(),
+    '"""',
+  ].join('\n')
+}
+
+/**
+ * A provider's raw answer → { proposal } or { error }. Accepts bare JSON, JSON
+ * in a ```json fence, or JSON with chatter around it.
+ */
+export function parseProposal(output) {
+  const s = String(output ?? '').trim()
+  const fenced = s.match(/```(?:json)?\s*\n([\s\S]*?)\n```/)
+  const candidates = [s, fenced?.[1], s.slice(s.indexOf('{'), s.lastIndexOf('}') + 1)].filter(Boolean)
+  for (const c of candidates) {
+    try {
+      const p = JSON.parse(c)
+      if (p && typeof p === 'object' && !Array.isArray(p)) {
+        return {
+          proposal: {
+            summary: typeof p.summary === 'string' ? p.summary.trim() : '',
+            edits: Array.isArray(p.edits) ? p.edits : [],
+            review: typeof p.review === 'string' && p.review.trim() ? p.review.trim() : null,
+          },
+        }
+      }
+    } catch {
+      // try the next candidate
+    }
+  }
+  return { error: s ? "the answer wasn't JSON" : 'the answer was empty' }
+}
+
+/**
+ * Problems that stop a proposal being applied: [message, …]. exists(path)
+ * says whether a note is already in the vault; a note an earlier edit of the
+ * same proposal creates counts as there for the edits after it. An empty list
+ * means apply it.
+ */
+export function checkProposal(proposal, exists) {
+  const problems = []
+  const created = new Set()
+  if (!proposal.review && !proposal.edits.length) problems.push('no edits and no review reason')
+  proposal.edits.forEach((e, k) => {
+    const at = `edit ${k + 1}`
+    if (!e || typeof e !== 'object') return problems.push(`${at} isn't an object`)
+    const p = String(e.path || '')
+    if (!WRITABLE.test(p) || p.includes('..') || /[\\:*?"<>|]/.test(p)) problems.push(`${at}: "${p}" isn't a note under vault/20-wiki/ or vault/30-projects/`)
+    if (typeof e.text !== 'string' || !e.text.trim()) problems.push(`${at}: no text`)
+    if (e.section != null && !SECTION.test(String(e.section))) problems.push(`${at}: bad section "${e.section}"`)
+    if (exists(p) || created.has(p)) return
+    if (e.section != null) problems.push(`${at}: ${p} doesn't exist, so it can't have a ## ${e.section}`)
+    if (!/^---\n[\s\S]*?\n---\n/.test(e.text || '')) problems.push(`${at}: a new note needs frontmatter`)
+    created.add(p)
+  })
+  return problems
+}
@@ -0,0 +1,135 @@
+// Pure, isomorphic iCalendar (RFC 5545) export of the measures and installs in
+// src/lib/schedule.js, for the crew's phone calendars. Events are all-day;
+// each carries the customer's address (`**Contact:**` line), the products the
+// note links to, and the access notes the Operations - Install checklist asks
+// the crew to confirm (gates, pets, parking…), plus the checklist itself on
+// installs.
+//
+// One event per customer and kind — the latest measure and the latest install,
+// done or booked — with a stable UID, `<kind>-<customer>@blinds-company`, so a
+// reschedule replaces the event in a subscribed calendar instead of adding a
+// second one. SEQUENCE counts the booked / rescheduled timeline lines, so
+// clients take the newer copy.
+
+import { appointmentsOf } from './schedule.js'
+import { section } from './parse.js'
+
+const slug = (s) =>
+  String(s)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+const unlink = (s) => String(s || '').replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (_, a, b) => b || a)
+const stamp = (iso) => iso.replace(/[-:]/g, '').replace(/\.\d+/, '')
+const day = (iso) => iso.replace(/-/g, '')
+const nextDay = (iso) => new Date(Date.parse(iso) + 86400000).toISOString().slice(0, 10)
+
+// TEXT values: backslash, semicolon, comma and newline are escaped.
+const text = (s) => String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+
+// Lines longer than 75 octets continue on the next line after a space.
+function fold(line) {
+  const out = []
+  let cur = ''
+  let bytes = 0
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length
+    if (bytes + n > (out.length ? 74 : 75)) {
+      out.push(cur)
+      cur = ''
+      bytes = 0
+    }
+    cur += ch
+    bytes += n
+  }
+  out.push(cur)
+  return out.join('\r\n ')
+}
+
+// The install SOP → { name, steps, asks, accessWords }: its numbered steps,
+// and what "access notes" means there (`asks`, the parenthesised list in the
+// step that mentions them, as match words).
+export function installChecklist(vault) {
+  const sop = vault.operations.find((n) => /install/i.test(n.name) && n.fm.type === 'sop')
+  const steps = [...String(sop?.body || '').matchAll(/^\s*\d+\.\s+(.+)$/gm)].map((m) => unlink(m[1]).trim())
+  const access = steps.find((s) => /access/i.test(s))
+  const asks = ((access || '').match(/\(([^)]+)\)/) || [, 'gates, pets, parking'])[1].trim()
+  const words = asks
+    .split(/,|\bor\b|\band\b/)
+    .map((w) => w.trim().toLowerCase().replace(/s$/, ''))
+    .filter(Boolean)
+  return { name: sop?.name || null, steps, asks, accessWords: [...new Set([...words, 'access', 'key', 'code', 'dog', 'cat', 'alarm'])] }
+}
+
+// A customer's access notes: an `**Access:**` bullet, and any line in
+// `## Notes` about one of the checklist's access words.
+export function accessNotes(c, checklist) {
+  const body = String(c.body || '')
+  const field = (body.match(/^[-*]\s*\*\*Access[^:]*:\*\*\s*(.+)$/im) || [])[1]
+  const re = new RegExp(`\\b(${checklist.accessWords.join('|')})s?\\b`, 'i')
+  const notes = section(body, 'Notes')
+    .split('\n')
+    .map((l) => l.replace(/^[-*]\s*/, '').trim())
+    .filter((l) => l && re.test(l))
+  return [field, ...notes].filter(Boolean).map((l) => unlink(l).trim())
+}
+
+// Booked / rescheduled lines for one kind, so SEQUENCE goes up with each move.
+const sequenceOf = (c, kind) =>
+  c.timeline.filter((t) => new RegExp(`\\b${kind}\\w*\\b.*\\b(booked|scheduled|rescheduled)\\b`, 'i').test(t.text)).length
+
+function eventsOf(c, vault, checklist, now) {
+  const appts = appointmentsOf(c)
+  const latest = ['measure', 'install'].map((kind) => appts.filter((a) => a.kind === kind).pop()).filter(Boolean)
+  const products = c.products.filter((p) => vault.products.some((x) => x.name === p))
+  const access = accessNotes(c, checklist)
+  return latest.map((a) => {
+    const label = a.kind === 'install' ? 'Install' : 'Measure'
+    const uid = `${a.kind}-${slug(c.filename || c.name)}@blinds-company`
+    const description = [
+      `${label} — ${c.name}${a.done ? ' (done)' : ''}`,
+      c.contact.address && `Address: ${c.contact.address}`,
+      c.contact.phones.length && `Phone: ${c.contact.phones.join(' / ')}`,
+      products.length && `Products: ${products.join(', ')}`,
+      `Access: ${access.length ? access.join(' · ') : `none noted — confirm ${checklist.asks}`}`,
+      a.kind === 'install' && checklist.steps.length && `\n${checklist.name} checklist:\n${checklist.steps.map((s, k) => `${k + 1}. ${s}`).join('\n')}`,
+    ]
+      .filter(Boolean)
+      .join('\n')
+    return [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${stamp(now)}`,
+      `SEQUENCE:${sequenceOf(c, a.kind)}`,
+      `DTSTART;VALUE=DATE:${day(a.date)}`,
+      `DTEND;VALUE=DATE:${day(nextDay(a.date))}`,
+      `SUMMARY:${text(`${label} · ${c.name}`)}`,
+      c.contact.address && `LOCATION:${text(c.contact.address)}`,
+      `DESCRIPTION:${text(description)}`,
+      `CATEGORIES:${label.toUpperCase()}`,
+      'END:VEVENT',
+    ].filter(Boolean)
+  })
+}
+
+/**
+ * An iCalendar file of every measure and install for `customers` (default:
+ * all). vault: the model with bodies (access notes come from them); now: an
+ * ISO timestamp for DTSTAMP. Returns the text, CRLF line endings.
+ */
+export function scheduleCalendar(vault, { customers = vault.customers, name = 'Blinds Company — measures & installs', now = new Date().toISOString() } = {}) {
+  const checklist = installChecklist(vault)
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Blinds Company//Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${text(name)}`,
+    ...customers.flatMap((c) => eventsOf(c, vault, checklist, now)).flat(),
+    'END:VCALENDAR',
+  ]
+  return lines.map(fold).join('\r\n') + '\r\n'
+}
@@ -0,0 +1,172 @@
+// Pure, isomorphic inbox rules — the deterministic half of "process the inbox",
+// for the drops that always look the same:
+//
+//   lead         a text, web form or email from someone new   → new customer note
+//   customer     a message from a customer we already have    → their timeline
+//   install      install notes / photos for a known customer  → their timeline
+//   supplier     an email from a supplier                     → the supplier note
+//   price-change a supplier price change                      → left for Price Watch
+//   unknown      none of the above                            → stays, > NEEDS REVIEW
+//
+// People are matched to existing notes by phone, email, name or alias
+// (duplicates.js). A name alone doesn't file a drop into someone's note: it
+// also needs an address that agrees with the note, and a phone or email the
+// note doesn't have sends it to review. classifyDrop() only decides;
+// server.mjs does the filing.
+
+import { matchCustomer } from './duplicates.js'
+import { productTerms, parsePriceChange } from './priceChange.js'
+
+const PHONE = /(?:\+?1[\s.-]?)?\(?\b(\d{3})\)?[\s.-]?(\d{3})[\s.-](\d{4})\b/g
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g
+const STREET = 'Ave|Avenue|St|Street|Rd|Road|Ct|Court|Dr|Drive|Ln|Lane|Blvd|Boulevard|Pl|Place|Way|Ter|Terrace|Cir|Circle'
+const ADDRESS = new RegExp(`\\b\\d{1,5} (?:[A-Z][a-z]+ ){1,3}(?:${STREET})\\b\\.?`)
+const PERSON = "[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?(?:[ \\t]+[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?){1,2}"
+
+// What a shopper says when they want blinds.
+const LEAD_WORDS = /\b(quote|pricing|price|estimate|measure|consult\w*|interested|blinds?|shades?|shutters?|drapes|curtains|windows?)\b/i
+const INSTALL_WORDS = /\b(install(?:ed|ation|ing|s)?|fitted|hung|after photos?)\b/i
+const IMAGE_EMBED = /!\[\[([^\]|]+\.(?:png|jpe?g|gif|webp|heic))(?:\|[^\]]*)?\]\]|!\[[^\]]*\]\(([^)\s]+)\)/gi
+
+// Inbox files are `<header>\n\n---\n\n<the original>`; the header is ours, the
+// rest is what arrived. Returns { header, text }.
+export function splitDrop(body) {
+  const m = String(body).match(/^([\s\S]*?)\n\s*---\s*\n([\s\S]*)$/)
+  return m && m[1].trim() ? { header: m[1].trim(), text: m[2].trim() } : { header: '', text: String(body).trim() }
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+const fmtPhone = (m) => `(${m[1]}) ${m[2]}-${m[3]}`
+
+// Names a message gives for its sender: a form's "Name:" field, an email's
+// "From:", "my name is …", or a signature ("- James Okafor, 555-…").
+function senderNames(text) {
+  const out = []
+  const add = (m) => m && out.push(m[1].trim())
+  add(text.match(new RegExp(`^\\s*(?:full\\s+)?name\\s*:\\s*(${PERSON})`, 'im')))
+  add(text.match(new RegExp(`^\\s*from\\s*:\\s*"?(${PERSON})`, 'im')))
+  add(text.match(new RegExp(`\\b(?:my name is|this is|i am)\\s+(${PERSON})`, 'i')))
+  const tail = text.split('\n').slice(-3).join('\n')
+  add(tail.match(new RegExp(`(?:^|[\\s"])[-—–~]\\s*(${PERSON})\\b`, 'm')))
+  return [...new Set(out)]
+}
+
+// How it arrived, from our header ("Raw text from a new lead …") or its shape.
+function channelOf(header, text) {
+  const s = `${header}\n${text.slice(0, 200)}`
+  if (/web ?form|website form|contact form|^\s*name\s*:/im.test(s)) return 'web form'
+  if (/\bemail\b|^\s*(from|subject)\s*:/im.test(s)) return 'email'
+  if (/voicemail|phone call|\bcall(ed)?\b/i.test(header)) return 'phone'
+  if (/\btext|sms|imessage/i.test(s)) return 'text'
+  return 'message'
+}
+
+// Products a lead asks about: by name, alias or the part after " - " (see
+// productTerms), or by kind ("shutters") when only one product is that kind.
+export function productsMentioned(text, products) {
+  const s = ` ${text.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `
+  const kindOf = (p) => p.name.split(/\s+-\s+/)[0].split(/\s+/).pop().toLowerCase().replace(/s$/, '')
+  return products
+    .filter((p) => {
+      if (productTerms(p).some((t) => s.includes(` ${t} `))) return true
+      const kind = kindOf(p)
+      return products.filter((q) => kindOf(q) === kind).length === 1 && new RegExp(` ${kind}s? `).test(s)
+    })
+    .map((p) => p.name)
+}
+
+// "3 front windows", "two openings" → the phrase, for the Rooms / openings line.
+function openingsOf(text) {
+  const m = text.match(/\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\s+(?:[a-z-]+\s+){0,2}(?:windows|openings|doors)\b/i)
+  return m ? m[0] : null
+}
+
+// The message as one line, cut at a word near `max` characters.
+export function summarize(text, max = 160) {
+  const s = text.replace(/^\s*(?:from|to|subject|date)\s*:.*$/gim, '').replace(/["“”]/g, '').replace(/\s+/g, ' ').trim()
+  return s.length <= max ? s : `${s.slice(0, max).replace(/\s+\S*$/, '')}…`
+}
+
+// A web form's free-text field, which says more than the whole submission.
+const formMessage = (text) => (text.match(/^\s*(?:message|comments?|details|inquiry)\s*:\s*([\s\S]+?)(?=^\s*[a-z ]+:|$(?![\s\S]))/im) || [])[1]
+
+// The capture date: the inbox filename's, the header's, or `today`.
+export function captureDate(note, today) {
+  return (
+    (note.filename.match(/^(\d{4}-\d{2}-\d{2})/) || [])[1] ||
+    (splitDrop(note.body).header.match(/captured\s+(\d{4}-\d{2}-\d{2})/i) || [])[1] ||
+    today
+  )
+}
+
+const addressKey = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+// Why a name match isn't enough to file into customer c, or null when the
+// drop's address agrees with the note. Phones and emails were tried first
+// (matchCustomer), so any left in the drop belong to someone else.
+function unconfirmed(c, sender) {
+  const other = [...sender.phones, ...sender.emails]
+  if (other.length) return `${other.join(', ')} ${other.length === 1 ? "isn't" : "aren't"} on ${c.name}'s note`
+  const theirs = addressKey(sender.address)
+  const ours = addressKey(c.contact?.address)
+  if (theirs && ours && (ours.includes(theirs) || theirs.includes(ours))) return null
+  return sender.address ? `${sender.address} isn't the address on ${c.name}'s note` : `there's no phone, email or address to confirm it's ${c.name}`
+}
+
+/**
+ * Decide what one inbox note is. vault: the model with bodies; today: YYYY-MM-DD.
+ * Returns { kind, reason, date, channel, text, summary, sender, customer?,
+ * matchedBy?, supplier?, products, openings, images }, where sender is
+ * { name, phones, emails, address } as found in the message.
+ */
+export function classifyDrop(note, vault, today) {
+  const { header, text } = splitDrop(note.body)
+  const date = captureDate(note, today)
+  const channel = channelOf(header, text)
+  const phones = [...text.matchAll(PHONE)].map(fmtPhone)
+  const emails = [...new Set(text.match(EMAIL) || [])]
+  const names = senderNames(text)
+  const sender = { name: names[0] || null, phones, emails, address: (text.replace(/\s+/g, ' ').match(ADDRESS) || [null])[0] }
+  const images = [...text.matchAll(IMAGE_EMBED)].map((m) => m[1] || m[2])
+  const base = { date, channel, text, summary: summarize(formMessage(text) || text.replace(IMAGE_EMBED, ' ')), sender, images, products: productsMentioned(text, vault.products), openings: openingsOf(text) }
+
+  // suppliers: by name or alias anywhere, or by the rep's email / email domain
+  const all = `${header}\n${text}`.toLowerCase()
+  const supplier = vault.suppliers.find((s) => {
+    if ([s.name, ...(Array.isArray(s.fm?.aliases) ? s.fm.aliases : [])].some((n) => all.includes(n.toLowerCase()))) return true
+    const rep = (s.body.match(/\*\*Contact[^:]*:\*\*\s*(.*)/) || [, ''])[1]
+    const domains = (rep.match(EMAIL) || []).map((e) => e.split('@')[1].toLowerCase())
+    return emails.some((e) => domains.includes(e.split('@')[1].toLowerCase()))
+  })
+  const install = INSTALL_WORDS.test(text) || images.length > 0
+  // install notes are ours, about a customer by name ("Marcus Bell — all 6 in")
+  const mentioned = install ? vault.customers.filter((c) => new RegExp(`\\b${escapeRe(c.name)}\\b`, 'i').test(text)) : []
+  let match =
+    matchCustomer(vault.customers, { names, phones, emails }) ||
+    (mentioned.length === 1 ? { customer: mentioned[0], by: 'name' } : null)
+  if (match?.by === 'name') {
+    const why = unconfirmed(match.customer, sender)
+    if (why) return { ...base, kind: 'unknown', customer: match.customer, matchedBy: 'name', reason: `the name matches ${match.customer.name}, but ${why} — check before filing` }
+    match = { ...match, by: 'name and address' }
+  }
+
+  if (match && install)
+    return { ...base, kind: 'install', customer: match.customer, matchedBy: match.by, reason: `install note for ${match.customer.name} (matched by ${match.by})` }
+  if (match)
+    return { ...base, kind: 'customer', customer: match.customer, matchedBy: match.by, reason: `message from ${match.customer.name} (matched by ${match.by})` }
+  if (supplier) {
+    const offered = vault.products.filter((p) => p.supplier === supplier.name)
+    if (parsePriceChange(text, offered, date).changes.length)
+      return { ...base, kind: 'price-change', supplier, reason: `${supplier.name} price change — run Price Watch to apply it` }
+    return { ...base, kind: 'supplier', supplier, reason: `email from ${supplier.name}` }
+  }
+  if (sender.name && (phones.length || emails.length || sender.address) && LEAD_WORDS.test(text))
+    return { ...base, kind: 'lead', reason: `new lead: ${sender.name}` }
+
+  const missing = !sender.name
+    ? 'no sender name found'
+    : !(phones.length || emails.length || sender.address)
+      ? `no phone, email or address for ${sender.name}`
+      : "doesn't read like a lead, a customer, an install or a supplier email"
+  return { ...base, kind: 'unknown', reason: missing }
+}
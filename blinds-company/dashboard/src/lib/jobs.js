@@ -0,0 +1,91 @@
+// Pure, isomorphic install jobs. "Start job" on a won customer writes a
+// `type: project` note in 30-projects/ whose `## Checklist` is the install SOP
+// (the Operations note ics.js reads for the crew's calendar) as Obsidian
+// tasks: the product QC its **When:** line waits for, then its numbered steps.
+// Ticking a step stamps it `✅ YYYY-MM-DD`; ticking the last one completes the
+// job, and the server moves the customer to installed.
+
+import { installChecklist } from './ics.js'
+import { appointmentsOf } from './schedule.js'
+import { keepLineEndings } from './noteEdits.js'
+
+export const JOB_STATUSES = ['active', 'done']
+
+// "Job - Robert Chen"
+export const jobName = (customer) => `Job - ${customer}`
+
+const TASK = /^([-*]\s+\[)( |x|X)(\]\s+)(.*?)(\s*✅\s*\d{4}-\d{2}-\d{2})?\s*$/
+
+/**
+ * The steps a job's checklist starts with → { name, steps }, name being the
+ * SOP note's. The **When:** line's "after product arrives and is QC-checked"
+ * goes first: nothing gets drilled before that.
+ */
+export function jobChecklist(vault) {
+  const { name, steps } = installChecklist(vault)
+  const sop = vault.operations.find((n) => n.name === name)
+  const after = (String(sop?.body || '').match(/^\*\*When:\*\*[^\n]*?\bafter\s+([^.\n]+)/im) || [])[1]?.trim()
+  const first = after && after[0].toUpperCase() + after.slice(1)
+  return { name, steps: [first, ...steps].filter(Boolean) }
+}
+
+/**
+ * The project note for customer `c`. checklist: jobChecklist(); date:
+ * YYYY-MM-DD. The install date is the customer's next booked install, if any.
+ */
+export function jobNote(c, checklist, date, vault) {
+  const install = appointmentsOf(c)
+    .filter((a) => a.kind === 'install' && !a.done)
+    .pop()
+  const products = c.products.filter((p) => vault.products.some((x) => x.name === p))
+  return [
+    '---',
+    'type: project',
+    'status: active',
+    `customer: [[${c.name}]]`,
+    `created: ${date}`,
+    'tags: [project, job]',
+    '---',
+    `# ${jobName(c.name)}`,
+    '',
+    `- **Customer:** [[${c.name}]]${c.contact?.address ? ` — ${c.contact.address}` : ''}`,
+    `- **Install:** ${install ? install.date : 'not booked yet'}`,
+    products.length > 0 && `- **Products:** ${products.map((p) => `[[${p}]]`).join(', ')}`,
+    `- **Checklist from:** [[${checklist.name}]]`,
+    '',
+    '## Checklist',
+    ...checklist.steps.map((s) => `- [ ] ${s}`),
+    '',
+    '## Log',
+    `- ${date} — job started`,
+    '',
+  ]
+    .filter((l) => l !== false)
+    .join('\n')
+}
+
+/**
+ * Tick (done) or untick step `index` (0-based) of the note's `## Checklist`.
+ * → { raw, step, steps: [{ text, done }] } with the edited note, or null
+ * when there's no such step.
+ */
+export function setJobStep(raw, index, done, date) {
+  const steps = []
+  let step = null
+  const out = keepLineEndings(raw, (s) => {
+    const lines = s.split('\n')
+    const start = lines.findIndex((l) => /^##\s+Checklist\s*$/i.test(l))
+    if (start < 0) return null
+    for (let k = start + 1; k < lines.length && !/^#{1,2}\s/.test(lines[k]); k++) {
+      const m = lines[k].match(TASK)
+      if (!m) continue
+      if (steps.length === index) {
+        lines[k] = `${m[1]}${done ? 'x' : ' '}${m[3]}${m[4]}${done ? ` ✅ ${date}` : ''}`
+        step = m[4]
+        steps.push({ text: m[4], done })
+      } else steps.push({ text: m[4], done: m[2] !== ' ' })
+    }
+    return step == null ? null : lines.join('\n')
+  })
+  return out == null ? null : { raw: out, step, steps }
+}
@@ -0,0 +1,142 @@
+// Pure, isomorphic wikilink graph: resolves every `[[link]]` (body and
+// frontmatter; attachments aside) to the note it points at — by filename, title or `aliases:`,
+// the way Obsidian does — and derives backlinks and broken links from that.
+// Plus a small force-directed layout for the Graph view.
+
+import { SEARCH_GROUPS } from './search.js'
+
+// Note groups for the graph filter — the same folder groups search uses.
+export const NOTE_GROUPS = SEARCH_GROUPS
+export const groupOf = (folder) => SEARCH_GROUPS.find((g) => g.match(folder || '')).id
+
+const key = (s) => String(s).trim().toLowerCase()
+
+// "Note#Heading|label" → "Note"; "Note.md" → "Note"
+const targetOf = (link) =>
+  link
+    .split('|')[0]
+    .split('#')[0]
+    .trim()
+    .replace(/\.md$/i, '')
+
+// Embedded or linked files (`![[photo.jpg]]`, `[[quote.pdf]]`) aren't notes:
+// they're left out of the graph, so they're never broken links.
+const ATTACHMENT = /\.(png|jpe?g|gif|svg|webp|avif|bmp|heic|pdf|mp3|m4a|wav|ogg|mp4|mov|webm|docx?|xlsx?|csv|txt)$/i
+
+// Wikilinks in frontmatter values (`supplier: [[Lutron Supply Co]]`, lists too).
+function frontmatterLinks(fm) {
+  const out = []
+  for (const v of Object.values(fm || {}))
+    for (const s of Array.isArray(v) ? v : [v]) {
+      const m = typeof s === 'string' && s.match(/^\[\[([^\]]+)\]\]$/)
+      if (m) out.push(m[1])
+    }
+  return out
+}
+
+/**
+ * notes: vault.notes (bodies not needed — parse.js keeps `links` on each note).
+ * Returns {
+ *   resolve(target) → path | null,
+ *   outgoing: Map(path → [{ target, path|null }]),
+ *   backlinks: Map(path → [sourcePath, …]),
+ *   broken: [{ from, target }],   // sorted by target, then source
+ *   edges: [{ source, target }],  // resolved, de-duplicated, no self-links
+ * }
+ */
+export function linkGraph(notes) {
+  const byKey = new Map()
+  // filenames win over titles, titles over aliases (first registration sticks)
+  const register = (k, path) => k && !byKey.has(key(k)) && byKey.set(key(k), path)
+  for (const n of notes) register(n.filename, n.path)
+  for (const n of notes) register(n.name, n.path)
+  for (const n of notes) for (const a of Array.isArray(n.fm?.aliases) ? n.fm.aliases : []) register(a, n.path)
+  const resolve = (link) => {
+    const t = targetOf(link)
+    // a path-style link ([[20-wiki/products/Roller Shades - Blackout]]) resolves by its last segment
+    return byKey.get(key(t)) ?? byKey.get(key(t.split('/').pop())) ?? null
+  }
+
+  const outgoing = new Map()
+  const backlinks = new Map(notes.map((n) => [n.path, []]))
+  const broken = []
+  const edges = []
+  for (const n of notes) {
+    const seen = new Set()
+    const out = []
+    for (const link of [...frontmatterLinks(n.fm), ...(n.links || [])]) {
+      const target = targetOf(link)
+      if (!target || ATTACHMENT.test(target) || seen.has(key(target))) continue
+      seen.add(key(target))
+      const path = resolve(target)
+      out.push({ target, path })
+      if (!path) broken.push({ from: n.path, target })
+      else if (path !== n.path && !backlinks.get(path).includes(n.path)) {
+        backlinks.get(path).push(n.path)
+        edges.push({ source: n.path, target: path })
+      }
+    }
+    outgoing.set(n.path, out)
+  }
+  broken.sort((a, b) => a.target.localeCompare(b.target) || a.from.localeCompare(b.from))
+  return { resolve, outgoing, backlinks, broken, edges }
+}
+
+/* ---------------------------- force layout -------------------------------- */
+// Deterministic start (a spiral), then `steps` rounds of: every pair repels,
+// every edge pulls like a spring, everything drifts toward the centre. Small
+// vaults only — O(n²) per step, which is nothing at a few hundred notes.
+export function layoutGraph(nodes, edges, { width = 800, height = 520, steps = 300 } = {}) {
+  const pos = nodes.map((n, i) => {
+    const a = i * 2.4
+    const r = 14 * Math.sqrt(i + 1)
+    return { id: n.path, x: width / 2 + r * Math.cos(a), y: height / 2 + r * Math.sin(a), vx: 0, vy: 0 }
+  })
+  const at = new Map(pos.map((p, i) => [p.id, i]))
+  const springs = edges.filter((e) => at.has(e.source) && at.has(e.target))
+  const ideal = Math.max(40, Math.min(110, Math.sqrt((width * height) / Math.max(nodes.length, 1)) * 0.8))
+
+  for (let s = 0; s < steps; s++) {
+    const heat = 1 - s / steps
+    for (let i = 0; i < pos.length; i++)
+      for (let j = i + 1; j < pos.length; j++) {
+        const a = pos[i]
+        const b = pos[j]
+        let dx = a.x - b.x
+        let dy = a.y - b.y
+        const d2 = Math.max(dx * dx + dy * dy, 1)
+        const f = (ideal * ideal) / d2
+        dx *= f / Math.sqrt(d2)
+        dy *= f / Math.sqrt(d2)
+        a.vx += dx
+        a.vy += dy
+        b.vx -= dx
+        b.vy -= dy
+      }
+    for (const e of springs) {
+      const a = pos[at.get(e.source)]
+      const b = pos[at.get(e.target)]
+      const dx = b.x - a.x
+      const dy = b.y - a.y
+      const d = Math.max(Math.sqrt(dx * dx + dy * dy), 1)
+      const f = (d - ideal) / d / 2
+      a.vx += dx * f
+      a.vy += dy * f
+      b.vx -= dx * f
+      b.vy -= dy * f
+    }
+    for (const p of pos) {
+      p.vx += (width / 2 - p.x) * 0.01
+      p.vy += (height / 2 - p.y) * 0.01
+      // cap the move per step, shrinking as the layout cools
+      const v = Math.sqrt(p.vx * p.vx + p.vy * p.vy)
+      const max = 2 + 20 * heat
+      const k = v > max ? max / v : 1
+      p.x = Math.min(width - 20, Math.max(20, p.x + p.vx * k))
+      p.y = Math.min(height - 20, Math.max(20, p.y + p.vy * k))
+      p.vx = 0
+      p.vy = 0
+    }
+  }
+  return new Map(pos.map((p) => [p.id, { x: p.x, y: p.y }]))
+}
@@ -0,0 +1,113 @@
+// Pure, isomorphic vault lint — the filing contract from
+// agents/workflows/process-inbox.md, checked in code:
+//
+//   inbox-empty        nothing left in 00-inbox/                     (warning)
+//   raw-filename       10-raw/ files named YYYY-MM-DD--slug.md        (error)
+//   duplicate-entity   no two customer / product / supplier notes
+//                      share a name or alias                          (error)
+//   broken-link        every [[link]] resolves to a note (attachments
+//                      like ![[photo.jpg]] aside)                     (error)
+//   no-backlink        every wiki note is linked from another note    (warning)
+//   needs-review       open `> NEEDS REVIEW` callouts                 (warning)
+//   frontmatter        the per-type schemas in schema.js              (error)
+//
+// Run by `npm run lint-vault` (lint-vault.mjs) and GET /api/lint on a vault
+// built with bodies (buildVault / the server's index).
+
+import { linkGraph } from './links.js'
+import { checkNote, isValidDate } from './schema.js'
+
+export const LINT_RULES = {
+  'inbox-empty': 'Inbox is empty',
+  'raw-filename': 'Raw files named YYYY-MM-DD--slug.md',
+  'duplicate-entity': 'No duplicate entities',
+  'broken-link': 'Links resolve',
+  'no-backlink': 'Every note has a backlink',
+  'needs-review': 'Open NEEDS REVIEW callouts',
+  frontmatter: 'Frontmatter matches its type',
+}
+
+const ENTITY_FOLDERS = ['20-wiki/customers', '20-wiki/products', '20-wiki/suppliers']
+const RAW_NAME = /^(\d{4}-\d{2}-\d{2})--[a-z0-9]+(?:-[a-z0-9]+)*\.md$/
+
+// "Garcia,  Maria." → "garcia maria"
+const normalize = (s) =>
+  String(s)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+
+// First body line (as a file line number) matching `test`, or the first body line.
+function bodyLineOf(note, test) {
+  const lines = (note.body || '').split('\n')
+  const k = lines.findIndex(test)
+  return (note.bodyLine || 1) + Math.max(k, 0)
+}
+
+/**
+ * vault: buildVault() output, bodies included.
+ * Returns { ok, errors, warnings, problems: [{ rule, level, path, line, message }] }
+ * with problems sorted by path and line. `ok` is false when there are errors.
+ */
+export function lintVault(vault) {
+  const problems = []
+  const add = (rule, level, path, line, message) => problems.push({ rule, level, path, line, message })
+  const notes = vault.notes
+
+  for (const n of vault.inbox) add('inbox-empty', 'warning', n.path, 1, 'unprocessed inbox item — file it into the wiki')
+
+  for (const n of vault.raw) {
+    const file = `${n.filename}.md`
+    const m = file.match(RAW_NAME)
+    if (!m) add('raw-filename', 'error', n.path, 1, `"${file}" should be named YYYY-MM-DD--slug.md (lowercase slug)`)
+    else if (!isValidDate(m[1])) add('raw-filename', 'error', n.path, 1, `"${m[1]}" in the filename isn't a real date`)
+  }
+
+  // names, filenames and aliases across entity notes; the second note to claim a key is flagged
+  const claimed = new Map() // key → { path, what }
+  for (const n of notes.filter((x) => ENTITY_FOLDERS.includes(x.folder))) {
+    const keys = new Map()
+    for (const a of Array.isArray(n.fm?.aliases) ? n.fm.aliases : []) keys.set(normalize(a), `alias "${a}"`)
+    keys.set(normalize(n.filename), 'name')
+    keys.set(normalize(n.name), 'name')
+    const reported = new Set()
+    for (const [key, what] of keys) {
+      const other = key && claimed.get(key)
+      if (!key || reported.has(other?.path)) continue
+      if (!other) {
+        claimed.set(key, { path: n.path, what })
+        continue
+      }
+      reported.add(other.path)
+      const theirs = other.what === 'name' ? 'the name' : `an ${other.what}`
+      const line = what === 'name' ? 1 : n.fmLines?.aliases ?? 1
+      add('duplicate-entity', 'error', n.path, line, `${what} is also ${theirs} of ${other.path} — same entity?`)
+    }
+  }
+
+  const graph = linkGraph(notes)
+  for (const b of graph.broken) {
+    const note = notes.find((n) => n.path === b.from)
+    const field = Object.keys(note.fm || {}).find((k) => String(note.fm[k]).includes(`[[${b.target}`))
+    const line = field ? note.fmLines?.[field] ?? 1 : bodyLineOf(note, (l) => l.includes(`[[${b.target}`))
+    add('broken-link', 'error', b.from, line, `[[${b.target}]] doesn't match any note's filename, title or alias`)
+  }
+
+  for (const n of notes)
+    if (/^(20-wiki|30-projects)\//.test(n.folder) && !graph.backlinks.get(n.path)?.length)
+      add('no-backlink', 'warning', n.path, 1, 'no other note links here')
+
+  for (const n of notes) {
+    const lines = (n.body || '').split('\n')
+    lines.forEach((l, k) => {
+      const m = l.match(/^\s*>\s*(?:\*\*)?NEEDS REVIEW(?:\*\*)?:?\s*(.*)$/)
+      if (m) add('needs-review', 'warning', n.path, (n.bodyLine || 1) + k, m[1] ? `needs review: ${m[1]}` : 'needs review')
+    })
+  }
+
+  for (const n of notes) for (const i of checkNote(n)) add('frontmatter', i.level, n.path, i.line, i.message)
+
+  problems.sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line || a.rule.localeCompare(b.rule))
+  const errors = problems.filter((p) => p.level === 'error').length
+  return { ok: errors === 0, errors, warnings: problems.length - errors, problems }
+}
@@ -0,0 +1,67 @@
+// Pure, isomorphic margin analytics for the Margins view: product margins
+// against the target, estimated gross margin per quoted / won customer, and
+// each product's margin over time replayed from its supplier's "Price changes"
+// log (parsed into `supplier.priceLog` by parse.js).
+
+import { priceQuote } from './quote.js'
+
+const round2 = (n) => Math.round(n * 100) / 100
+const marginOf = (sell, cost) => (sell ? (sell - cost) / sell : null)
+
+/**
+ * A product's cost and margin over time, oldest first:
+ *   [{ date, cost, margin, note, scheduled? }]
+ * Walks back from today's cost through each logged change already applied,
+ * then adds the ones still ahead (dated after `today`, or still sitting in the
+ * product's Scheduled cost change line) as scheduled points. Sell is taken as
+ * constant (the vault keeps only the current sell price).
+ */
+export function marginHistory(product, supplier, today) {
+  if (product.cost == null || !product.sell) return []
+  const log = supplier?.priceLog || []
+  const mine = log
+    .map((e) => ({ ...e, change: e.changes.find((c) => c.product === product.name) }))
+    .filter((e) => e.change)
+    .sort((a, b) => a.effective.localeCompare(b.effective))
+  const ahead = (e) => e.effective > today || e.effective === product.scheduledCost?.effective
+  const past = mine.filter((e) => !ahead(e))
+  const future = mine.filter(ahead)
+
+  const points = []
+  let cost = product.cost
+  for (const e of [...past].reverse()) {
+    points.unshift({ date: e.effective, cost, note: e.text })
+    const c = e.change
+    cost = c.pct != null ? round2(cost / (1 + c.pct / 100)) : c.from != null ? c.from : cost
+  }
+  const start = log[0]?.date || product.fm?.created
+  if (start && (!points.length || start < points[0].date)) points.unshift({ date: start, cost, note: 'baseline' })
+  if (!points.length || points[points.length - 1].date < today) points.push({ date: today, cost: product.cost, note: 'today' })
+
+  let next = product.cost
+  for (const e of future) {
+    const c = e.change
+    next = c.pct != null ? round2(next * (1 + c.pct / 100)) : c.to
+    points.push({ date: e.effective, cost: next, note: e.text, scheduled: true })
+  }
+  return points.map((p) => ({ ...p, margin: marginOf(product.sell, p.cost) }))
+}
+
+/**
+ * Estimated gross margin on a quoted / won customer:
+ *   - from the itemized `## Quote` table at today's costs, when there is one;
+ *   - otherwise the quote value at the average margin of the products the
+ *     note links to (`basis: 'linked products'`).
+ * Returns { revenue, cost, margin, basis } or null when there's nothing to go on.
+ */
+export function customerMargin(customer, products, addOns) {
+  if (customer.quote?.lines.length) {
+    const priced = priceQuote(customer.quote.lines, products, addOns)
+    const revenue = customer.quote.total
+    return { revenue, cost: priced.cost, margin: marginOf(revenue, priced.cost), basis: 'quote' }
+  }
+  const linked = products.filter((p) => customer.products.includes(p.name) && p.margin != null)
+  if (!customer.quoteValue || !linked.length) return null
+  const margin = linked.reduce((s, p) => s + p.margin, 0) / linked.length
+  return { revenue: customer.quoteValue, cost: round2(customer.quoteValue * (1 - margin)), margin, basis: 'linked products' }
+}
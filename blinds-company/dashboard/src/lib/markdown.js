@@ -0,0 +1,255 @@
+// Pure, isomorphic Obsidian-flavoured markdown → a small JSON tree the
+// dashboard renders as React elements (no HTML strings). Vault text can come
+// from web forms and the inbox, so links are the one thing to check: only
+// http(s), mailto and tel URLs become links (safeHref); `[x](javascript:…)`
+// and any other scheme stay plain text.
+//
+// Blocks: headings, paragraphs (single newlines are line breaks, as in
+// Obsidian), nested lists and `- [ ]` / `- [x]` checklists, GFM tables, fenced
+// code, rules, block quotes, and callouts — Obsidian's `> [!warning] Title` and
+// the vault's own all-caps ones (`> NEEDS REVIEW: …`, `> MARGIN ALERT: …`).
+// Inline: **bold**, *italic*, ~~strike~~, ==highlight==, `code`, [links](url),
+// bare URLs, #tags, [[wikilinks|with labels]], and images — `![alt](path)` and
+// embeds like `![[photo.jpg|300]]`.
+
+const IMAGE = /\.(png|jpe?g|gif|svg|webp|avif|bmp)$/i
+
+// The URL if it's safe to put in an href, else null.
+export const safeHref = (href) => (/^(https?:\/\/|mailto:|tel:)/i.test(String(href || '').trim()) ? String(href).trim() : null)
+
+// Obsidian callout types → the four styles the dashboard draws.
+const CALLOUT_KINDS = {
+  info: ['note', 'info', 'todo', 'abstract', 'summary', 'tldr', 'example', 'quote', 'cite'],
+  success: ['tip', 'hint', 'important', 'success', 'check', 'done'],
+  warning: ['warning', 'caution', 'attention', 'question', 'help', 'faq'],
+  danger: ['danger', 'error', 'failure', 'fail', 'missing', 'bug'],
+}
+const calloutKind = (type) =>
+  Object.keys(CALLOUT_KINDS).find((k) => CALLOUT_KINDS[k].includes(type.toLowerCase())) || 'info'
+
+/* --------------------------------- inline --------------------------------- */
+// "Target#Heading|Label" → { target, heading, label }
+function wikiParts(inner) {
+  const [ref, label] = inner.split('|')
+  const [target, heading] = ref.split('#')
+  return { target: target.trim(), heading: heading?.trim() || null, label: label?.trim() || null }
+}
+
+export function parseInline(text) {
+  const out = []
+  let buf = ''
+  const flush = () => {
+    if (buf) out.push({ type: 'text', text: buf })
+    buf = ''
+  }
+  const push = (node) => {
+    flush()
+    out.push(node)
+  }
+  let i = 0
+  while (i < text.length) {
+    const rest = text.slice(i)
+    const prev = text[i - 1]
+    let m
+    if (rest[0] === '\\' && /[\\`*_{}[\]()#+\-.!|~=>]/.test(rest[1] || '')) {
+      buf += rest[1]
+      i += 2
+      continue
+    }
+    if (rest[0] === '\n') {
+      push({ type: 'br' })
+      i++
+      continue
+    }
+    if ((m = rest.match(/^`([^`]+)`/))) push({ type: 'code', text: m[1] })
+    else if ((m = rest.match(/^!\[\[([^\]]+)\]\]/))) {
+      const { target, heading, label } = wikiParts(m[1])
+      if (IMAGE.test(target)) {
+        const [, w, h] = (label || '').match(/^(\d+)(?:x(\d+))?$/) || []
+        push({ type: 'image', src: target, alt: w ? target : label || target, width: w ? +w : null, height: h ? +h : null, embed: true })
+      } else push({ type: 'wikilink', target, heading, label, embed: true })
+    } else if ((m = rest.match(/^\[\[([^\]]+)\]\]/))) push({ type: 'wikilink', ...wikiParts(m[1]), embed: false })
+    else if ((m = rest.match(/^!\[([^\]]*)\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)/)))
+      push({ type: 'image', src: m[2], alt: m[1], width: null, height: null, embed: false })
+    else if ((m = rest.match(/^\[([^\]]+)\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)/)))
+      push(safeHref(m[2]) ? { type: 'link', href: safeHref(m[2]), children: parseInline(m[1]) } : { type: 'text', text: m[0] })
+    else if ((m = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1/)) && !(m[1] === '__' && /\w/.test(prev || '')))
+      push({ type: 'strong', children: parseInline(m[2]) })
+    else if ((m = rest.match(/^~~(?=\S)([\s\S]*?\S)~~/))) push({ type: 'del', children: parseInline(m[1]) })
+    else if ((m = rest.match(/^==(?=\S)([\s\S]*?\S)==/))) push({ type: 'mark', children: parseInline(m[1]) })
+    else if ((m = rest.match(/^([*_])(?=[^\s*_])([\s\S]*?[^\s\\])\1(?![*_\w])/)) && !(m[1] === '_' && /\w/.test(prev || '')))
+      push({ type: 'em', children: parseInline(m[2]) })
+    else if ((m = rest.match(/^#([\p{L}_][\p{L}\p{N}_/-]*)/u)) && (!prev || /\s/.test(prev)))
+      push({ type: 'tag', tag: m[1] })
+    else if ((m = rest.match(/^https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]]/)) && (!prev || /[\s(]/.test(prev)))
+      push({ type: 'link', href: m[0], children: [{ type: 'text', text: m[0] }] })
+    else {
+      buf += rest[0]
+      i++
+      continue
+    }
+    i += m[0].length
+  }
+  flush()
+  return out
+}
+
+/* --------------------------------- blocks --------------------------------- */
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)/
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/
+const QUOTE = /^\s{0,3}>/
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/
+const TABLE_DELIM = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+
+const indentOf = (line) => line.match(/^\s*/)[0].length
+
+// Split a table row on `|`, leaving `\|` and wikilink labels ([[a|b]]) alone.
+function cells(line) {
+  const s = line.trim().replace(/^\|/, '').replace(/\|$/, '')
+  const out = []
+  let cur = ''
+  let depth = 0
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i]
+    if (ch === '\\' && s[i + 1] === '|') {
+      cur += '|'
+      i++
+    } else if (s.startsWith('[[', i)) {
+      depth++
+      cur += '[['
+      i++
+    } else if (s.startsWith(']]', i) && depth) {
+      depth--
+      cur += ']]'
+      i++
+    } else if (ch === '|' && !depth) {
+      out.push(cur.trim())
+      cur = ''
+    } else cur += ch
+  }
+  out.push(cur.trim())
+  return out
+}
+
+// A line that starts a block other than a paragraph ends the paragraph.
+const startsBlock = (line, next) =>
+  FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line) ||
+  (line.includes('|') && TABLE_DELIM.test(next || '') && (next || '').includes('-'))
+
+function parseQuote(lines) {
+  const inner = lines.map((l) => l.replace(/^\s{0,3}>\s?/, ''))
+  const first = inner[0] || ''
+  let m
+  // Obsidian: > [!warning] Title   (+/- = foldable, drawn open)
+  if ((m = first.match(/^\[!([\w-]+)\][+-]?\s*(.*)$/))) {
+    const title = m[2] || m[1][0].toUpperCase() + m[1].slice(1).toLowerCase()
+    return { type: 'callout', kind: calloutKind(m[1]), title: parseInline(title), children: parseBlocks(inner.slice(1)) }
+  }
+  // This vault's alerts: > NEEDS REVIEW: which Garcia is this?   > MARGIN ALERT: …
+  if ((m = first.match(/^(?:\*\*)?([A-Z][A-Z ]{2,}[A-Z])(?:\*\*)?(?::|\s+—|\s*$)\s*(.*)$/))) {
+    const body = [m[2], ...inner.slice(1)]
+    return { type: 'callout', kind: 'warning', title: parseInline(m[1]), children: parseBlocks(m[2] ? body : inner.slice(1)) }
+  }
+  return { type: 'quote', children: parseBlocks(inner) }
+}
+
+function parseList(lines, i) {
+  const first = lines[i].match(LIST_ITEM)
+  const base = first[1].length
+  const ordered = /\d/.test(first[2])
+  const items = []
+  let item = null
+  while (i < lines.length) {
+    const line = lines[i]
+    const m = line.match(LIST_ITEM)
+    if (m && m[1].length <= base + 1 && /\d/.test(m[2]) === ordered) {
+      item = { width: m[1].length + m[2].length + 1, lines: [m[3]] }
+      items.push(item)
+      i++
+      continue
+    }
+    if (!line.trim()) {
+      // a blank line continues the item only if indented content follows
+      const next = lines.slice(i + 1).find((l) => l.trim())
+      if (!next || indentOf(next) <= base) break
+      item.lines.push('')
+      i++
+      continue
+    }
+    if (indentOf(line) > base) item.lines.push(line.slice(Math.min(indentOf(line), item.width)))
+    else if (!startsBlock(line) && item.lines[item.lines.length - 1] !== '') item.lines[item.lines.length - 1] += `\n${line.trim()}`
+    else break
+    i++
+  }
+  return {
+    i,
+    block: {
+      type: 'list',
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : null,
+      items: items.map(({ lines: body }) => {
+        const t = body[0].match(/^\[([ xX])\]\s+([\s\S]*)$/)
+        if (t) body = [t[2], ...body.slice(1)]
+        return { task: t ? t[1] !== ' ' : null, children: parseBlocks(body) }
+      }),
+    },
+  }
+}
+
+export function parseBlocks(lines) {
+  const out = []
+  let i = 0
+  while (i < lines.length) {
+    const line = lines[i]
+    let m
+    if (!line.trim()) {
+      i++
+    } else if ((m = line.match(FENCE))) {
+      const close = new RegExp(`^\\s{0,3}${m[1][0]}{${m[1].length},}\\s*$`)
+      const body = []
+      for (i++; i < lines.length && !close.test(lines[i]); i++) body.push(lines[i])
+      out.push({ type: 'code', lang: m[2] || null, text: body.join('\n') })
+      i++
+    } else if ((m = line.match(HEADING))) {
+      out.push({ type: 'heading', level: m[1].length, children: parseInline(m[2]) })
+      i++
+    } else if (RULE.test(line)) {
+      out.push({ type: 'hr' })
+      i++
+    } else if (QUOTE.test(line)) {
+      const quote = []
+      while (i < lines.length && QUOTE.test(lines[i])) quote.push(lines[i++])
+      out.push(parseQuote(quote))
+    } else if (line.includes('|') && TABLE_DELIM.test(lines[i + 1] || '') && lines[i + 1].includes('-')) {
+      const head = cells(line)
+      const align = cells(lines[i + 1]).map((c) =>
+        c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : null,
+      )
+      const rows = []
+      for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) rows.push(cells(lines[i]))
+      out.push({
+        type: 'table',
+        align: head.map((_, k) => align[k] || null),
+        head: head.map(parseInline),
+        rows: rows.map((r) => head.map((_, k) => parseInline(r[k] || ''))),
+      })
+    } else if (LIST_ITEM.test(line)) {
+      const { i: next, block } = parseList(lines, i)
+      out.push(block)
+      i = next
+    } else {
+      const para = [line.trim()]
+      for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1]); i++) para.push(lines[i].trim())
+      out.push({ type: 'paragraph', children: parseInline(para.join('\n')) })
+    }
+  }
+  return out
+}
+
+// Markdown source (a note body, frontmatter already stripped) → block nodes.
+export function parseMarkdown(src) {
+  return parseBlocks(String(src || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'))
+}
+
+export const isImage = (target) => IMAGE.test(target)
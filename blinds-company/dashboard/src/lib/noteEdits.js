@@ -0,0 +1,83 @@
+// Pure, isomorphic text edits on a note's markdown — the server's write-back
+// helpers: append to or replace a `## Section`, set a frontmatter key, drop a
+// section's line or rewrite a bullet. Notes saved on Windows have CRLF line
+// endings; every edit works on the LF text and puts the note's own endings back
+// (keepLineEndings), so a CRLF note stays CRLF and its frontmatter is still found.
+
+// Run edit(lfText) on `raw` as LF and return the result in raw's line endings.
+// A null result (nothing to edit) passes through.
+export function keepLineEndings(raw, edit) {
+  const crlf = /\r\n/.test(raw)
+  const out = edit(crlf ? raw.replace(/\r\n/g, '\n') : raw)
+  return crlf && out != null ? out.replace(/\r?\n/g, '\r\n') : out
+}
+
+// Append a line at the end of a "## Section" block. The blank line before the
+// next heading is kept; a section at the end of the file gets no extra one.
+export function insertIntoSection(body, name, line) {
+  return keepLineEndings(body, (s) => {
+    const re = new RegExp(`(^##\\s+${name}\\s*$)([\\s\\S]*?)(?=^##\\s|$(?![\\s\\S]))`, 'mi')
+    if (!re.test(s)) return s.trimEnd() + `\n\n## ${name}\n${line}\n`
+    return s.replace(re, (m, head, block, offset) => {
+      const atEnd = offset + m.length >= s.length
+      return `${head}${block.trimEnd()}\n${line}\n${atEnd ? '' : '\n'}`
+    })
+  })
+}
+
+// Replace the whole content of a "## Section" block, or add the section just
+// before `## <before>` (or at the end) if the note doesn't have one yet.
+export function replaceSection(body, name, content, before) {
+  return keepLineEndings(body, (s) => {
+    const re = new RegExp(`(^##\\s+${name}\\s*$)([\\s\\S]*?)(?=^##\\s|$(?![\\s\\S]))`, 'mi')
+    const block = `## ${name}\n${content}\n`
+    if (re.test(s)) return s.replace(re, (m, _head, _block, offset) => `${block}${offset + m.length >= s.length ? '' : '\n'}`)
+    const at = before ? s.search(new RegExp(`^##\\s+${before}\\s*$`, 'mi')) : -1
+    if (at < 0) return s.trimEnd() + `\n\n${block}`
+    return `${s.slice(0, at)}${block}\n${s.slice(at)}`
+  })
+}
+
+// Set one `key: value` line in the frontmatter, leaving every other line as-is.
+// Adds the key just before the closing `---` if it isn't there yet.
+export function setFrontmatter(raw, key, value) {
+  return keepLineEndings(raw, (s) => {
+    const m = s.match(/^---\n([\s\S]*?)\n---/)
+    if (!m) return `---\n${key}: ${value}\n---\n` + s
+    const lines = m[1].split('\n')
+    const i = lines.findIndex((l) => l.startsWith(`${key}:`))
+    if (i >= 0) lines[i] = `${key}: ${value}`
+    else lines.push(`${key}: ${value}`)
+    return `---\n${lines.join('\n')}\n---` + s.slice(m[0].length)
+  })
+}
+
+// Drop the line that matches `line` exactly inside a "## Section" block (used
+// to take back an auto-logged timeline line). Lines elsewhere — frontmatter,
+// other sections — are never touched. Returns null if the block has no such line.
+export function removeFromSection(raw, name, line) {
+  return keepLineEndings(raw, (s) => {
+    const lines = s.split('\n')
+    const start = lines.findIndex((l) => new RegExp(`^##\\s+${name}\\s*$`, 'i').test(l))
+    if (start < 0) return null
+    for (let k = start + 1; k < lines.length && !/^#{1,2}\s/.test(lines[k]); k++) {
+      if (lines[k] !== line) continue
+      lines.splice(k, 1)
+      return lines.join('\n')
+    }
+    return null
+  })
+}
+
+// Rewrite (or, with next = null, remove) the bullet whose text is exactly `text`,
+// as parseTimeline reports it. Returns null if the line is no longer there.
+export function replaceBullet(raw, text, next) {
+  return keepLineEndings(raw, (s) => {
+    const lines = s.split('\n')
+    const i = lines.findIndex((l) => /^\s*[-*]\s/.test(l) && l.trim().replace(/^[-*]\s*/, '') === text)
+    if (i < 0) return null
+    if (next == null) lines.splice(i, 1)
+    else lines[i] = `${lines[i].match(/^\s*[-*]\s*/)[0]}${next}`
+    return lines.join('\n')
+  })
+}
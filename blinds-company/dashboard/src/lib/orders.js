@@ -0,0 +1,158 @@
+// Pure, isomorphic supplier purchase orders. A won customer's quote becomes
+// one PO per supplier: the quoted products at our cost, checked against the
+// supplier's `**Terms:**` line (minimum order, free-freight threshold,
+// deposit). The server saves each PO as a `type: purchase-order` note in
+// 30-projects/ and tracks it through PO_STATUSES.
+
+import { dollars } from './quote.js'
+import { productsMentioned } from './inbox.js'
+import { leadTimeFor } from './schedule.js'
+
+export const PO_STATUSES = ['drafted', 'sent', 'confirmed', 'received']
+
+const amount = (s) => Number(String(s).replace(/[$,]/g, ''))
+
+/**
+ * "Net 30, $500 minimum order, freight free over $1,000" →
+ *   { text, minimum: 500, freeFreightOver: 1000, deposit: null, netDays: 30 }
+ * Anything the line doesn't say is null.
+ */
+export function parseTerms(text) {
+  const s = String(text || '')
+  const money = '\\$([\\d,]+(?:\\.\\d{2})?)'
+  // the first group that matched: "$500 minimum" and "minimum order $500" both work
+  const pick = (re) => (s.match(re) || []).slice(1).find((g) => g != null)
+  const minimum = pick(new RegExp(`${money}\\s*min(?:imum)?|min(?:imum)?(?:\\s+order)?(?:\\s+of)?\\s*${money}`, 'i'))
+  const freight = pick(new RegExp(`(?:free\\s+freight|freight\\s+free|free\\s+shipping|ships?\\s+free)\\s+(?:over|above|on orders over)\\s*${money}`, 'i'))
+  const deposit = pick(/(\d+)%\s*deposit/i)
+  const net = pick(/\bnet\s*(\d+)\b/i)
+  return {
+    text: s.trim(),
+    minimum: minimum != null ? amount(minimum) : null,
+    freeFreightOver: freight != null ? amount(freight) : null,
+    deposit: deposit != null ? Number(deposit) / 100 : null,
+    netDays: net != null ? Number(net) : null,
+  }
+}
+
+// What a customer ordered: the `## Quote` table's lines, else the latest
+// "quoted $X (blackout x3, shutters x2, …)" timeline line, with each part
+// matched to a product the note links to (or any product).
+// → [{ product, qty, addOns }]
+export function quotedItems(c, products) {
+  if (c.quote?.lines.length) return c.quote.lines.map((l) => ({ product: l.product, qty: l.qty, addOns: l.addOns }))
+  const line = [...c.timeline].reverse().find((t) => /quot/i.test(t.text) && /\bx\d+/.test(t.text))
+  const parts = ((line?.text.match(/\(([^)]*)\)/) || [])[1] || '').split(/,\s*/)
+  const linked = products.filter((p) => c.products.includes(p.name))
+  const items = []
+  for (const part of parts) {
+    const m = part.match(/^(.+?)\s+x(\d+)(\s+motorized)?$/i)
+    if (!m) continue
+    const [name] = productsMentioned(m[1].replace(/-/g, ' '), linked).concat(productsMentioned(m[1].replace(/-/g, ' '), products))
+    if (name) items.push({ product: name, qty: Number(m[2]), addOns: m[3] ? ['Motorization'] : [] })
+  }
+  return items
+}
+
+/**
+ * The POs a won customer's quote needs, one per supplier:
+ *   { orders: [{ supplier, supplierPath, rep, terms, leadTime, lines: [{
+ *     product, qty, options, unitCost, total }], subtotal, checks: [{ level,
+ *     message }] }], unplaced: [{ product, reason }] }
+ * Options are the add-ons bought with the product (motors, side channels);
+ * the Install add-on is crew time, not something we order. leadTime is the
+ * slowest product's part of the supplier's `**Lead times:**` line.
+ */
+export function buildPurchaseOrders(c, vault) {
+  const bySupplier = new Map()
+  const unplaced = []
+  for (const item of quotedItems(c, vault.products)) {
+    const p = vault.products.find((x) => x.name === item.product)
+    const supplier = p && vault.suppliers.find((s) => s.name === p.supplier)
+    if (!supplier || p.cost == null) {
+      unplaced.push({ product: item.product, reason: !p ? 'no product note' : !supplier ? 'no supplier' : 'no cost on the product note' })
+      continue
+    }
+    const options = item.addOns.map((n) => vault.addOns.find((a) => a.name === n)).filter((a) => a && !/install/i.test(a.name))
+    const unitCost = p.cost + options.reduce((s, a) => s + a.cost, 0)
+    const lines = bySupplier.get(supplier) || []
+    const same = lines.find((l) => l.product === p.name && l.options.join() === options.map((a) => a.name).join())
+    if (same) {
+      same.qty += item.qty
+      same.total = same.unitCost * same.qty
+    } else lines.push({ product: p.name, qty: item.qty, options: options.map((a) => a.name), unitCost, total: unitCost * item.qty })
+    bySupplier.set(supplier, lines)
+  }
+  const orders = [...bySupplier].map(([s, lines]) => {
+    const terms = parseTerms(s.terms)
+    const subtotal = lines.reduce((sum, l) => sum + l.total, 0)
+    const slowest = lines
+      .map((l) => leadTimeFor(vault.products.find((p) => p.name === l.product), s))
+      .filter(Boolean)
+      .reduce((a, b) => (!a || b.max > a.max ? b : a), null)
+    const leadTime = slowest && s.leadTimes.split(/[,;]/).find((part) => part.toLowerCase().includes(slowest.label))?.trim()
+    return { supplier: s.name, supplierPath: s.path, rep: s.rep, terms, leadTime: leadTime || null, lines, subtotal, checks: termsChecks(subtotal, terms) }
+  })
+  return { orders, unplaced }
+}
+
+// Problems and reminders for an order of `subtotal` under `terms`.
+export function termsChecks(subtotal, terms) {
+  const checks = []
+  if (terms.minimum != null && subtotal < terms.minimum)
+    checks.push({ level: 'error', message: `${dollars(subtotal)} is under the ${dollars(terms.minimum)} minimum order — add to it or combine with another job before sending` })
+  if (terms.freeFreightOver != null)
+    checks.push(
+      subtotal > terms.freeFreightOver
+        ? { level: 'ok', message: `freight free (over ${dollars(terms.freeFreightOver)})` }
+        : { level: 'warning', message: `freight charged — ${dollars(terms.freeFreightOver - subtotal)} short of free freight over ${dollars(terms.freeFreightOver)}` },
+    )
+  if (terms.deposit != null) checks.push({ level: 'info', message: `${Math.round(terms.deposit * 100)}% deposit on order: ${dollars(subtotal * terms.deposit)}` })
+  if (terms.netDays != null) checks.push({ level: 'info', message: `payment due net ${terms.netDays}` })
+  return checks
+}
+
+// "PO 2026-07-01 - Hunter Mill Shutters - Robert Chen"
+export const poName = (date, supplier, customer) => `PO ${date} - ${supplier} - ${customer}`
+
+const CHECK_MARK = { error: '⛔', warning: '⚠️', ok: '✅', info: 'ℹ️' }
+
+/**
+ * The PO note. order: one of buildPurchaseOrders().orders; c: the customer;
+ * date: YYYY-MM-DD. The `## Status` section is the status history.
+ */
+export function purchaseOrderNote(order, c, date) {
+  const rep = order.rep ? ` — ${order.rep}` : ''
+  return [
+    '---',
+    'type: purchase-order',
+    'status: drafted',
+    `supplier: [[${order.supplier}]]`,
+    `customer: [[${c.name}]]`,
+    `total: ${order.subtotal}`,
+    `created: ${date}`,
+    'tags: [purchase-order]',
+    '---',
+    `# ${poName(date, order.supplier, c.name)}`,
+    '',
+    `- **Supplier:** [[${order.supplier}]]${rep}`,
+    `- **For:** [[${c.name}]]${c.contact?.address ? ` — ${c.contact.address}` : ''}`,
+    `- **Terms:** ${order.terms.text || 'none on the supplier note'}`,
+    order.leadTime && `- **Lead time:** ${order.leadTime}`,
+    '',
+    '## Lines',
+    '| Product | Qty | Options | Unit cost | Line total |',
+    '|---|---|---|---|---|',
+    ...order.lines.map((l) => `| [[${l.product}]] | ${l.qty} | ${l.options.join(', ') || '—'} | ${dollars(l.unitCost)} | ${dollars(l.total)} |`),
+    `| **Total** | ${order.lines.reduce((s, l) => s + l.qty, 0)} | | | **${dollars(order.subtotal)}** |`,
+    '',
+    '## Terms check',
+    ...(order.checks.length ? order.checks.map((k) => `- ${CHECK_MARK[k.level]} ${k.message}`) : ['- nothing to check — the supplier note has no terms']),
+    '',
+    '## Status',
+    `- ${date} — drafted`,
+    '',
+  ]
+    .filter((l) => l != null && l !== false)
+    .join('\n')
+}
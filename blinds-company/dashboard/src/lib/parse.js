@@ -2,9 +2,13 @@
 // browser loader (src/lib/vault.js) and the Node server (server.mjs) so both
 // produce an identical vault model from the same markdown.
 
+import { parseYaml } from './yaml.js'
+
 export const STATUS_ORDER = ['lead', 'quoted', 'won', 'installed', 'warranty', 'lost']
 
 /* ----------------------------- frontmatter -------------------------------- */
+// The old line-by-line reader, kept as the fallback for frontmatter that isn't
+// valid YAML, so one bad note still shows up instead of losing its fields.
 function parseScalar(v) {
   v = v.trim()
   if (v === '') return ''
@@ -21,15 +25,42 @@ function parseScalar(v) {
   return v.replace(/^["']|["']$/g, '')
 }
 
-export function parseFrontmatter(text) {
-  const m = text.match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/)
-  if (!m) return { fm: {}, body: text }
+function parseLenient(block) {
   const fm = {}
-  for (const line of m[1].split('\n')) {
+  for (const line of block.split('\n')) {
     const mm = line.match(/^([A-Za-z0-9_]+):\s*(.*)$/)
     if (mm) fm[mm[1]] = parseScalar(mm[2])
   }
-  return { fm, body: m[2] }
+  return fm
+}
+
+/**
+ * Split a note into YAML frontmatter and body (CRLF or LF). Returns
+ *   { fm, body, fmLines, bodyLine, fmError? }
+ * where fmLines maps each top-level key to its line in the file, bodyLine is
+ * the file line the body starts on, and fmError
+ * ({ message, line }) is set when the YAML doesn't parse — fm then comes from
+ * the lenient reader above.
+ */
+export function parseFrontmatter(text) {
+  const src = String(text).replace(/\r\n?/g, '\n')
+  const m = src.match(/^---\n(?:([\s\S]*?)\n)?---[ \t]*(?:\n|$)([\s\S]*)$/)
+  if (!m) return { fm: {}, body: src, fmLines: {}, bodyLine: 1 }
+  const block = m[1] || ''
+  const bodyLine = (m[1] == null ? 0 : block.split('\n').length) + 3
+  const fmLines = {}
+  block.split('\n').forEach((line, k) => {
+    const key = line.match(/^(?:"([^"]+)"|'([^']+)'|([^\s#'"-][^:#]*?))\s*:(?:\s|$)/)
+    if (key) fmLines[key[1] ?? key[2] ?? key[3]] ??= k + 2
+  })
+  try {
+    const fm = parseYaml(block) ?? {}
+    if (typeof fm !== 'object' || Array.isArray(fm))
+      throw Object.assign(new Error('frontmatter must be "key: value" lines'), { line: 1 })
+    return { fm, body: m[2], fmLines, bodyLine }
+  } catch (e) {
+    return { fm: parseLenient(block), body: m[2], fmLines, bodyLine, fmError: { message: e.reason || e.message, line: (e.line || 1) + 1 } }
+  }
 }
 
 /* -------------------------------- helpers --------------------------------- */
@@ -66,6 +97,65 @@ export function parseTimeline(body) {
     })
 }
 
+// Follow-up lines the quote follow-up workflow writes into a timeline:
+//   2026-07-01 — DRAFT (not sent), friendly check-in: "Hi Maria, …"
+//   2026-07-02 — SENT via text, friendly check-in: "Hi Maria, …"
+const FOLLOW_UP = /^(\d{4}-\d{2}-\d{2})\s*—\s*(?:DRAFT \(not sent\)|SENT via ([\w/]+)),\s*([^:"]+):\s*"([\s\S]*)"\s*$/
+export function parseFollowUp(text) {
+  const m = text.match(FOLLOW_UP)
+  if (!m) return null
+  return { date: m[1], sent: Boolean(m[2]), channel: m[2] || null, stage: m[3].trim(), msg: m[4], text }
+}
+
+// The `- **Contact:** (555) 014-7782 / maria@example.com / 18 Linden Ave` line,
+// split on " / " into phones, emails and the rest (the address). "unknown" and
+// missing lines give empty lists.
+export function parseContact(body) {
+  const line = (String(body).match(/^[-*]\s*\*\*Contact:\*\*\s*(.*)$/im) || [])[1] || ''
+  const out = { phones: [], emails: [], address: '' }
+  for (const part of line.split(/\s+\/\s+/).map((s) => s.trim())) {
+    if (!part || /^unknown$/i.test(part)) continue
+    if (/^\S+@\S+\.\S+$/.test(part)) out.emails.push(part)
+    else if (/^[+\d\s().-]+$/.test(part) && part.replace(/\D/g, '').length >= 7) out.phones.push(part)
+    else out.address = out.address ? `${out.address} / ${part}` : part
+  }
+  return out
+}
+
+// Warranty claims, one `### <issue>` block each under `## Warranty`:
+//   ### One motor unresponsive in living room
+//   - **Product:** [[Roller Shades - Light Filtering]]
+//   - **Supplier:** [[Lutron Supply Co]]
+//   - **Opened:** 2026-06-25
+//   - **Covered:** yes — replacement motor under the Lutron warranty
+//   - **Resolution:** motor swapped, all shades tested
+//   - **Closed:** 2026-07-03
+// A claim without a `**Closed:**` date is open. `covered` is true / false /
+// null (unknown) from the first word of its line; the rest is `coverage`.
+export function parseWarrantyClaims(body) {
+  return section(body, 'Warranty')
+    .split(/^###\s+/m)
+    .slice(1)
+    .map((block) => {
+      const [head, ...rest] = block.split('\n')
+      const text = rest.join('\n')
+      const field = (k) => (text.match(new RegExp(`^[-*]\\s*\\*\\*${k}:\\*\\*[ \\t]*(.*)$`, 'im')) || [])[1]?.trim() || ''
+      const date = (k) => (field(k).match(/\d{4}-\d{2}-\d{2}/) || [null])[0]
+      const covered = field('Covered')
+      return {
+        issue: head.trim(),
+        product: stripLink(field('Product')) || null,
+        supplier: stripLink(field('Supplier')) || null,
+        opened: date('Opened'),
+        covered: /^yes\b/i.test(covered) ? true : /^no\b/i.test(covered) ? false : null,
+        coverage: covered.replace(/^(yes|no|unknown)\b\s*[—-]?\s*/i, ''),
+        resolution: field('Resolution') || null,
+        closed: date('Closed'),
+        open: !date('Closed'),
+      }
+    })
+}
+
 const MONEY = /\$[\d,]+(?:\.\d{2})?/
 export function money(text) {
   const m = text.match(MONEY)
@@ -77,6 +167,8 @@ function folderOf(path) {
   return m ? m[1] : ''
 }
 
+const stripLink = (s) => (String(s || '').match(/\[\[([^\]]+)\]\]/) || [, String(s || '')])[1]
+
 function basename(path) {
   return path.replace(/\\/g, '/').split('/').pop().replace(/\.md$/, '')
 }
@@ -92,63 +184,243 @@ export function parseCostSell(body) {
   return { cost, sell, margin }
 }
 
-/* ------------------------------- build model ------------------------------ */
-// items: [{ path, raw }]
-export function buildVault(items) {
-  const notes = items
-    .filter((it) => !it.path.endsWith('.gitkeep'))
-    .map(({ path, raw }) => {
-      const { fm, body } = parseFrontmatter(raw)
-      const filename = basename(path)
-      return {
-        path,
-        folder: folderOf(path),
-        filename,
-        name: firstHeading(body, filename),
-        fm,
-        body,
-        links: extractLinks(body),
-      }
-    })
+// `target_margin:` in the pricing note — "50%", 50 and 0.5 all mean half.
+// Price watch alerts below it; the quote builder and Margins view measure to it.
+export const DEFAULT_TARGET_MARGIN = 0.5
+export function parseTargetMargin(v) {
+  const n = parseFloat(String(v ?? '').replace('%', ''))
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_TARGET_MARGIN
+  return n > 1 ? n / 100 : n
+}
 
-  const byFolder = (f) => notes.filter((n) => n.folder === f)
+// Add-on price lines in a `type: pricing` note, same shape as a product's:
+//   - **Install (our cost / sell):** $15 / $45 per opening
+const ADD_ON = /^[-*]\s*\*\*(.+?) \(our cost \/ sell\):\*\*\s*\$([\d.,]+)\s*\/\s*\$([\d.,]+)/gm
+export function parseAddOns(body) {
+  return [...body.matchAll(ADD_ON)].map((m) => ({
+    name: m[1].trim(),
+    cost: Number(m[2].replace(/,/g, '')),
+    sell: Number(m[3].replace(/,/g, '')),
+  }))
+}
 
-  const customers = byFolder('20-wiki/customers')
-    .map((n) => {
-      const timeline = parseTimeline(n.body)
-      const quoteLine = [...timeline].reverse().find((t) => /quot/i.test(t.text))
-      return {
-        ...n,
-        status: (n.fm.status || 'lead').toLowerCase(),
-        aliases: Array.isArray(n.fm.aliases) ? n.fm.aliases : [],
-        products: n.links,
-        timeline,
-        lastActivity: timeline.reduce(
-          (acc, t) => (t.date && (!acc || t.date > acc) ? t.date : acc),
-          n.fm.created || null,
-        ),
-        quoteValue: quoteLine ? money(quoteLine.text) : null,
+// The itemized `## Quote` table the quote builder writes (src/lib/quote.js):
+//   | Opening | Product | Qty | Add-ons | Each | Line total |
+// Returns { date, lines: [{ opening, product, qty, addOns, each, total }], total }.
+export function parseQuote(body) {
+  const block = section(body, 'Quote')
+  if (!block) return null
+  const rows = block
+    .split('\n')
+    .filter((l) => l.trim().startsWith('|'))
+    .map((l) => l.trim().replace(/^\||\|$/g, '').split('|').map((c) => c.trim()))
+    .slice(2) // header + separator
+  const totalRow = rows.find((r) => /^\*\*total\*\*$/i.test(r[0]))
+  const lines = rows
+    .filter((r) => r !== totalRow && r.length >= 6)
+    .map((r) => ({
+      opening: r[0],
+      product: stripLink(r[1]),
+      qty: Number(r[2]) || 0,
+      addOns: r[3] && r[3] !== '—' ? r[3].split(/,\s*/) : [],
+      each: money(r[4]),
+      total: money(r[5]),
+    }))
+  const date = (block.match(/\d{4}-\d{2}-\d{2}/) || [null])[0]
+  return { date, lines, total: totalRow ? money(totalRow.join(' ')) : lines.reduce((s, l) => s + (l.total || 0), 0) }
+}
+
+// A cost change a supplier announced ahead of its effective date; price watch
+// applies it once the date arrives:
+//   - **Scheduled cost change:** $84.24 effective 2026-07-15 (+8%, per [[Lutron Supply Co]] email)
+const SCHEDULED = /\*\*Scheduled cost change:\*\*\s*\$([\d.,]+)\s+effective\s+(\d{4}-\d{2}-\d{2})/
+export function parseScheduledCost(body) {
+  const m = body.match(SCHEDULED)
+  return m ? { cost: Number(m[1].replace(/,/g, '')), effective: m[2] } : null
+}
+
+// One dated line of a supplier's price-changes log, as price watch writes it:
+//   - 2026-07-01 — +8% on Roller Shades - Blackout, Roller Shades - Light Filtering effective 2026-07-15; motor pricing unchanged (per supplier email)
+//   - 2026-07-01 — Plantation Shutters - Wood from $210 to $225 effective 2026-08-01 (per supplier email)
+// → { date, effective, text, changes: [{ product, pct } | { product, from, to }] }
+// Lines with no recognisable change ("baseline pricing recorded") come back
+// with no changes and just date the start of the history.
+export function parsePriceLog(body) {
+  const block = (String(body).match(/^[-*]\s*\*\*Price changes[^\n]*\n((?:[ \t]+[-*][^\n]*\n?)*)/im) || [])[1] || ''
+  return block
+    .split('\n')
+    .map((l) => l.trim().replace(/^[-*]\s*/, ''))
+    .filter((l) => /^\d{4}-\d{2}-\d{2}/.test(l))
+    .map((text) => {
+      const date = text.slice(0, 10)
+      const effective = (text.match(/effective (\d{4}-\d{2}-\d{2})/) || [, date])[1]
+      const what = text
+        .replace(/^\d{4}-\d{2}-\d{2}\s*[—-]\s*/, '')
+        .replace(/\s*\(per [^)]*\)\s*$/, '')
+      const changes = []
+      for (const part of what.split(';').map((s) => s.replace(/\s+effective \d{4}-\d{2}-\d{2}.*$/, '').trim())) {
+        let m
+        if ((m = part.match(/^([+-]?\d+(?:\.\d+)?)% on (.+)$/))) {
+          for (const product of m[2].split(/,\s*/)) changes.push({ product: product.trim(), pct: Number(m[1]) })
+        } else if ((m = part.match(/^(.+?) (?:from \$([\d.,]+) )?to \$([\d.,]+)$/))) {
+          changes.push({
+            product: m[1].trim(),
+            from: m[2] ? Number(m[2].replace(/,/g, '')) : null,
+            to: Number(m[3].replace(/,/g, '')),
+          })
+        }
       }
+      return { date, effective, text, changes }
     })
-    .sort((a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || ''))
+}
+
+/* ------------------------------- build model ------------------------------ */
+// One markdown file → the base note every collection is built from.
+export function parseNote({ path, raw }) {
+  const { fm, body, fmLines, bodyLine, fmError } = parseFrontmatter(raw)
+  const filename = basename(path)
+  return {
+    path,
+    folder: folderOf(path),
+    filename,
+    name: firstHeading(body, filename),
+    fm,
+    fmLines,
+    bodyLine,
+    ...(fmError && { fmError }),
+    body,
+    excerpt: body.replace(/^#\s+.+\n/m, '').replace(/\s+/g, ' ').trim().slice(0, 200),
+    links: extractLinks(body),
+  }
+}
+
+// Derived records are memoized on the note object, so a caller that keeps
+// parsed notes between builds (the server's index) only pays for changed files.
+function memo(cache, fn) {
+  return (n) => {
+    if (!cache.has(n)) cache.set(n, fn(n))
+    return cache.get(n)
+  }
+}
 
-  const stripLink = (s) => (String(s || '').match(/\[\[([^\]]+)\]\]/) || [, String(s || '')])[1]
-  const products = byFolder('20-wiki/products').map((n) => ({
+const toCustomer = memo(new WeakMap(), (n) => {
+  const timeline = parseTimeline(n.body)
+  // the latest "quoted $X" line; status moves ("moved quoted → won") carry no
+  // amount, and follow-up messages that mention the quote don't count
+  const quoteLine = [...timeline]
+    .reverse()
+    .find((t) => /quot/i.test(t.text) && money(t.text) != null && !parseFollowUp(t.text))
+  const followUps = timeline.map((t) => parseFollowUp(t.text)).filter(Boolean)
+  return {
     ...n,
-    supplier: stripLink(n.fm.supplier) || (n.body.match(/supplier:\s*\[\[([^\]]+)\]\]/i) || [])[1] || '',
-    ...parseCostSell(n.body),
-    marginAlert: /MARGIN ALERT/.test(n.body),
-  }))
+    status: String(n.fm.status || 'lead').toLowerCase(),
+    lostReason: n.fm.lost_reason || null,
+    aliases: Array.isArray(n.fm.aliases) ? n.fm.aliases : [],
+    contact: parseContact(n.body),
+    products: n.links,
+    timeline,
+    lastActivity: timeline.reduce(
+      (acc, t) => (t.date && (!acc || t.date > acc) ? t.date : acc),
+      n.fm.created || null,
+    ),
+    quoteValue: quoteLine ? money(quoteLine.text) : null,
+    quoteDate: quoteLine?.date || null,
+    quote: parseQuote(n.body),
+    followUps,
+    drafts: followUps.filter((f) => !f.sent),
+    claims: parseWarrantyClaims(n.body),
+  }
+})
+
+const toProduct = memo(new WeakMap(), (n) => ({
+  ...n,
+  supplier: stripLink(n.fm.supplier) || (n.body.match(/supplier:\s*\[\[([^\]]+)\]\]/i) || [])[1] || '',
+  aliases: Array.isArray(n.fm.aliases) ? n.fm.aliases : [],
+  ...parseCostSell(n.body),
+  scheduledCost: parseScheduledCost(n.body),
+  marginAlert: /MARGIN ALERT/.test(n.body),
+}))
 
+const toSupplier = memo(new WeakMap(), (n) => ({
+  ...n,
+  leadTimes: (n.body.match(/\*\*Lead times:\*\*\s*(.+)/) || [, ''])[1].trim(),
+  terms: (n.body.match(/\*\*Terms:\*\*\s*(.+)/) || [, ''])[1].trim(),
+  rep: (n.body.match(/\*\*Contact[^:]*:\*\*\s*(.+)/) || [, ''])[1].trim(),
+  warranty: (n.body.match(/\*\*Warranty:\*\*\s*(.+)/) || [, ''])[1].trim(),
+  priceLog: parsePriceLog(n.body),
+}))
+
+// Supplier purchase orders (src/lib/orders.js writes them): the `## Status`
+// section is the dated status history, newest last.
+const toOrder = memo(new WeakMap(), (n) => ({
+  ...n,
+  status: String(n.fm.status || 'drafted').toLowerCase(),
+  supplier: stripLink(n.fm.supplier),
+  customer: stripLink(n.fm.customer),
+  total: Number(n.fm.total) || 0,
+  history: section(n.body, 'Status')
+    .split('\n')
+    .map((l) => l.match(/^[-*]\s*(\d{4}-\d{2}-\d{2})\s*—\s*(.+)$/))
+    .filter(Boolean)
+    .map((m) => ({ date: m[1], text: m[2].trim() })),
+}))
+
+// Install jobs (src/lib/jobs.js writes them): the `## Checklist` tasks, each
+// with the date it was ticked ("- [x] Re-measure on site ✅ 2026-08-05").
+const toProject = memo(new WeakMap(), (n) => {
+  const steps = section(n.body, 'Checklist')
+    .split('\n')
+    .map((l) => l.match(/^[-*]\s+\[( |x|X)\]\s+(.*?)(?:\s*✅\s*(\d{4}-\d{2}-\d{2}))?\s*$/))
+    .filter(Boolean)
+    .map((m) => ({ text: m[2], done: m[1] !== ' ', date: m[3] || null }))
+  return {
+    ...n,
+    status: String(n.fm.status || 'active').toLowerCase(),
+    customer: stripLink(n.fm.customer),
+    steps,
+    progress: steps.length ? steps.filter((s) => s.done).length / steps.length : 0,
+  }
+})
+
+// Parsed notes → the vault model the dashboard draws.
+export function assembleVault(notes) {
+  const byFolder = (f) => notes.filter((n) => n.folder === f)
   return {
     notes,
-    customers,
-    products,
-    suppliers: byFolder('20-wiki/suppliers'),
+    customers: byFolder('20-wiki/customers')
+      .map(toCustomer)
+      .sort((a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || '')),
+    products: byFolder('20-wiki/products').map(toProduct),
+    suppliers: byFolder('20-wiki/suppliers').map(toSupplier),
+    addOns: notes.filter((n) => n.fm.type === 'pricing').flatMap((n) => parseAddOns(n.body)),
+    targetMargin: parseTargetMargin(notes.find((n) => n.fm.type === 'pricing' && n.fm.target_margin)?.fm.target_margin),
     operations: byFolder('20-wiki/operations'),
     marketing: byFolder('20-wiki/marketing'),
     inbox: byFolder('00-inbox'),
     raw: byFolder('10-raw'),
-    projects: byFolder('30-projects'),
+    projects: byFolder('30-projects')
+      .filter((n) => n.fm.type !== 'purchase-order')
+      .map(toProject)
+      .sort((a, b) => String(b.fm.created || '').localeCompare(String(a.fm.created || ''))),
+    orders: byFolder('30-projects')
+      .filter((n) => n.fm.type === 'purchase-order')
+      .map(toOrder)
+      .sort((a, b) => String(b.fm.created || '').localeCompare(String(a.fm.created || ''))),
+  }
+}
+
+// items: [{ path, raw }]
+export function buildVault(items) {
+  return assembleVault(items.filter((it) => !it.path.endsWith('.gitkeep')).map(parseNote))
+}
+
+// The model without note bodies (each note keeps its `excerpt`) — what the
+// dashboard loads from the server; bodies are fetched per note when shown.
+export function summarizeVault(v) {
+  const lean = (x) => {
+    if (!x || typeof x !== 'object' || !('body' in x)) return x
+    const { body: _body, ...rest } = x
+    return rest
   }
+  return Object.fromEntries(Object.entries(v).map(([k, val]) => [k, Array.isArray(val) ? val.map(lean) : val]))
 }
@@ -0,0 +1,115 @@
+// Minimal, dependency-free PDF writer — enough for text, rules and shaded boxes
+// in the two standard Helvetica faces, which every PDF viewer ships. Used for
+// customer proposals (src/lib/proposal.js); pure, returns a Uint8Array.
+//
+// Coordinates are in points from the TOP-left of the page (PDF itself counts
+// from the bottom); US Letter by default.
+
+// Helvetica advance widths (1/1000 em) for the characters proposals use; close
+// enough to right-align money columns and wrap paragraphs.
+const NARROW = { ' ': 278, ',': 278, '.': 278, ':': 278, ';': 278, i: 222, j: 222, l: 222, f: 278, t: 278, r: 333, I: 278, '(': 333, ')': 333, '-': 333, '/': 278, '|': 260, "'": 191 }
+const WIDE = { m: 833, w: 722, M: 833, W: 944, '—': 1000, '%': 889, '@': 1015 }
+const charWidth = (ch, bold) => {
+  if (NARROW[ch] != null) return NARROW[ch] + (bold && ch !== ' ' ? 55 : 0)
+  if (WIDE[ch] != null) return WIDE[ch]
+  if (/[0-9$]/.test(ch)) return 556
+  if (/[A-Z]/.test(ch)) return bold ? 722 : 667
+  return bold ? 611 : 556
+}
+export const textWidth = (str, size, bold = false) =>
+  ([...String(str)].reduce((w, ch) => w + charWidth(ch, bold), 0) * size) / 1000
+
+// Unicode → WinAnsiEncoding (the standard fonts' 8-bit code page). Anything
+// outside it degrades to a plain ASCII stand-in.
+const WIN_ANSI = { '—': 0x97, '–': 0x96, '•': 0x95, '·': 0xb7, '×': 0xd7, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '…': 0x85, '°': 0xb0 }
+const FALLBACK = { '→': '->', '←': '<-', '≈': '~', '✓': 'v' }
+function encode(str) {
+  let out = ''
+  for (const ch of String(str)) {
+    const code = ch.codePointAt(0)
+    if (ch === '\\' || ch === '(' || ch === ')') out += `\\${ch}`
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch])
+    else if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) out += ch
+    else out += FALLBACK[ch] || '?'
+  }
+  return out
+}
+
+const num = (n) => +n.toFixed(2)
+const rgb = (c) => c.map(num).join(' ')
+
+/**
+ * const pdf = createPdf()
+ * pdf.addPage()
+ * pdf.text(72, 72, 'Hello', { size: 18, bold: true })
+ * pdf.rule(72, 80, 540, 80)
+ * const bytes = pdf.toBytes()
+ */
+export function createPdf({ width = 612, height = 792 } = {}) {
+  const pages = []
+  let ops = null
+  const page = () => {
+    if (!ops) doc.addPage()
+    return ops
+  }
+
+  const doc = {
+    width,
+    height,
+    addPage() {
+      ops = []
+      pages.push(ops)
+      return doc
+    },
+    text(x, y, str, { size = 10, bold = false, color = [0.1, 0.12, 0.16], align = 'left' } = {}) {
+      const dx = align === 'right' ? textWidth(str, size, bold) : 0
+      page().push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(color)} rg ${num(x - dx)} ${num(height - y)} Td (${encode(str)}) Tj ET`,
+      )
+      return doc
+    },
+    rule(x1, y1, x2, y2, { width: w = 0.5, color = [0.8, 0.82, 0.85] } = {}) {
+      page().push(`${num(w)} w ${rgb(color)} RG ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`)
+      return doc
+    },
+    box(x, y, w, h, { color = [0.95, 0.96, 0.97] } = {}) {
+      page().push(`${rgb(color)} rg ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re f`)
+      return doc
+    },
+    get pageCount() {
+      return pages.length
+    },
+    toBytes() {
+      if (!pages.length) doc.addPage()
+      // objects: 1 catalog, 2 page tree, 3-4 fonts, then page + content per page
+      const objs = []
+      const kids = pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')
+      objs.push('<< /Type /Catalog /Pages 2 0 R >>')
+      objs.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`)
+      objs.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+      objs.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+      pages.forEach((p, i) => {
+        const stream = p.join('\n')
+        objs.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+        )
+        objs.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`)
+      })
+
+      // every character is a single byte by now, so string offsets are byte offsets
+      let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'
+      const offsets = objs.map((body, i) => {
+        const at = out.length
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`
+        return at
+      })
+      const xref = out.length
+      out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n`
+      out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('')
+      out += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+      return Uint8Array.from(out, (ch) => ch.charCodeAt(0))
+    },
+  }
+  return doc
+}
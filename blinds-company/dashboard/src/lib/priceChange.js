@@ -0,0 +1,137 @@
+// Pure, isomorphic supplier price-change parsing. Turns an email like
+//
+//   "effective July 15 our roller shade fabric pricing goes up about 8% across
+//    the blackout and light-filtering lines, motor pricing unchanged. Current
+//    quotes honored through July 14."
+//
+// into per-product cost changes with an effective date, instead of applying
+// the first N% found to every product the supplier sells.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?'
+const DATE =
+  `(\\d{4}-\\d{2}-\\d{2}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH}(?:,?\\s+\\d{4})?|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?)`
+
+const iso = (y, m, d) => `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`
+
+// "July 15", "15 Jul 2026", "7/15", "2026-07-15" → "YYYY-MM-DD". A date with no
+// year takes the reference year, rolled forward if that lands over six months
+// in the past (an email in December saying "effective January 5").
+export function parseLooseDate(text, ref) {
+  const s = String(text || '').trim().toLowerCase()
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s
+  const refYear = Number(ref.slice(0, 4))
+  let m
+  let month
+  let day
+  let year = null
+  if ((m = s.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) {
+    month = Number(m[1])
+    day = Number(m[2])
+    if (m[3]) year = Number(m[3].length === 2 ? `20${m[3]}` : m[3])
+  } else if ((m = s.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?$/))) {
+    month = MONTHS.indexOf(m[1].slice(0, 3)) + 1
+    day = Number(m[2])
+    if (m[3]) year = Number(m[3])
+  } else if ((m = s.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?(?:,?\s+(\d{4}))?$/))) {
+    month = MONTHS.indexOf(m[2].slice(0, 3)) + 1
+    day = Number(m[1])
+    if (m[3]) year = Number(m[3])
+  } else return null
+  if (!month || day < 1 || day > 31) return null
+  if (year) return iso(year, month, day)
+  const guess = iso(refYear, month, day)
+  return Date.parse(ref) - Date.parse(guess) > 183 * 86400000 ? iso(refYear + 1, month, day) : guess
+}
+
+// Lowercase, hyphens and punctuation to spaces, so "light-filtering" meets
+// "Light Filtering".
+const norm = (s) => ` ${String(s).toLowerCase().replace(/[^a-z0-9$%.]+/g, ' ').trim()} `
+
+// The phrases a product answers to: its name, the part after "Roller Shades - ",
+// and its aliases.
+export function productTerms(p) {
+  const terms = [p.name, ...(p.aliases || [])]
+  const tail = p.name.split(/\s+-\s+/)[1]
+  if (tail) terms.push(tail)
+  return [...new Set(terms.map((t) => norm(t).trim()).filter(Boolean))]
+}
+
+const mentions = (clause, p) => productTerms(p).some((t) => norm(clause).includes(` ${t} `))
+
+const EXCLUDES = /\b(unchanged|no change|not (?:affected|changing|included)|excluded|except|stays? the same|holding)\b/i
+const DOWN = /\b(down|decrease[sd]?|drops?|dropping|lower(?:ed|ing)?|cut|reduc\w*)\b/i
+const PCT = /(\d+(?:\.\d+)?)\s*%/
+const NEW_PRICE = /\b(?:now|to|new (?:cost|price) (?:of|is)?|at)\s*\$([\d,]+(?:\.\d{1,2})?)/i
+
+/**
+ * Parse a supplier price-change note.
+ *   text      the email / note body
+ *   products  that supplier's products: [{ name, aliases, cost }]
+ *   ref       fallback "today" (YYYY-MM-DD) when the note carries no date
+ *
+ * Returns { received, effective, honoredThrough, changes, exclusions }, where
+ * changes is one entry per affected product:
+ *   { name, oldCost, newCost, pct, kind: 'percent' | 'price', clause }
+ * A percent clause that names no product applies to all of them; an explicit
+ * "$X" price for a product wins over a percentage; an "unchanged" clause
+ * removes whatever products it names.
+ */
+export function parsePriceChange(text, products, ref) {
+  const received = (text.match(/\d{4}-\d{2}-\d{2}/) || [ref])[0]
+  const dateAfter = (re) => {
+    const m = text.match(new RegExp(`${re}\\s+(?:on\\s+)?${DATE}`, 'i'))
+    return m ? parseLooseDate(m[1], received) : null
+  }
+  const effective = dateAfter('effective')
+  const honoredThrough = dateAfter('honou?red\\s+(?:through|thru|until)')
+
+  // Clauses: each sentence is cut at commas, and a part with a % or $ starts a
+  // new clause; parts without one ("across the blackout lines") belong to the
+  // clause around them. "Unchanged" parts are exclusions.
+  const exclusions = []
+  const clauses = []
+  for (const sentence of text.replace(/["“”]/g, ' ').split(/[.;!?](?!\d)|\n\s*\n/)) {
+    let open = null
+    let lead = ''
+    for (const raw of sentence.split(/,(?!\d)/)) {
+      const part = raw.replace(/\s+/g, ' ').trim()
+      if (!part) continue
+      if (EXCLUDES.test(part) && !PCT.test(part)) {
+        if (!/lead time/i.test(part)) exclusions.push(part)
+      } else if (PCT.test(part) || NEW_PRICE.test(part)) {
+        open = `${lead}${part}`
+        lead = ''
+        clauses.push(open)
+      } else if (open != null) {
+        open = clauses[clauses.length - 1] = `${open}, ${part}`
+      } else lead += `${part}, `
+    }
+  }
+
+  const byName = new Map()
+  const excluded = new Set()
+  for (const clause of exclusions) for (const p of products) if (mentions(clause, p)) excluded.add(p.name)
+  for (const clause of clauses) {
+    const named = products.filter((p) => mentions(clause, p))
+    const price = clause.match(NEW_PRICE)
+    if (price && named.length === 1) {
+      const p = named[0]
+      const newCost = Number(price[1].replace(/,/g, ''))
+      const pct = p.cost ? +(((newCost - p.cost) / p.cost) * 100).toFixed(1) : null
+      byName.set(p.name, { name: p.name, oldCost: p.cost, newCost, pct, kind: 'price', clause })
+      continue
+    }
+    const pm = clause.match(PCT)
+    if (!pm) continue
+    const pct = Number(pm[1]) * (DOWN.test(clause) ? -1 : 1)
+    for (const p of named.length ? named : products) {
+      if (p.cost == null || byName.get(p.name)?.kind === 'price') continue
+      const newCost = Math.round(p.cost * (1 + pct / 100) * 100) / 100
+      byName.set(p.name, { name: p.name, oldCost: p.cost, newCost, pct, kind: 'percent', clause })
+    }
+  }
+
+  const changes = [...byName.values()].filter((c) => !excluded.has(c.name))
+  return { received, effective, honoredThrough, changes, exclusions }
+}
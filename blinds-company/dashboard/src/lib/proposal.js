@@ -0,0 +1,272 @@
+// Customer proposal: the priced `## Quote` table plus what the customer needs
+// to decide on it — product descriptions from the linked product notes, lead
+// times from the supplier notes, and the terms in the `type: terms` note.
+// Pure, isomorphic; the server renders it as a printable HTML page and as a
+// PDF (src/lib/pdf.js) so nobody retypes a quote into a document.
+
+import { createPdf, textWidth } from './pdf.js'
+
+const unlink = (s) => String(s || '').replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (_, a, b) => b || a)
+const FIELD = /^[-*]\s*\*\*(.+?):\*\*\s*(.+)$/gm
+function field(body, label) {
+  const m = String(body || '').match(new RegExp(`^[-*]\\s*\\*\\*${label}:\\*\\*\\s*(.+)$`, 'mi'))
+  const v = m ? unlink(m[1]).trim() : ''
+  return /^unknown$/i.test(v) ? '' : v
+}
+
+const fmt = (n) => n.toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+const addDays = (iso, n) => new Date(Date.parse(iso) + n * 86400000).toISOString().slice(0, 10)
+const longDate = (iso) =>
+  new Date(`${iso}T12:00:00Z`).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+
+/**
+ * Everything a proposal prints, or null when the customer has no `## Quote`.
+ *   customer  a vault.customers entry
+ *   vault     the buildVault() model (products, suppliers, operations)
+ *   date      proposal date, YYYY-MM-DD
+ */
+export function buildProposal(customer, vault, date) {
+  if (!customer.quote?.lines.length) return null
+  const termsNote = vault.operations.find((n) => n.fm.type === 'terms')
+  const terms = termsNote ? [...termsNote.body.matchAll(FIELD)].map((m) => ({ label: m[1], text: unlink(m[2]) })) : []
+  const validDays = Number((terms.find((t) => /valid/i.test(t.label))?.text.match(/(\d+)\s*days/) || [])[1]) || 30
+
+  const products = [...new Set(customer.quote.lines.map((l) => l.product))].map((name) => {
+    const p = vault.products.find((x) => x.name === name)
+    const s = p && vault.suppliers.find((x) => x.filename === p.supplier || x.name === p.supplier)
+    return {
+      name,
+      useCase: field(p?.body, 'Use case'),
+      finishes: field(p?.body, 'Fabrics / finishes'),
+      // the supplier note has the current lead times; the product's line is the fallback
+      leadTime: field(s?.body, 'Lead times') || field(p?.body, 'Lead time'),
+    }
+  })
+
+  return {
+    business: {
+      name: termsNote?.fm.business || 'Blinds Company',
+      contact: [termsNote?.fm.phone, termsNote?.fm.email].filter(Boolean).join(' · '),
+    },
+    date,
+    validUntil: addDays(date, validDays),
+    customer: { name: customer.name, contact: field(customer.body, 'Contact') },
+    quoteDate: customer.quote.date,
+    lines: customer.quote.lines,
+    openings: customer.quote.lines.reduce((s, l) => s + l.qty, 0),
+    total: customer.quote.total,
+    products,
+    terms,
+  }
+}
+
+/* ---------------------------------- HTML ---------------------------------- */
+const esc = (s) =>
+  String(s ?? '').replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch])
+
+// A standalone page: prints cleanly (the toolbar hides), `pdfUrl` links the PDF.
+export function proposalHtml(m, { pdfUrl } = {}) {
+  const rows = m.lines
+    .map(
+      (l) => `<tr><td>${esc(l.opening)}</td><td>${esc(l.product)}${
+        l.addOns.length ? `<div class="sub">+ ${esc(l.addOns.join(', '))}</div>` : ''
+      }</td><td class="n">${l.qty}</td><td class="n">${fmt(l.each)}</td><td class="n">${fmt(l.total)}</td></tr>`,
+    )
+    .join('\n')
+  const products = m.products
+    .map(
+      (p) => `<div class="product"><h3>${esc(p.name)}</h3>${[
+        ['Best for', p.useCase],
+        ['Fabrics / finishes', p.finishes],
+        ['Lead time', p.leadTime],
+      ]
+        .filter(([, v]) => v)
+        .map(([k, v]) => `<div><b>${k}:</b> ${esc(v)}</div>`)
+        .join('')}</div>`,
+    )
+    .join('\n')
+  const terms = m.terms.map((t) => `<li><b>${esc(t.label)}:</b> ${esc(t.text)}</li>`).join('\n')
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Proposal — ${esc(m.customer.name)} — ${m.date}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #e2e8f0; color: #1e293b; font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; }
+  .page { max-width: 8.5in; margin: 24px auto; padding: 0.75in; background: #fff; box-shadow: 0 2px 12px rgb(0 0 0 / 0.12); }
+  .toolbar { max-width: 8.5in; margin: 16px auto 0; display: flex; gap: 8px; justify-content: flex-end; }
+  .toolbar a, .toolbar button { font: inherit; padding: 6px 14px; border-radius: 8px; border: 1px solid #94a3b8; background: #fff; color: #0f172a; cursor: pointer; text-decoration: none; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid #0ea5e9; padding-bottom: 12px; }
+  header h1 { margin: 0; font-size: 24px; }
+  .muted, .sub { color: #64748b; font-size: 12px; }
+  .doc { text-align: right; }
+  .doc .label { font-size: 12px; letter-spacing: 0.12em; color: #0ea5e9; font-weight: 700; }
+  h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.08em; color: #475569; margin: 28px 0 8px; }
+  table { width: 100%; border-collapse: collapse; }
+  th { text-align: left; font-size: 12px; color: #475569; background: #f1f5f9; padding: 6px 8px; }
+  td { padding: 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  .n { text-align: right; white-space: nowrap; }
+  tfoot td { font-weight: 700; font-size: 16px; border-bottom: none; }
+  .product { margin-bottom: 12px; }
+  .product h3 { margin: 0 0 2px; font-size: 14px; }
+  ul { padding-left: 18px; margin: 0; }
+  footer { margin-top: 36px; font-size: 12px; color: #64748b; }
+  @media print {
+    body { background: #fff; }
+    .toolbar { display: none; }
+    .page { margin: 0; padding: 0; box-shadow: none; max-width: none; }
+  }
+</style>
+</head>
+<body>
+<div class="toolbar">
+  <button onclick="window.print()">Print</button>
+  ${pdfUrl ? `<a href="${esc(pdfUrl)}">Download PDF</a>` : ''}
+</div>
+<div class="page">
+  <header>
+    <div><h1>${esc(m.business.name)}</h1><div class="muted">${esc(m.business.contact)}</div></div>
+    <div class="doc"><div class="label">PROPOSAL</div><div>${longDate(m.date)}</div><div class="muted">Valid until ${longDate(m.validUntil)}</div></div>
+  </header>
+
+  <h2>Prepared for</h2>
+  <div><b>${esc(m.customer.name)}</b></div>
+  ${m.customer.contact ? `<div class="muted">${esc(m.customer.contact)}</div>` : ''}
+
+  <h2>Your windows</h2>
+  <table>
+    <thead><tr><th>Opening</th><th>Product</th><th class="n">Qty</th><th class="n">Each</th><th class="n">Total</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+    <tfoot><tr><td colspan="2">Total · ${m.openings} opening${m.openings === 1 ? '' : 's'}</td><td></td><td></td><td class="n">${fmt(m.total)}</td></tr></tfoot>
+  </table>
+
+  <h2>The products</h2>
+${products}
+
+  ${terms ? `<h2>Terms</h2>\n  <ul>\n${terms}\n  </ul>` : ''}
+
+  <footer>Thank you for considering ${esc(m.business.name)}. Questions about anything here? Just reply or call — we're happy to walk through it.</footer>
+</div>
+</body>
+</html>
+`
+}
+
+/* ----------------------------------- PDF ---------------------------------- */
+// Greedy word wrap to a width in points.
+function wrap(text, width, size, bold) {
+  const lines = []
+  let line = ''
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word
+    if (line && textWidth(next, size, bold) > width) {
+      lines.push(line)
+      line = word
+    } else line = next
+  }
+  if (line) lines.push(line)
+  return lines.length ? lines : ['']
+}
+
+const INK = [0.12, 0.16, 0.23]
+const MUTED = [0.39, 0.45, 0.55]
+const ACCENT = [0.05, 0.65, 0.91]
+
+// Same content as proposalHtml, laid out on US Letter pages.
+export function proposalPdf(m) {
+  const pdf = createPdf()
+  const L = 54
+  const R = pdf.width - 54
+  const BOTTOM = pdf.height - 54
+  let y = 54
+  pdf.addPage()
+  const ensure = (h) => {
+    if (y + h <= BOTTOM) return
+    pdf.addPage()
+    y = 54
+  }
+  const heading = (text) => {
+    ensure(40)
+    y += 22
+    pdf.text(L, y, text.toUpperCase(), { size: 9, bold: true, color: MUTED })
+    y += 8
+  }
+  const para = (text, { size = 10, bold = false, color = INK, indent = 0 } = {}) => {
+    for (const line of wrap(text, R - L - indent, size, bold)) {
+      ensure(size + 4)
+      y += size + 4
+      pdf.text(L + indent, y, line, { size, bold, color })
+    }
+  }
+
+  // header
+  pdf.text(L, y + 18, m.business.name, { size: 20, bold: true })
+  pdf.text(L, y + 34, m.business.contact, { size: 9, color: MUTED })
+  pdf.text(R, y + 12, 'PROPOSAL', { size: 9, bold: true, color: ACCENT, align: 'right' })
+  pdf.text(R, y + 26, longDate(m.date), { size: 10, align: 'right' })
+  pdf.text(R, y + 39, `Valid until ${longDate(m.validUntil)}`, { size: 9, color: MUTED, align: 'right' })
+  y += 48
+  pdf.rule(L, y, R, y, { width: 2.5, color: ACCENT })
+
+  heading('Prepared for')
+  para(m.customer.name, { size: 11, bold: true })
+  if (m.customer.contact) para(m.customer.contact, { size: 9, color: MUTED })
+
+  // line items
+  heading('Your windows')
+  const col = { opening: L + 6, product: L + 150, qty: R - 150, each: R - 80, total: R - 6 }
+  ensure(40)
+  pdf.box(L, y + 4, R - L, 18)
+  const th = (x, t, align) => pdf.text(x, y + 16, t, { size: 8.5, bold: true, color: MUTED, align })
+  th(col.opening, 'Opening')
+  th(col.product, 'Product')
+  th(col.qty, 'Qty', 'right')
+  th(col.each, 'Each', 'right')
+  th(col.total, 'Total', 'right')
+  y += 22
+  for (const l of m.lines) {
+    const opening = wrap(l.opening, col.product - col.opening - 10, 10)
+    const product = wrap(l.product, col.qty - col.product - 40, 10)
+    const extras = l.addOns.length ? wrap(`+ ${l.addOns.join(', ')}`, col.qty - col.product - 40, 8.5) : []
+    const h = Math.max(opening.length, product.length + extras.length) * 13 + 8
+    ensure(h)
+    const top = y + 14
+    opening.forEach((t, i) => pdf.text(col.opening, top + i * 13, t, { size: 10 }))
+    product.forEach((t, i) => pdf.text(col.product, top + i * 13, t, { size: 10 }))
+    extras.forEach((t, i) => pdf.text(col.product, top + (product.length + i) * 13, t, { size: 8.5, color: MUTED }))
+    pdf.text(col.qty, top, String(l.qty), { size: 10, align: 'right' })
+    pdf.text(col.each, top, fmt(l.each), { size: 10, align: 'right' })
+    pdf.text(col.total, top, fmt(l.total), { size: 10, align: 'right' })
+    y += h
+    pdf.rule(L, y, R, y)
+  }
+  ensure(28)
+  pdf.text(col.opening, y + 20, `Total · ${m.openings} opening${m.openings === 1 ? '' : 's'}`, { size: 12, bold: true })
+  pdf.text(col.total, y + 20, fmt(m.total), { size: 12, bold: true, align: 'right' })
+  y += 28
+
+  heading('The products')
+  for (const p of m.products) {
+    ensure(30)
+    y += 6
+    para(p.name, { size: 11, bold: true })
+    if (p.useCase) para(`Best for: ${p.useCase}`, { size: 9.5 })
+    if (p.finishes) para(`Fabrics / finishes: ${p.finishes}`, { size: 9.5 })
+    if (p.leadTime) para(`Lead time: ${p.leadTime}`, { size: 9.5 })
+  }
+
+  if (m.terms.length) {
+    heading('Terms')
+    for (const t of m.terms) para(`•  ${t.label}: ${t.text}`, { size: 9.5 })
+  }
+
+  y += 14
+  para(
+    `Thank you for considering ${m.business.name}. Questions about anything here? Just reply or call — we're happy to walk through it.`,
+    { size: 9, color: MUTED },
+  )
+  return pdf.toBytes()
+}
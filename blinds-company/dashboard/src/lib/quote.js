@@ -0,0 +1,80 @@
+// Pure, isomorphic quote pricing. The quote builder in the customer drawer
+// prices live with it, and the server prices the same lines again before it
+// writes the `## Quote` table, so the note never trusts browser totals.
+
+// "$2,140.00" — the amount format quote lines use everywhere in the vault.
+export const dollars = (n) =>
+  `$${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+// "49.5%" — a margin to one decimal, rounded down, so a quote under the
+// target margin never reads as on it (49.57% isn't "50%").
+export const marginPct = (m) => `${(Math.floor(m * 1000 + 1e-9) / 10).toFixed(1)}%`
+
+/**
+ * lines:    [{ opening, product, qty, addOns: [name] }] as picked in the builder
+ * products: vault.products (cost / sell per opening from parseCostSell)
+ * addOns:   vault.addOns ({ name, cost, sell } per opening)
+ *
+ * Returns { lines, openings, total, cost, margin } with each line priced as
+ * { opening, product, qty, addOns, each, unitCost, total, cost }.
+ */
+export function priceQuote(lines, products, addOns) {
+  const priced = lines
+    .filter((l) => l.product && Number(l.qty) > 0)
+    .map((l) => {
+      const p = products.find((x) => x.name === l.product)
+      const extras = (l.addOns || []).map((n) => addOns.find((a) => a.name === n)).filter(Boolean)
+      const qty = Math.round(Number(l.qty))
+      const each = (p?.sell || 0) + extras.reduce((s, a) => s + a.sell, 0)
+      const unitCost = (p?.cost || 0) + extras.reduce((s, a) => s + a.cost, 0)
+      return {
+        opening: String(l.opening || '').replace(/\|/g, '/').replace(/\s+/g, ' ').trim() || '—',
+        product: l.product,
+        qty,
+        addOns: extras.map((a) => a.name),
+        each,
+        unitCost,
+        total: each * qty,
+        cost: unitCost * qty,
+      }
+    })
+  const total = priced.reduce((s, l) => s + l.total, 0)
+  const cost = priced.reduce((s, l) => s + l.cost, 0)
+  return {
+    lines: priced,
+    openings: priced.reduce((s, l) => s + l.qty, 0),
+    total,
+    cost,
+    margin: total ? (total - cost) / total : null,
+  }
+}
+
+// Body of the `## Quote` section (parse.js parseQuote reads it back).
+export function quoteTable(q, date) {
+  return [
+    `_Quoted ${date} · ${q.openings} opening${q.openings === 1 ? '' : 's'} · blended margin ${marginPct(q.margin || 0)}_`,
+    '',
+    '| Opening | Product | Qty | Add-ons | Each | Line total |',
+    '|---|---|---|---|---|---|',
+    ...q.lines.map(
+      (l) => `| ${l.opening} | [[${l.product}]] | ${l.qty} | ${l.addOns.join(', ') || '—'} | ${dollars(l.each)} | ${dollars(l.total)} |`,
+    ),
+    `| **Total** | | ${q.openings} | | | **${dollars(q.total)}** |`,
+  ].join('\n')
+}
+
+// The standard timeline wording, e.g.
+//   quoted **$2,140.00** (blackout x3, light-filtering x3, install incl.)
+export function quoteTimelineText(q) {
+  const byProduct = new Map()
+  for (const l of q.lines) {
+    const g = byProduct.get(l.product) || { qty: 0, motorized: true }
+    g.qty += l.qty
+    g.motorized = g.motorized && l.addOns.includes('Motorization')
+    byProduct.set(l.product, g)
+  }
+  const short = (name) => (name.split(/\s+-\s+/)[1] || name).toLowerCase().replace(/\s+/g, '-')
+  const parts = [...byProduct].map(([name, g]) => `${short(name)} x${g.qty}${g.motorized ? ' motorized' : ''}`)
+  if (q.lines.length && q.lines.every((l) => l.addOns.includes('Install'))) parts.push('install incl.')
+  return `quoted **${dollars(q.total)}** (${parts.join(', ')})`
+}
@@ -0,0 +1,178 @@
+// Pure, isomorphic install schedule for the Schedule tab. Appointments come
+// from a customer's `install_date:` / `measure_date:` frontmatter, else from
+// timeline lines ("measured: 5 openings", "install booked for 2026-07-28").
+// Each booked install is checked against the order date plus the lead time
+// on the supplier's `**Lead times:**` line (`supplier.leadTimes`, parse.js).
+
+export const APPOINTMENT_FIELDS = { measure: 'measure_date', install: 'install_date' }
+
+const ISO = /\d{4}-\d{2}-\d{2}/
+const DAY = 86400000
+
+export const addDays = (iso, n) => new Date(Date.parse(iso) + n * DAY).toISOString().slice(0, 10)
+// The first of the month `n` months from the one holding `iso`.
+export function addMonths(iso, n) {
+  const d = new Date(Date.parse(iso))
+  d.setUTCMonth(d.getUTCMonth() + n, 1)
+  return d.toISOString().slice(0, 10)
+}
+const dayOfWeek = (iso) => (new Date(Date.parse(iso)).getUTCDay() + 6) % 7 // Monday = 0
+
+// The text of a timeline line after its "YYYY-MM-DD — ".
+const what = (t) => t.text.replace(/^\d{4}-\d{2}-\d{2}\s*—\s*/, '')
+
+// Timeline appointments: past-tense lines are done on their own date; a
+// "booked / scheduled / rescheduled … <date>" line books the last date it names.
+function fromTimeline(c) {
+  const out = []
+  for (const t of c.timeline) {
+    const s = what(t).replace(/\*\*/g, '')
+    const kind = /\binstall/i.test(s) ? 'install' : /\bmeasur/i.test(s) ? 'measure' : null
+    if (!kind || !t.date) continue
+    if (/^(installed|measured)\b/i.test(s)) out.push({ kind, date: t.date, done: true })
+    else if (/\b(booked|scheduled|rescheduled|set)\b/i.test(s)) {
+      const dates = s.match(new RegExp(ISO.source, 'g'))
+      if (dates) out.push({ kind, date: dates[dates.length - 1], done: false })
+    }
+  }
+  return out
+}
+
+/**
+ * A customer's appointments, oldest first:
+ *   [{ customer, path, kind: 'measure' | 'install', date, done, source }]
+ * The frontmatter date replaces a booking found in the timeline (it's the one
+ * the Schedule tab writes); done visits stay as history.
+ */
+export function appointmentsOf(c) {
+  const timeline = fromTimeline(c)
+  const out = []
+  for (const [kind, field] of Object.entries(APPOINTMENT_FIELDS)) {
+    const booked = ISO.test(String(c.fm?.[field] || '')) ? String(c.fm[field]) : null
+    const mine = timeline.filter((a) => a.kind === kind)
+    const done = mine.filter((a) => a.done)
+    for (const a of done) out.push({ ...a, source: 'timeline' })
+    if (booked) {
+      if (!done.some((a) => a.date === booked)) out.push({ kind, date: booked, done: false, source: 'frontmatter' })
+    } else {
+      // only the latest booking counts; earlier ones were rescheduled
+      const last = mine.filter((a) => !a.done).pop()
+      if (last && !done.some((a) => a.date >= last.date)) out.push({ ...last, source: 'timeline' })
+    }
+  }
+  return out
+    .map((a) => ({ customer: c.name, path: c.path, ...a }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+/**
+ * "5–7 weeks (custom wood), 4 weeks (composite)" →
+ *   [{ label: 'custom wood', min: 35, max: 49 }, { label: 'composite', min: 28, max: 28 }]
+ * in days. Parts without a number are skipped.
+ */
+export function parseLeadTimes(text) {
+  return String(text || '')
+    .split(/[,;]/)
+    .map((part) => {
+      const m = part.match(/(\d+)\s*(?:[–-]\s*(\d+))?\s*(weeks?|wks?|days?)/i)
+      if (!m) return null
+      const unit = /^d/i.test(m[3]) ? 1 : 7
+      const label = part.replace(m[0], '').replace(/[()]/g, '').trim().toLowerCase()
+      return { label, min: +m[1] * unit, max: +(m[2] || m[1]) * unit }
+    })
+    .filter(Boolean)
+}
+
+// The lead time that applies to a product: the part whose label names it
+// ("custom wood" → "Plantation Shutters - Wood"), else the standard one, else
+// the first.
+export function leadTimeFor(product, supplier) {
+  const options = parseLeadTimes(supplier?.leadTimes)
+  const name = [product.name, ...(product.aliases || [])].join(' ').toLowerCase()
+  const generic = new Set(['standard', 'custom', 'typical', 'usually'])
+  return (
+    options.find((o) => o.label.split(/\s+/).some((w) => w.length > 3 && !generic.has(w) && name.includes(w))) ||
+    options.find((o) => /standard/.test(o.label)) ||
+    options[0] ||
+    null
+  )
+}
+
+// The date the order went in: `order_date:`, else the latest timeline line
+// about an order or deposit.
+export function orderDateOf(c) {
+  if (ISO.test(String(c.fm?.order_date || ''))) return String(c.fm.order_date)
+  const line = [...c.timeline].reverse().find((t) => t.date && /\border(ed| placed)\b|\bdeposit paid\b/i.test(what(t)))
+  return line?.date || null
+}
+
+/**
+ * Can an install on `date` happen? Looks up the lead time of every product
+ * the customer links to through its supplier.
+ *   { orderDate, earliest, likely, leadTimes: [{ product, supplier, label,
+ *     min, max }], level: 'early' | 'tight' | null, message }
+ * 'early': before the order date plus the shortest lead time (the blinds can't
+ * be in yet); 'tight': before the longest. Nothing to check without an order
+ * date or a lead time.
+ */
+export function installCheck(c, vault, date) {
+  const orderDate = orderDateOf(c)
+  const leadTimes = c.products
+    .map((name) => vault.products.find((p) => p.name === name))
+    .filter(Boolean)
+    .map((p) => {
+      const supplier = vault.suppliers.find((s) => s.name === p.supplier)
+      const lt = leadTimeFor(p, supplier)
+      return lt && { product: p.name, supplier: supplier.name, ...lt }
+    })
+    .filter(Boolean)
+  if (!orderDate || !leadTimes.length) return { orderDate, earliest: null, likely: null, leadTimes, level: null, message: null }
+  const earliest = addDays(orderDate, Math.max(...leadTimes.map((l) => l.min)))
+  const likely = addDays(orderDate, Math.max(...leadTimes.map((l) => l.max)))
+  const slowest = leadTimes.reduce((a, b) => (b.max > a.max ? b : a))
+  const weeks = (d) => (d % 7 ? `${d} days` : `${d / 7} weeks`)
+  const range = slowest.min === slowest.max ? weeks(slowest.max) : `${weeks(slowest.min).split(' ')[0]}–${weeks(slowest.max)}`
+  const why = `ordered ${orderDate}; ${slowest.product} takes ${range} from ${slowest.supplier}`
+  const level = !date ? null : date < earliest ? 'early' : date < likely ? 'tight' : null
+  const message =
+    level === 'early'
+      ? `Before the order can arrive (${why}, so ${earliest} at the soonest).`
+      : level === 'tight'
+        ? `Tight: ${why}, so it may not be in until ${likely}.`
+        : null
+  return { orderDate, earliest, likely, leadTimes, level, message }
+}
+
+/**
+ * The whole schedule: { appointments, toSchedule }. Each appointment carries
+ * `check` (installCheck) when it's an install still to come; toSchedule lists
+ * won customers with no install booked yet, with the date their order should
+ * be in by.
+ */
+export function buildSchedule(vault) {
+  const appointments = []
+  const toSchedule = []
+  for (const c of vault.customers) {
+    const mine = appointmentsOf(c)
+    for (const a of mine)
+      appointments.push(a.kind === 'install' && !a.done ? { ...a, check: installCheck(c, vault, a.date) } : a)
+    if (c.status === 'won' && !mine.some((a) => a.kind === 'install')) toSchedule.push({ customer: c.name, path: c.path, check: installCheck(c, vault, null) })
+  }
+  appointments.sort((a, b) => a.date.localeCompare(b.date) || a.customer.localeCompare(b.customer))
+  return { appointments, toSchedule }
+}
+
+// The 7 days (Monday first) of the week holding `iso`.
+export function weekOf(iso) {
+  const monday = addDays(iso, -dayOfWeek(iso))
+  return Array.from({ length: 7 }, (_, k) => addDays(monday, k))
+}
+
+// The month holding `iso` as whole weeks: [[7 days], …], padded with the
+// neighbouring months' days.
+export function monthOf(iso) {
+  const first = `${iso.slice(0, 7)}-01`
+  const weeks = []
+  for (let d = weekOf(first)[0]; d.slice(0, 7) <= iso.slice(0, 7); d = addDays(d, 7)) weeks.push(weekOf(d))
+  return weeks
+}
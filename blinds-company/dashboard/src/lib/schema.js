@@ -0,0 +1,134 @@
+// Pure, isomorphic frontmatter schemas — one per note `type:` — and the vault
+// health check built on them: missing required fields, statuses outside
+// STATUS_ORDER, malformed dates, fields of the wrong shape, frontmatter that
+// isn't valid YAML. Feeds the Vault health panel.
+
+import { STATUS_ORDER } from './parse.js'
+import { PO_STATUSES } from './orders.js'
+import { JOB_STATUSES } from './jobs.js'
+
+// Field kinds: 'string', 'date' (YYYY-MM-DD, a real day), 'list' (of strings),
+// 'link' ([[Note]]), or an array of allowed values.
+export const NOTE_SCHEMAS = {
+  customer: {
+    folder: '20-wiki/customers',
+    required: ['type', 'status', 'created'],
+    fields: {
+      status: STATUS_ORDER,
+      created: 'date',
+      aliases: 'list',
+      tags: 'list',
+      lost_reason: 'string',
+      measure_date: 'date',
+      order_date: 'date',
+      install_date: 'date',
+    },
+  },
+  product: {
+    folder: '20-wiki/products',
+    required: ['type', 'supplier', 'created'],
+    fields: { supplier: 'link', created: 'date', aliases: 'list', tags: 'list' },
+  },
+  supplier: {
+    folder: '20-wiki/suppliers',
+    required: ['type', 'created'],
+    fields: { created: 'date', aliases: 'list', tags: 'list' },
+  },
+  sop: {
+    folder: '20-wiki/operations',
+    required: ['type', 'created'],
+    fields: { created: 'date', tags: 'list' },
+  },
+  'purchase-order': {
+    folder: '30-projects',
+    required: ['type', 'status', 'supplier', 'customer', 'created'],
+    fields: { status: PO_STATUSES, supplier: 'link', customer: 'link', created: 'date', tags: 'list' },
+  },
+  project: {
+    folder: '30-projects',
+    required: ['type', 'status', 'customer', 'created'],
+    fields: { status: JOB_STATUSES, customer: 'link', created: 'date', tags: 'list' },
+  },
+  offers: {
+    folder: '20-wiki/marketing',
+    required: ['type', 'created'],
+    fields: { created: 'date', tags: 'list' },
+  },
+}
+
+// Folders whose notes are expected to carry a `type:`. Inbox and raw drops
+// are unprocessed text and have no frontmatter by design.
+const TYPED_FOLDERS = /^(20-wiki|30-projects)(\/|$)/
+
+export function isValidDate(v) {
+  const m = String(v).match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (!m) return false
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]))
+  return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3]
+}
+
+const empty = (v) => v == null || v === '' || (Array.isArray(v) && !v.length)
+
+function checkField(key, value, kind) {
+  if (empty(value)) return null
+  if (Array.isArray(kind))
+    return kind.includes(String(value).toLowerCase()) ? null : `unknown ${key} "${value}" (expected ${kind.join(', ')})`
+  if (kind === 'list')
+    return Array.isArray(value) && value.every((x) => typeof x === 'string') ? null : `${key} should be a list of strings`
+  if (kind === 'link') return /^\[\[[^\]]+\]\]$/.test(String(value)) ? null : `${key} should be a [[wikilink]]`
+  if (kind === 'string') return typeof value === 'string' ? null : `${key} should be text`
+  return null
+}
+
+/**
+ * Problems with one note's frontmatter:
+ *   [{ path, line, field, level: 'error' | 'warning', message }]
+ * `line` is the line in the file (the field's, else the frontmatter's).
+ */
+export function checkNote(note) {
+  const issues = []
+  const fm = note.fm || {}
+  const lineOf = (field) => note.fmLines?.[field] ?? 1
+  const add = (field, level, message, line = lineOf(field)) => issues.push({ path: note.path, line, field, level, message })
+
+  if (note.fmError) add(null, 'error', `frontmatter isn't valid YAML: ${note.fmError.message}`, note.fmError.line)
+  const typed = TYPED_FOLDERS.test(note.folder || '')
+  if (!fm.type) {
+    if (typed) add('type', 'error', 'missing type:')
+    return issues
+  }
+
+  // any *_date field, on any type, must be a real date
+  for (const [key, value] of Object.entries(fm))
+    if ((key === 'created' || key === 'updated' || key.endsWith('_date')) && !empty(value) && !isValidDate(value))
+      add(key, 'error', `${key} "${value}" isn't a valid YYYY-MM-DD date`)
+
+  const schema = NOTE_SCHEMAS[fm.type]
+  if (!schema) return issues
+  for (const key of schema.required) if (empty(fm[key])) add(key, 'error', `missing ${key}:`)
+  for (const [key, kind] of Object.entries(schema.fields)) {
+    if (kind === 'date') continue // checked above
+    const problem = checkField(key, fm[key], kind)
+    if (problem) add(key, 'error', problem)
+  }
+  // archived notes keep the type they had, wherever they were filed
+  if (schema.folder && note.folder !== schema.folder && !/^90-archive(\/|$)/.test(note.folder || ''))
+    add('type', 'warning', `type: ${fm.type} note outside ${schema.folder}/`)
+  return issues
+}
+
+/**
+ * Health of the whole vault: { checked, issues, notes } where `notes` groups
+ * the issues by note, in path order.
+ */
+export function vaultHealth(notes) {
+  const issues = notes.flatMap(checkNote)
+  issues.sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line)
+  const byNote = new Map()
+  for (const i of issues) byNote.set(i.path, [...(byNote.get(i.path) || []), i])
+  return {
+    checked: notes.length,
+    issues,
+    notes: [...byNote].map(([path, list]) => ({ path, issues: list })),
+  }
+}
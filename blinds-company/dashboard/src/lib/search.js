@@ -0,0 +1,164 @@
+// Pure, isomorphic full-text search over every note — titles, aliases,
+// frontmatter tags and body text. The server builds the index once per vault
+// version and answers /api/search; a static build builds the same index from
+// the bundled notes in the browser, so results are identical either way.
+
+// Where a hit is found weighs more than how often: a word in the title beats
+// ten in the body.
+const WEIGHTS = { title: 10, alias: 6, tag: 4, body: 1 }
+
+// Result groups by folder (first match wins); groups with equally good hits
+// keep this order.
+export const SEARCH_GROUPS = [
+  { id: 'customers', label: 'Customers', match: (f) => f === '20-wiki/customers' },
+  { id: 'products', label: 'Products', match: (f) => f === '20-wiki/products' },
+  { id: 'suppliers', label: 'Suppliers', match: (f) => f === '20-wiki/suppliers' },
+  { id: 'sops', label: 'SOPs', match: (f) => f === '20-wiki/operations' },
+  { id: 'marketing', label: 'Marketing', match: (f) => f === '20-wiki/marketing' },
+  { id: 'projects', label: 'Projects', match: (f) => f.startsWith('30-projects') },
+  { id: 'raw', label: 'Raw', match: (f) => f === '00-inbox' || f.startsWith('10-raw') },
+  { id: 'archive', label: 'Archive', match: (f) => f.startsWith('90-archive') },
+  { id: 'other', label: 'Other', match: () => true },
+]
+
+export const tokenize = (text) => String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || []
+
+// Markdown → the plain text that snippets are cut from.
+const plain = (body) =>
+  String(body || '')
+    .replace(/^#\s+.+$/m, '')
+    .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (_, a, b) => b || a)
+    .replace(/[*_`>#]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+/**
+ * notes: vault.notes with bodies ({ path, folder, name, filename, fm, body }).
+ * Returns { docs, terms } where terms maps a word to [[docIndex, weight], …].
+ */
+export function buildSearchIndex(notes) {
+  const docs = []
+  const terms = new Map()
+  notes.forEach((n, i) => {
+    const aliases = Array.isArray(n.fm?.aliases) ? n.fm.aliases : []
+    const tags = Array.isArray(n.fm?.tags) ? n.fm.tags : n.fm?.tags ? [n.fm.tags] : []
+    docs.push({
+      path: n.path,
+      name: n.name,
+      folder: n.folder,
+      group: SEARCH_GROUPS.find((g) => g.match(n.folder || '')).id,
+      aliases,
+      tags,
+      text: plain(n.body),
+    })
+    const weight = new Map()
+    const add = (words, w) => {
+      for (const t of words) weight.set(t, (weight.get(t) || 0) + w)
+    }
+    add(tokenize(`${n.name} ${n.filename}`), WEIGHTS.title)
+    add(tokenize(aliases.join(' ')), WEIGHTS.alias)
+    add(tokenize(tags.join(' ')), WEIGHTS.tag)
+    add(tokenize(n.body), WEIGHTS.body)
+    for (const [t, w] of weight) {
+      if (!terms.has(t)) terms.set(t, [])
+      terms.get(t).push([i, w])
+    }
+  })
+  return { docs, terms }
+}
+
+// Split `text` into [{ text, hit }] segments around the query words, so the UI
+// can highlight without injecting HTML.
+export function highlight(text, words) {
+  if (!words.length) return [{ text, hit: false }]
+  const esc = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  const re = new RegExp(`(${esc.join('|')})[\\p{L}\\p{N}]*`, 'giu')
+  const out = []
+  let last = 0
+  for (const m of text.matchAll(re)) {
+    // only whole words / word starts count as hits
+    if (m.index > 0 && /[\p{L}\p{N}]/u.test(text[m.index - 1])) continue
+    if (m.index > last) out.push({ text: text.slice(last, m.index), hit: false })
+    out.push({ text: m[0], hit: true })
+    last = m.index + m[0].length
+  }
+  if (last < text.length) out.push({ text: text.slice(last), hit: false })
+  return out
+}
+
+// ~140 characters of body around the first query word.
+function snippet(text, words) {
+  const lower = text.toLowerCase()
+  let at = -1
+  for (const w of words) {
+    const re = new RegExp(`(^|[^\\p{L}\\p{N}])${w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u')
+    const m = lower.match(re)
+    if (m && (at < 0 || m.index < at)) at = m.index + m[1].length
+  }
+  if (at < 0) return text.length > 140 ? `${text.slice(0, 140)}…` : text
+  const start = Math.max(0, at - 50)
+  const end = Math.min(text.length, at + 90)
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`
+}
+
+/**
+ * Every word must match (the last one as a prefix, for search-as-you-type).
+ * Score = Σ field weight × idf per word, plus a bump when the whole query
+ * appears in the title. Returns up to `perGroup` results per group:
+ *   { query, total, groups: [{ id, label, total, results: [{ path, name, folder, score, title, snippet }] }] }
+ * where title / snippet are highlight() segments.
+ */
+export function searchNotes(index, query, { perGroup = 6 } = {}) {
+  const words = tokenize(query)
+  const empty = { query, total: 0, groups: [] }
+  if (!words.length) return empty
+  const N = index.docs.length
+  const scores = new Map()
+  for (const [k, word] of words.entries()) {
+    const prefix = k === words.length - 1
+    const hits = new Map()
+    for (const [t, postings] of index.terms) {
+      if (t !== word && !(prefix && t.startsWith(word))) continue
+      const idf = Math.log(1 + N / postings.length)
+      // an exact word counts more than a prefix completion
+      const exact = t === word ? 1 : 0.6
+      for (const [d, w] of postings) hits.set(d, Math.max(hits.get(d) || 0, w * idf * exact))
+    }
+    if (k === 0) for (const [d, s] of hits) scores.set(d, s)
+    else
+      for (const d of [...scores.keys()]) {
+        if (hits.has(d)) scores.set(d, scores.get(d) + hits.get(d))
+        else scores.delete(d)
+      }
+    if (!scores.size) return empty
+  }
+
+  const phrase = words.join(' ')
+  const ranked = [...scores]
+    .map(([d, score]) => {
+      const doc = index.docs[d]
+      const inTitle = tokenize(doc.name).join(' ').includes(phrase)
+      return { doc, score: score * (inTitle ? 2 : 1) }
+    })
+    .sort((a, b) => b.score - a.score || a.doc.name.localeCompare(b.doc.name))
+
+  const groups = SEARCH_GROUPS.map((g) => {
+    const all = ranked.filter((r) => r.doc.group === g.id)
+    return {
+      id: g.id,
+      label: g.label,
+      total: all.length,
+      results: all.slice(0, perGroup).map(({ doc, score }) => ({
+        path: doc.path,
+        name: doc.name,
+        folder: doc.folder,
+        score: Math.round(score * 10) / 10,
+        title: highlight(doc.name, words),
+        snippet: highlight(snippet(doc.text, words), words),
+      })),
+    }
+  }).filter((g) => g.total)
+  // groups follow their best hit, so the strongest match is always on top
+  groups.sort((a, b) => b.results[0].score - a.results[0].score)
+  return { query, total: ranked.length, groups }
+}
@@ -2,7 +2,9 @@
 //
 // Two modes:
 //  - With the model server running, loadVault() fetches the live vault from
-//    /api/vault, so edits and workflow actions show up without a rebuild.
+//    /api/vault/summary, so edits and workflow actions show up without a
+//    rebuild, and subscribeVault() keeps it current as notes change on disk.
+//    The summary leaves out note bodies; noteBody() fetches one when shown.
 //  - As a static build (npm run build/preview, no server), it falls back to the
 //    markdown bundled at build time via import.meta.glob.
 //
@@ -10,6 +12,9 @@
 // components (which read vault.customers etc.) see updated data after a refresh.
 
 import { buildVault, STATUS_ORDER, money } from './parse.js'
+import { buildSearchIndex, searchNotes } from './search.js'
+import { linkGraph } from './links.js'
+import { lintVault } from './lint.js'
 
 // vault.js lives in dashboard/src/lib, so the vault is three levels up.
 const globFiles = import.meta.glob('../../../vault/**/*.md', {
@@ -18,6 +23,13 @@ const globFiles = import.meta.glob('../../../vault/**/*.md', {
   eager: true,
 })
 
+// Images and other attachments, as bundled URLs, for embeds in static builds.
+const globAttachments = import.meta.glob('../../../vault/**/*.{png,jpg,jpeg,gif,svg,webp,avif,bmp}', {
+  query: '?url',
+  import: 'default',
+  eager: true,
+})
+
 const fallback = buildVault(
   Object.entries(globFiles).map(([path, raw]) => ({ path, raw })),
 )
@@ -30,7 +42,8 @@ export const isServerAvailable = () => serverAvailable
 
 export async function loadVault() {
   try {
-    const r = await fetch('/api/vault', { cache: 'no-store' })
+    // no-cache revalidates with the ETag, so an unchanged vault is a 304
+    const r = await fetch('/api/vault/summary', { cache: 'no-cache' })
     if (!r.ok) throw new Error('no server')
     const data = await r.json()
     Object.assign(vault, data)
@@ -42,12 +55,217 @@ export async function loadVault() {
   return vault
 }
 
+// A note's markdown body: already there in static mode, otherwise fetched
+// from /api/notes/<path> once per version of the note (a live update swaps
+// in a new note object, which misses the cache).
+const bodies = new WeakMap()
+export function noteBody(note) {
+  if (note.body != null) return Promise.resolve(note.body)
+  if (!bodies.has(note)) {
+    const url = `/api/notes/${note.path.split('/').map(encodeURIComponent).join('/')}`
+    bodies.set(
+      note,
+      fetch(url)
+        .then((r) => (r.ok ? r.json() : Promise.reject(new Error(`Couldn't load ${note.path} (${r.status})`))))
+        .then((d) => d.body),
+    )
+    bodies.get(note).catch(() => bodies.delete(note))
+  }
+  return bodies.get(note)
+}
+
+// Full-text search: the server's index when it's up, otherwise the same index
+// built here from the bundled notes (once).
+let localIndex = null
+export async function searchVault(query) {
+  if (serverAvailable) {
+    const r = await fetch(`/api/search?q=${encodeURIComponent(query)}`)
+    if (!r.ok) throw new Error(`Search failed (${r.status})`)
+    return r.json()
+  }
+  localIndex ??= buildSearchIndex(fallback.notes)
+  return searchNotes(localIndex, query)
+}
+
+// The vault lint (src/lib/lint.js): from the server's index when it's up,
+// otherwise run here on the bundled notes.
+export async function checkVault() {
+  if (!serverAvailable) return lintVault(fallback)
+  const r = await fetch('/api/lint')
+  if (!r.ok) throw new Error(`Lint failed (${r.status})`)
+  return r.json()
+}
+
+// URL for an image a note embeds. `src` is either a bare filename
+// (`![[photo.jpg]]`, found anywhere in the vault, as Obsidian does) or a path
+// relative to the note (`![](../attachments/photo.jpg)`); a path that doesn't
+// exist falls back to its filename. Web URLs pass through.
+export function attachmentUrl(src, notePath) {
+  if (/^(https?:|data:)/.test(src)) return src
+  const name = decodeURIComponent(src)
+  const folder = notePath.split('/').slice(0, -1)
+  const parts = name.includes('/') ? [...folder, ...name.split('/')] : null
+  const resolved = parts && parts.reduce((acc, p) => (p === '..' ? acc.slice(0, -1) : p === '.' ? acc : [...acc, p]), []).join('/')
+  if (serverAvailable) return `/api/files/${(resolved || name).split('/').map(encodeURIComponent).join('/')}`
+  // bundled keys look like ../../../vault/20-wiki/…; leading ../ were dropped above
+  const keys = Object.keys(globAttachments)
+  const key =
+    (resolved && keys.find((k) => k.endsWith(`/${resolved}`))) || keys.find((k) => k.split('/').pop() === name.split('/').pop())
+  return key ? globAttachments[key] : null
+}
+
+// The wikilink graph (outgoing links, backlinks, broken links) for the loaded
+// vault; rebuilt only when a patch or reload replaces vault.notes.
+let links = { notes: null, graph: null }
+export function vaultLinks() {
+  if (links.notes !== vault.notes) links = { notes: vault.notes, graph: linkGraph(vault.notes) }
+  return links.graph
+}
+
+/* ---- live updates (server only) ---- */
+// Apply a patch from the server's watcher (see "live updates" in server.mjs):
+// collections get changed entries swapped in by path and the new order; any
+// other key is replaced whole.
+function applyPatch(patch) {
+  for (const [key, p] of Object.entries(patch)) {
+    if ('value' in p) {
+      vault[key] = p.value
+      continue
+    }
+    const byPath = new Map((vault[key] || []).map((x) => [x.path, x]))
+    for (const x of p.upsert) byPath.set(x.path, x)
+    vault[key] = p.order.map((path) => byPath.get(path)).filter(Boolean)
+  }
+}
+
+// Follow /api/events. onUpdate({ kind: 'vault' | 'logs' | 'resync', keys, at })
+// fires after `vault` is patched; onStatus('live' | 'reconnecting') tracks the
+// connection. A dropped stream is retried with backoff (1 s → 30 s), and the
+// vault is reloaded in full on reconnect since patches may have been missed.
+// Returns an unsubscribe function.
+export function subscribeVault({ onUpdate, onStatus }) {
+  let es = null
+  let timer = null
+  let delay = 1000
+  let closed = false
+  let connected = false
+
+  const connect = () => {
+    es = new EventSource('/api/events')
+    es.addEventListener('hello', async (e) => {
+      const { at } = JSON.parse(e.data)
+      delay = 1000
+      onStatus('live')
+      if (connected) {
+        await loadVault()
+        onUpdate({ kind: 'resync', keys: Object.keys(vault), at })
+      }
+      connected = true
+    })
+    es.addEventListener('vault', (e) => {
+      const { at, patch } = JSON.parse(e.data)
+      applyPatch(patch)
+      onUpdate({ kind: 'vault', keys: Object.keys(patch), at })
+    })
+    es.addEventListener('logs', (e) => {
+      const { at } = JSON.parse(e.data)
+      onUpdate({ kind: 'logs', keys: ['logs'], at })
+    })
+    es.onerror = () => {
+      es.close()
+      if (closed) return
+      onStatus('reconnecting')
+      timer = setTimeout(connect, delay)
+      delay = Math.min(delay * 2, 30000)
+    }
+  }
+
+  connect()
+  return () => {
+    closed = true
+    clearTimeout(timer)
+    es?.close()
+  }
+}
+
 // Trigger a server-side workflow action, then return its JSON result.
-export async function runAction(name) {
-  const r = await fetch(`/api/actions/${name}`, { method: 'POST' })
+// Pass { dryRun: true } to preview what it would do without touching the vault.
+export async function runAction(name, options = {}) {
+  const r = await fetch(`/api/actions/${name}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options),
+  })
   if (!r.ok) {
     const text = await r.text().catch(() => '')
     throw new Error(text || `Action ${name} failed (${r.status})`)
   }
   return r.json()
 }
+
+// POST JSON to the server; a non-2xx reply throws with the server's message.
+async function post(url, body) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+  const data = await r.json().catch(() => ({}))
+  if (!r.ok) throw new Error(data.error || `${url} failed (${r.status})`)
+  return data
+}
+
+/* ---- customer write-back (server only) ---- */
+const customerUrl = (c, what) => `/api/customers/${encodeURIComponent(c.filename)}/${what}`
+
+export const createCustomer = (fields) => post('/api/customers', fields)
+export const setCustomerStatus = (c, status) => post(customerUrl(c, 'status'), { status })
+// Revert a move: `move` is the { from, line } reply of setCustomerStatus.
+export const undoStatusMove = (c, move) => post(customerUrl(c, 'status'), { status: move.from, undo: move.line })
+export const addTimelineEntry = (c, text, date) => post(customerUrl(c, 'timeline'), { text, date })
+// kind: 'measure' | 'install'; sets measure_date / install_date and logs it.
+export const scheduleAppointment = (c, kind, date) => post(customerUrl(c, 'schedule'), { kind, date })
+// The iCalendar feed of every measure and install, or one customer's.
+export const calendarUrl = (c) => (c ? customerUrl(c, 'schedule.ics') : '/api/schedule.ics')
+// lines: [{ opening, product, qty, addOns }]; the server prices them from the catalog.
+export const saveQuote = (c, lines) => post(customerUrl(c, 'quote'), { lines })
+// Percent, e.g. 55; written to `target_margin:` in the pricing note.
+export const setTargetMargin = (target) => post('/api/pricing/target', { target })
+// Fold customer `from` into `keep` (from is archived, links to it repointed).
+// With dryRun the reply carries only the `changes` it would make.
+export const mergeCustomers = (keep, from, dryRun = false) => post(customerUrl(keep, 'merge'), { from: from.filename, dryRun })
+// Dates the proposal in the timeline and returns { html, pdf } URLs to open.
+export const generateProposal = (c) => post(customerUrl(c, 'proposal'), {})
+// One PO note per supplier on a won quote; suppliers that already have one
+// come back under `existing`. With dryRun nothing is written.
+export const draftPurchaseOrders = (c, dryRun = false) => post(customerUrl(c, 'orders'), { dryRun })
+// drafted → sent → confirmed → received. "sent" is refused (409) while a
+// terms check fails, unless force.
+export const setOrderStatus = (order, status, force = false) =>
+  post(`/api/orders/${encodeURIComponent(order.filename)}/status`, { status, force })
+// A won customer's install job: a 30-projects note with the SOP checklist.
+export const startJob = (c, dryRun = false) => post(customerUrl(c, 'job'), { dryRun })
+// Tick / untick checklist step `step` (0-based); the last tick completes the
+// job and moves the customer to installed.
+export const tickJobStep = (job, step, done) => post(`/api/projects/${encodeURIComponent(job.filename)}/steps`, { step, done })
+// claim: { issue, product, covered: 'yes' | 'no' | 'unknown', coverage };
+// moves an installed customer to warranty.
+export const openWarrantyClaim = (c, claim) => post(customerUrl(c, 'warranty'), claim)
+// Close claim `index` of the note; the last open one moves them back to installed.
+export const resolveWarrantyClaim = (c, index, resolution) => post(customerUrl(c, `warranty/${index}/resolve`), { resolution })
+
+/* ---- action run history (server only) ---- */
+export async function listRuns() {
+  const r = await fetch('/api/runs', { cache: 'no-store' })
+  if (!r.ok) throw new Error(`Couldn't load run history (${r.status})`)
+  return r.json()
+}
+
+// Restore the files a run changed. Without force, a file edited since the run
+// makes the server refuse with the list of conflicting paths.
+export const rollbackRun = (id, force = false) => post(`/api/runs/${encodeURIComponent(id)}/rollback`, { force })
+
+// Act on a pending follow-up draft: 'edit' | 'approve' | 'discard'.
+// `extra` carries the edited { msg } and, for approve, the { channel }.
+export const decideDraft = (c, draft, decision, extra = {}) =>
+  post(`/api/drafts/${decision}`, { path: c.path, text: draft.text, ...extra })
@@ -0,0 +1,108 @@
+// Pure, isomorphic warranty claims. A claim is a `### <issue>` block under a
+// customer note's `## Warranty` (parseWarrantyClaims in parse.js reads them);
+// this module writes new ones, closes them, and rolls them up per product and
+// supplier for the Warranty and Catalog tabs.
+
+import { keepLineEndings } from './noteEdits.js'
+
+const DAY = 86400000
+
+// Days a claim has been open (or took, once closed), as of `today`.
+export const claimAge = (claim, today) =>
+  claim.opened ? Math.max(0, Math.round((Date.parse(claim.closed || today) - Date.parse(claim.opened)) / DAY)) : null
+
+/**
+ * Every claim in the vault, newest first:
+ *   [{ ...claim, index, customer, path, supplier }]
+ * index is the claim's place in its note; a claim without a `**Supplier:**`
+ * line is put on its product's supplier.
+ */
+export function warrantyClaims(vault) {
+  return vault.customers
+    .flatMap((c) =>
+      (c.claims || []).map((claim, index) => ({
+        ...claim,
+        index,
+        customer: c.name,
+        path: c.path,
+        supplier: claim.supplier || vault.products.find((p) => p.name === claim.product)?.supplier || null,
+      })),
+    )
+    .sort((a, b) => String(b.opened || '').localeCompare(String(a.opened || '')))
+}
+
+/**
+ * Claim counts for the Catalog: { products: { <name>: counts }, suppliers:
+ * { <name>: counts } }, counts being { total, open, covered } (covered: how
+ * many the supplier's warranty paid for).
+ */
+export function claimRollup(vault) {
+  const out = { products: {}, suppliers: {} }
+  const add = (bucket, name, claim) => {
+    if (!name) return
+    const n = (bucket[name] ??= { total: 0, open: 0, covered: 0 })
+    n.total++
+    if (claim.open) n.open++
+    if (claim.covered) n.covered++
+  }
+  for (const claim of warrantyClaims(vault)) {
+    add(out.products, claim.product, claim)
+    add(out.suppliers, claim.supplier, claim)
+  }
+  return out
+}
+
+/**
+ * A new claim's block. covered: true / false / null (unknown); coverage: what
+ * the warranty does about it, optional.
+ */
+export function claimMarkdown({ issue, product, supplier, opened, covered, coverage }) {
+  const word = covered === true ? 'yes' : covered === false ? 'no' : 'unknown'
+  return [
+    `### ${issue}`,
+    `- **Product:** [[${product}]]`,
+    supplier && `- **Supplier:** [[${supplier}]]`,
+    `- **Opened:** ${opened}`,
+    `- **Covered:** ${word}${coverage ? ` — ${coverage}` : ''}`,
+    '- **Resolution:**',
+  ]
+    .filter(Boolean)
+    .join('\n')
+}
+
+/**
+ * Close claim `index` of a customer note: sets its `**Resolution:**` and
+ * `**Closed:**` lines (adding them if missing). → the edited note, or null
+ * when the note has no such claim.
+ */
+export function resolveClaim(raw, index, resolution, date) {
+  return keepLineEndings(raw, (s) => resolveIn(s, index, resolution, date))
+}
+
+function resolveIn(raw, index, resolution, date) {
+  const lines = raw.split('\n')
+  const start = lines.findIndex((l) => /^##\s+Warranty\s*$/i.test(l))
+  if (start < 0) return null
+  let end = lines.findIndex((l, k) => k > start && /^##\s/.test(l))
+  if (end < 0) end = lines.length
+  const heads = []
+  for (let k = start + 1; k < end; k++) if (/^###\s/.test(lines[k])) heads.push(k)
+  if (index < 0 || index >= heads.length) return null
+  const from = heads[index] + 1
+  let to = heads[index + 1] ?? end
+  const set = (key, value) => {
+    const re = new RegExp(`^[-*]\\s*\\*\\*${key}:\\*\\*`, 'i')
+    const at = lines.findIndex((l, k) => k >= from && k < to && re.test(l))
+    if (at >= 0) lines[at] = `- **${key}:** ${value}`
+    else {
+      // after the block's last bullet, before any blank lines
+      let k = to
+      while (k > from && !lines[k - 1].trim()) k--
+      lines.splice(k, 0, `- **${key}:** ${value}`)
+      to++
+    }
+  }
+  set('Resolution', resolution)
+  set('Closed', date)
+  return lines.join('\n')
+}
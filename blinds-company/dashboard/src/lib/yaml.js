@@ -0,0 +1,43 @@
+// Pure, isomorphic YAML for note frontmatter, on the `yaml` package (YAML 1.2,
+// no Node built-ins, so the browser and the server parse identically):
+// anchors, aliases, tags, flow and block collections, block scalars. Invalid
+// YAML — `a: b: c`, a duplicate key, a second `---` document — is an error,
+// not a best guess.
+//
+// Two vault conventions sit on top of YAML 1.2's core schema: numbers with a
+// leading zero stay strings (zip codes), and a bare `[[Wikilink]]` is read as
+// the string Obsidian means, not a list in a list. Dates stay `YYYY-MM-DD`
+// strings (the vault compares them as text), as the core schema leaves them.
+//
+// parseYaml() throws an Error with a 1-based `line` on malformed input.
+
+import { parseDocument, visit, Scalar } from 'yaml'
+
+const fail = (message, line) => Object.assign(new Error(`${message} (line ${line})`), { line, reason: message })
+
+const WIKILINK = /^\[\[[^[\]\n]+\]\]$/
+const LEADING_ZERO = /^[-+]?0\d/
+
+export function parseYaml(text) {
+  const src = String(text).replace(/\r\n?/g, '\n')
+  const doc = parseDocument(src)
+  const [err] = doc.errors
+  if (err) {
+    const reason = err.message.split(/ at line \d+, column \d+/)[0]
+    throw fail(reason.charAt(0).toLowerCase() + reason.slice(1), err.linePos?.[0]?.line ?? 1)
+  }
+  const lineOf = (offset) => src.slice(0, offset).split('\n').length
+  visit(doc, {
+    Alias(_key, node) {
+      if (!node.resolve(doc)) throw fail(`unknown alias *${node.source}`, lineOf(node.range[0]))
+    },
+    Seq(_key, node) {
+      const source = node.flow && node.range ? src.slice(node.range[0], node.range[1]).trim() : ''
+      if (WIKILINK.test(source)) return new Scalar(source)
+    },
+    Scalar(_key, node) {
+      if (node.type === 'PLAIN' && typeof node.value === 'number' && LEADING_ZERO.test(node.source)) node.value = node.source
+    },
+  })
+  return doc.toJS()
+}